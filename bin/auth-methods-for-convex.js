@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+
+// Packages the commands parse with. They are optional peer dependencies, needed only by the CLI and the ESLint plugin.
+const PARSER_PACKAGES = ['eslint', '@typescript-eslint/parser'];
+
+let command;
+try {
+    // Every command other than migrate goes to audit, which prints the usage for unknown ones
+    command = require(process.argv[2] === 'migrate' ? '../eslint/migrate' : '../eslint/audit');
+} catch (error) {
+    const missing =
+        error.code === 'MODULE_NOT_FOUND' && PARSER_PACKAGES.find(name => error.message.includes(`'${name}'`));
+    if (!missing) {
+        throw error;
+    }
+    process.stderr.write(
+        `auth-methods-for-convex needs ${PARSER_PACKAGES.join(' and ')} to parse your functions. ` +
+            `Install them with:\n\n  npm install --save-dev ${PARSER_PACKAGES.join(' ')}\n`
+    );
+}
+
+process.exitCode = command ? command.run(process.argv.slice(2)) : 2;
@@ -0,0 +1,467 @@
+/**
+ * AST helpers shared by the ESLint rules and the audit and migrate commands: the builders and wrappers a
+ * Convex module imports, the handlers of its functions and the imports of the auth module.
+ */
+
+// Wrappers exported by createAuthenticatedMethods that inject ctx.identity
+const AUTHENTICATED_WRAPPERS = [
+    'authenticatedQuery',
+    'authenticatedMutation',
+    'authenticatedAction',
+    'authenticatedInternalQuery',
+    'authenticatedInternalMutation',
+    'authenticatedInternalAction',
+    'maybeAuthenticatedQuery',
+    'maybeAuthenticatedMutation',
+    'organizationQuery',
+    'organizationMutation',
+];
+
+// Authenticated replacement for each raw builder flagged by no-direct-query-mutation.
+// httpAction takes a bare handler instead of a definition, so it has no mechanical rewrite.
+const AUTHENTICATED_REPLACEMENTS = {
+    query: { messageId: 'useAuthenticatedQuery', replacement: 'authenticatedQuery' },
+    mutation: { messageId: 'useAuthenticatedMutation', replacement: 'authenticatedMutation' },
+    action: { messageId: 'useAuthenticatedAction', replacement: 'authenticatedAction' },
+    httpAction: { messageId: 'useAuthenticatedHttpAction', replacement: null },
+};
+
+// Builders from _generated/server and the visibility of the functions they create
+const CONVEX_BUILDERS = {
+    query: 'public',
+    mutation: 'public',
+    action: 'public',
+    httpAction: 'public',
+    internalQuery: 'internal',
+    internalMutation: 'internal',
+    internalAction: 'internal',
+};
+
+// Definition options reported as the policy of an authenticated function
+const POLICY_OPTIONS = ['roles', 'service', 'maxAuthAge', 'requireMfa', 'authorizeArgs'];
+
+// Wrappers that scope a handler to an organization
+const ORGANIZATION_WRAPPERS = ['organizationQuery', 'organizationMutation'];
+
+// Import sources that export the authenticated wrappers
+const DEFAULT_AUTH_MODULES = ['**/auth'];
+
+// Comment that opts a single function out of no-direct-query-mutation, e.g. `// convex-auth-public: webhook`
+const PUBLIC_FUNCTION_DIRECTIVE = /^\s*convex-auth-public\b:?(.*)$/;
+
+/**
+ * Converts a glob (`*`, `**` and `?`) to an anchored regular expression
+ */
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks whether a path matches any of the given globs
+ */
+function matchesAny(value, globs) {
+    return globs.some(glob => globToRegExp(glob).test(value));
+}
+
+/**
+ * Checks whether an import source refers to the local auth module
+ */
+function isAuthModule(source, options) {
+    return matchesAny(source.replace(/\.[cm]?[jt]s$/, ''), options.authModules || DEFAULT_AUTH_MODULES);
+}
+
+/**
+ * Returns the name of a non-computed property key written as an identifier or a string
+ */
+function getPropertyName(prop) {
+    if (prop.key.type === 'Identifier') {
+        return prop.key.name;
+    }
+    return prop.key.type === 'Literal' ? prop.key.value : null;
+}
+
+/**
+ * Returns the range that removes a statement together with its indentation and line break when it sits
+ * on lines of its own, or just the statement otherwise
+ */
+function getStatementRemovalRange(sourceCode, node) {
+    const { text } = sourceCode;
+    const lineStart = node.range[0] - node.loc.start.column;
+    const lineBreak = /^[ \t]*\r?\n/.exec(text.slice(node.range[1]));
+    if (!lineBreak || /\S/.test(text.slice(lineStart, node.range[0]))) {
+        return node.range;
+    }
+    return [lineStart, node.range[1] + lineBreak[0].length];
+}
+
+/**
+ * Finds the variable a name refers to from a scope
+ */
+function findVariableInScope(scope, name) {
+    while (scope) {
+        const variable = scope.set.get(name);
+        if (variable) {
+            return variable;
+        }
+        scope = scope.upper;
+    }
+    return null;
+}
+
+/**
+ * Finds the scope variable an identifier refers to
+ */
+function findVariable(sourceCode, node) {
+    return findVariableInScope(sourceCode.getScope(node), node.name);
+}
+
+/**
+ * Resolves an expression to the function it refers to, following variables and function declarations
+ */
+function resolveFunction(sourceCode, node) {
+    if (!node) {
+        return null;
+    }
+    if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+        return node;
+    }
+    if (node.type !== 'Identifier') {
+        return null;
+    }
+    const variable = findVariable(sourceCode, node);
+    const definition = variable && variable.defs[0];
+    if (!definition) {
+        return null;
+    }
+    if (definition.type === 'FunctionName') {
+        return definition.node;
+    }
+    if (definition.type === 'Variable' && definition.node.id.type === 'Identifier') {
+        return resolveFunction(sourceCode, definition.node.init);
+    }
+    return null;
+}
+
+/**
+ * Finds the handler function of a wrapper call. Supports `handler: async (ctx) => {}`, `handler(ctx) {}`,
+ * `'handler': fn` and `handler: namedFunction`
+ */
+function findHandlerFunction(sourceCode, wrapperCall) {
+    const definition = wrapperCall.arguments[0];
+    if (!definition || definition.type !== 'ObjectExpression') {
+        return null;
+    }
+    const handlerProperty = definition.properties.find(
+        prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === 'handler'
+    );
+    return handlerProperty ? resolveFunction(sourceCode, handlerProperty.value) : null;
+}
+
+/**
+ * Finds the convex-auth-public comment in front of a call or the statement that declares it
+ */
+function findPublicDirective(sourceCode, node) {
+    let current = node;
+    while (current) {
+        for (const comment of sourceCode.getCommentsBefore(current)) {
+            const match = PUBLIC_FUNCTION_DIRECTIVE.exec(comment.value);
+            if (match) {
+                return { comment, reason: match[1].trim() };
+            }
+        }
+        if (
+            !current.parent ||
+            ![
+                'Property',
+                'VariableDeclarator',
+                'VariableDeclaration',
+                'ExportNamedDeclaration',
+                'ExportDefaultDeclaration',
+            ].includes(current.parent.type)
+        ) {
+            return null;
+        }
+        current = current.parent;
+    }
+    return null;
+}
+
+/**
+ * Checks whether a node contains a `getUserIdentity()` call
+ */
+function containsGetUserIdentity(node) {
+    if (!node || typeof node.type !== 'string') {
+        return false;
+    }
+    if (
+        node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        node.callee.property.type === 'Identifier' &&
+        node.callee.property.name === 'getUserIdentity'
+    ) {
+        return true;
+    }
+    return Object.keys(node).some(key => {
+        if (key === 'parent') {
+            return false;
+        }
+        const value = node[key];
+        if (Array.isArray(value)) {
+            return value.some(containsGetUserIdentity);
+        }
+        return value && typeof value === 'object' && containsGetUserIdentity(value);
+    });
+}
+
+/**
+ * Finds the import of the auth module, and whether it already imports `name` without an alias
+ */
+function findAuthImport(sourceCode, authPath, name) {
+    const declaration = sourceCode.ast.body.find(
+        statement => statement.type === 'ImportDeclaration' && statement.source.value === authPath
+    );
+    const hasName =
+        Boolean(declaration) &&
+        declaration.specifiers.some(
+            spec => spec.type === 'ImportSpecifier' && spec.imported.name === name && spec.local.name === name
+        );
+    return { declaration, hasName };
+}
+
+/**
+ * Plans the import changes that go with rewriting raw builders to authenticated wrappers, as `{ range, text }`
+ * edits. Adds `names` to `authImport`, or to a new import of `authPath` placed at `target`, the
+ * _generated/server import the builders came from. Drops the `unused` _generated/server specifiers, and the
+ * declarations they leave empty.
+ */
+function planImportEdits(sourceCode, { target, authPath, authImport, names, unused }) {
+    const edits = [];
+    const quote = target.source.raw[0];
+    const sortedNames = [...names].sort().join(', ');
+    const newImport = `import { ${sortedNames} } from ${quote}${authPath}${quote};`;
+    const namedAuthSpecifiers = authImport ? authImport.specifiers.filter(spec => spec.type === 'ImportSpecifier') : [];
+    let importAdded = names.size === 0;
+    if (!importAdded && namedAuthSpecifiers.length > 0) {
+        const last = namedAuthSpecifiers[namedAuthSpecifiers.length - 1];
+        edits.push({ range: [last.range[1], last.range[1]], text: `, ${sortedNames}` });
+        importAdded = true;
+    }
+
+    new Set([target, ...[...unused].map(specifier => specifier.parent)]).forEach(declaration => {
+        const removed = declaration.specifiers.filter(specifier => unused.has(specifier));
+        const isTarget = declaration === target && !importAdded;
+        if (removed.length > 0 && removed.length === declaration.specifiers.length) {
+            // Replace the whole declaration, including its line when nothing takes its place
+            const range = isTarget ? declaration.range : getStatementRemovalRange(sourceCode, declaration);
+            edits.push({ range, text: isTarget ? newImport : '' });
+            return;
+        }
+        const { specifiers } = declaration;
+        const lastKept = specifiers.reduce((kept, specifier, index) => (unused.has(specifier) ? kept : index), -1);
+        specifiers.forEach((specifier, index) => {
+            if (!unused.has(specifier)) {
+                return;
+            }
+            if (index < lastKept) {
+                edits.push({ range: [specifier.range[0], specifiers[index + 1].range[0]], text: '' });
+            } else if (index === lastKept + 1) {
+                // Trailing specifiers go together with the comma after the last kept one
+                const range = [specifiers[lastKept].range[1], specifiers[specifiers.length - 1].range[1]];
+                edits.push({ range, text: '' });
+            }
+        });
+        if (isTarget) {
+            const line = sourceCode.lines[declaration.loc.start.line - 1];
+            const indent = line.slice(0, declaration.loc.start.column).replace(/\S.*$/, '');
+            edits.push({ range: [declaration.range[1], declaration.range[1]], text: `\n${indent}${newImport}` });
+        }
+    });
+    return edits;
+}
+
+/**
+ * Describes one definition option, listing the values of string arrays, e.g. `roles: admin, owner`
+ */
+function describeOption(name, value) {
+    if (value.type === 'ObjectExpression' && name === 'authorizeArgs') {
+        const args = value.properties.filter(prop => prop.type === 'Property' && !prop.computed).map(getPropertyName);
+        return args.length > 0 ? `${name}: ${args.join(', ')}` : name;
+    }
+    if (value.type === 'ObjectExpression' && name === 'service') {
+        const scopes = value.properties.find(
+            prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === 'scopes'
+        );
+        return scopes ? describeOption('service', scopes.value) : name;
+    }
+    if (
+        value.type === 'ArrayExpression' &&
+        value.elements.length > 0 &&
+        value.elements.every(element => element && element.type === 'Literal' && typeof element.value === 'string')
+    ) {
+        return `${name}: ${value.elements.map(element => element.value).join(', ')}`;
+    }
+    return name;
+}
+
+/**
+ * Summarizes the authorization options of a wrapper definition, e.g. `['roles: admin', 'requireMfa']`
+ */
+function describePolicy(definition) {
+    if (!definition || definition.type !== 'ObjectExpression') {
+        return [];
+    }
+    const policy = [];
+    definition.properties.forEach(prop => {
+        if (prop.type !== 'Property' || prop.computed) {
+            return;
+        }
+        const name = getPropertyName(prop);
+        if (prop.value.type === 'Literal' && prop.value.value === false) {
+            return;
+        }
+        if (name === 'requires' && prop.value.type === 'ObjectExpression') {
+            prop.value.properties.forEach(requirement => {
+                if (requirement.type === 'Property' && !requirement.computed) {
+                    policy.push(describeOption(getPropertyName(requirement), requirement.value));
+                }
+            });
+        } else if (name === 'requires' || POLICY_OPTIONS.includes(name)) {
+            policy.push(describeOption(name, prop.value));
+        }
+    });
+    return policy;
+}
+
+/**
+ * Lists the functions a Convex module exports, with how each one is authenticated. Used by the audit command.
+ *
+ * Returns `{ name, line, visibility, auth, policy }` for every export built with a builder from
+ * _generated/server or an authenticated wrapper. `auth` is `required`, `optional`, `manual` (a raw builder
+ * whose handler calls getUserIdentity() itself) or `none`. Accepts the `authModules` and `wrappers` rule options.
+ */
+function collectExportedFunctions(sourceCode, options = {}) {
+    const wrappers = [...AUTHENTICATED_WRAPPERS, 'authenticatedHttpAction', ...(options.wrappers || [])];
+
+    // Local name -> { importedName, wrapper }
+    const builders = new Map();
+    // Exported name -> the expression it is initialized with
+    const exportedValues = [];
+
+    sourceCode.ast.body.forEach(statement => {
+        if (statement.type === 'ImportDeclaration') {
+            const importSource = statement.source.value;
+            const fromServer = importSource.includes('_generated/server');
+            const fromAuth = isAuthModule(importSource, options);
+            statement.specifiers.forEach(specifier => {
+                if (specifier.type !== 'ImportSpecifier') {
+                    return;
+                }
+                const importedName = specifier.imported.name;
+                if (fromServer && Object.hasOwn(CONVEX_BUILDERS, importedName)) {
+                    builders.set(specifier.local.name, { importedName, wrapper: false });
+                } else if (fromAuth && wrappers.includes(importedName)) {
+                    builders.set(specifier.local.name, { importedName, wrapper: true });
+                }
+            });
+        } else if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+            if (statement.declaration.type === 'VariableDeclaration') {
+                statement.declaration.declarations.forEach(declarator => {
+                    if (declarator.id.type === 'Identifier') {
+                        exportedValues.push({ name: declarator.id.name, value: declarator.init });
+                    }
+                });
+            }
+        } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+            // export { list, create as add }
+            statement.specifiers.forEach(specifier => {
+                const variable = findVariable(sourceCode, specifier.local);
+                const definition = variable && variable.defs[0];
+                if (definition && definition.type === 'Variable') {
+                    const name =
+                        specifier.exported.type === 'Identifier' ? specifier.exported.name : specifier.exported.value;
+                    exportedValues.push({ name, value: definition.node.init });
+                }
+            });
+        } else if (statement.type === 'ExportDefaultDeclaration') {
+            exportedValues.push({ name: 'default', value: statement.declaration });
+        }
+    });
+
+    return exportedValues.flatMap(({ name, value }) => {
+        if (!value || value.type !== 'CallExpression' || value.callee.type !== 'Identifier') {
+            return [];
+        }
+        const builder = builders.get(value.callee.name);
+        if (!builder) {
+            return [];
+        }
+        const line = value.loc.start.line;
+        const { importedName } = builder;
+        if (builder.wrapper) {
+            return [
+                {
+                    name,
+                    line,
+                    visibility: importedName.includes('Internal') ? 'internal' : 'public',
+                    auth: importedName.startsWith('maybe') ? 'optional' : 'required',
+                    policy: [
+                        ...(ORGANIZATION_WRAPPERS.includes(importedName) ? ['organization'] : []),
+                        ...describePolicy(value.arguments[0]),
+                    ],
+                },
+            ];
+        }
+        // httpAction takes the handler itself
+        const handler =
+            importedName === 'httpAction'
+                ? resolveFunction(sourceCode, value.arguments[0])
+                : findHandlerFunction(sourceCode, value);
+        const directive = findPublicDirective(sourceCode, value);
+        return [
+            {
+                name,
+                line,
+                visibility: CONVEX_BUILDERS[importedName],
+                auth: handler && containsGetUserIdentity(handler.body) ? 'manual' : 'none',
+                policy: directive && directive.reason ? [`public: ${directive.reason}`] : [],
+            },
+        ];
+    });
+}
+
+module.exports = {
+    AUTHENTICATED_WRAPPERS,
+    AUTHENTICATED_REPLACEMENTS,
+    ORGANIZATION_WRAPPERS,
+    matchesAny,
+    isAuthModule,
+    getPropertyName,
+    findVariableInScope,
+    findVariable,
+    resolveFunction,
+    findHandlerFunction,
+    findPublicDirective,
+    containsGetUserIdentity,
+    findAuthImport,
+    planImportEdits,
+    collectExportedFunctions,
+};
@@ -0,0 +1,265 @@
+/**
+ * `auth-methods-for-convex audit`: lists every function a Convex project exports with its auth status,
+ * using the ESLint plugin's import and handler detection.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Linter } = require('eslint');
+const tsParser = require('@typescript-eslint/parser');
+const { collectExportedFunctions } = require('./analysis');
+
+// Allowlist read from the working directory when --allowlist is not given
+const DEFAULT_ALLOWLIST = 'convex-auth-allowlist.txt';
+
+// Directories that never contain Convex functions
+const IGNORED_DIRECTORIES = ['_generated', 'node_modules'];
+
+// Files parsed for exported functions, as a regular expression for the walk and a glob for the linter config
+const SOURCE_FILE = /\.(?:[cm]?[jt]s|[jt]sx)$/;
+const SOURCE_GLOB = '**/*.{js,cjs,mjs,jsx,ts,cts,mts,tsx}';
+const IGNORED_FILE = /\.d\.ts$|\.(?:test|spec)\.[^.]+$/;
+
+const USAGE = `Usage: auth-methods-for-convex audit [dir] [options]
+
+Lists every function exported from dir (default: convex) with its auth status.
+
+Options:
+  --json                 Print JSON instead of a table
+  --allowlist <file>     Public functions allowed without authentication, one per line
+                         (default: ${DEFAULT_ALLOWLIST} if it exists)
+  --auth-modules <glob>  Import sources that export the authenticated wrappers (default: **/auth)
+  --wrappers <name>      Extra wrapper names that authenticate the caller
+  -h, --help             Show this help
+
+Run auth-methods-for-convex migrate --help to convert handlers that call getUserIdentity() themselves.
+`;
+
+/**
+ * Returns the source files under a directory, sorted, skipping _generated and test files
+ */
+function findSourceFiles(dir) {
+    return fs
+        .readdirSync(dir, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                return IGNORED_DIRECTORIES.includes(entry.name) || entry.name.startsWith('.')
+                    ? []
+                    : findSourceFiles(fullPath);
+            }
+            return SOURCE_FILE.test(entry.name) && !IGNORED_FILE.test(entry.name) ? [fullPath] : [];
+        });
+}
+
+/**
+ * Parses one file and runs a rule over it, throwing with the parser's message when it does not parse.
+ * `inspect` gets the parsed SourceCode once the whole file was traversed.
+ */
+function inspectFile(filename, source, inspect) {
+    // Config globs only match files under the linter's cwd
+    const linter = new Linter({ cwd: path.dirname(filename) });
+    const messages = linter.verify(
+        source,
+        [
+            {
+                files: [SOURCE_GLOB],
+                languageOptions: {
+                    parser: tsParser,
+                    parserOptions: { ecmaVersion: 2022, sourceType: 'module', ecmaFeatures: { jsx: true } },
+                },
+                plugins: {
+                    cli: {
+                        rules: {
+                            inspect: {
+                                create(context) {
+                                    return {
+                                        'Program:exit'() {
+                                            inspect(context.sourceCode);
+                                        },
+                                    };
+                                },
+                            },
+                        },
+                    },
+                },
+                rules: { 'cli/inspect': 'error' },
+            },
+        ],
+        filename
+    );
+    const problem = messages.find(message => message.ruleId === null);
+    if (problem) {
+        throw new Error(problem.fatal ? `${problem.message} (${problem.line}:${problem.column})` : problem.message);
+    }
+}
+
+/**
+ * Parses one file and returns its exported functions
+ */
+function collectFile(filename, options) {
+    let functions = [];
+    inspectFile(filename, fs.readFileSync(filename, 'utf8'), sourceCode => {
+        functions = collectExportedFunctions(sourceCode, options);
+    });
+    return functions;
+}
+
+/**
+ * Lists the functions exported from a Convex directory. Each entry's `function` is the path Convex
+ * uses for it, e.g. `admin/users:list`.
+ *
+ * @param dir - The Convex functions directory
+ * @param options - `authModules` and `wrappers`, as accepted by the ESLint rules
+ * @returns The functions, and the files that could not be parsed
+ */
+function auditProject(dir, options = {}) {
+    const functions = [];
+    const errors = [];
+    findSourceFiles(dir).forEach(filename => {
+        const file = path.relative(dir, filename).split(path.sep).join('/');
+        const modulePath = file.replace(/\.[^./]+$/, '');
+        try {
+            collectFile(filename, options).forEach(({ name, ...rest }) => {
+                functions.push({ function: `${modulePath}:${name}`, file, ...rest });
+            });
+        } catch (error) {
+            errors.push({ file, message: error.message });
+        }
+    });
+    return { functions, errors };
+}
+
+/**
+ * Reads an allowlist file: one function path per line, with `#` comments
+ */
+function readAllowlist(filename) {
+    return new Set(
+        fs
+            .readFileSync(filename, 'utf8')
+            .split('\n')
+            .map(line => line.replace(/#.*$/, '').trim())
+            .filter(Boolean)
+    );
+}
+
+/**
+ * Checks whether anyone can call the function without being authenticated by a wrapper
+ */
+function isUnauthenticatedPublic(entry) {
+    return entry.visibility === 'public' && (entry.auth === 'none' || entry.auth === 'manual');
+}
+
+/**
+ * Formats the functions as a plain-text table
+ */
+function formatTable(functions) {
+    const rows = [
+        ['Function', 'Visibility', 'Auth', 'Policy'],
+        ...functions.map(entry => [entry.function, entry.visibility, entry.auth, entry.policy.join('; ')]),
+    ];
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows
+        .map(row =>
+            row
+                .map((cell, column) => cell.padEnd(widths[column]))
+                .join('  ')
+                .trimEnd()
+        )
+        .join('\n');
+}
+
+/**
+ * Parses the command line, or returns an error message
+ */
+function parseArgs(argv) {
+    const args = { dir: 'convex', json: false, allowlist: undefined, authModules: [], wrappers: [] };
+    const rest = [...argv];
+    if (rest.shift() !== 'audit') {
+        return { error: 'Unknown command' };
+    }
+    let dirSet = false;
+    while (rest.length > 0) {
+        const arg = rest.shift();
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (arg === '--allowlist' || arg === '--auth-modules' || arg === '--wrappers') {
+            const value = rest.shift();
+            if (!value) {
+                return { error: `${arg} needs a value` };
+            }
+            if (arg === '--allowlist') {
+                args.allowlist = value;
+            } else {
+                args[arg === '--wrappers' ? 'wrappers' : 'authModules'].push(value);
+            }
+        } else if (!arg.startsWith('-') && !dirSet) {
+            args.dir = arg;
+            dirSet = true;
+        } else {
+            return { error: `Unknown option ${arg}` };
+        }
+    }
+    return { args };
+}
+
+/**
+ * Runs the command and returns its exit code: 0 when every unauthenticated public function is allowlisted,
+ * 1 when one is not, and 2 for usage and parse errors
+ */
+function run(argv, io = {}) {
+    const cwd = io.cwd || process.cwd();
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    const { args, error } = parseArgs(argv);
+    if (error) {
+        stderr.write(`${error}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    const dir = path.resolve(cwd, args.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        stderr.write(`${args.dir} is not a directory\n`);
+        return 2;
+    }
+    const allowlistFile = path.resolve(cwd, args.allowlist || DEFAULT_ALLOWLIST);
+    if (args.allowlist && !fs.existsSync(allowlistFile)) {
+        stderr.write(`Allowlist ${args.allowlist} does not exist\n`);
+        return 2;
+    }
+    const allowlist = fs.existsSync(allowlistFile) ? readAllowlist(allowlistFile) : new Set();
+
+    const { functions, errors } = auditProject(dir, {
+        ...(args.authModules.length > 0 ? { authModules: args.authModules } : {}),
+        wrappers: args.wrappers,
+    });
+    const results = functions.map(entry =>
+        isUnauthenticatedPublic(entry) ? { ...entry, allowlisted: allowlist.has(entry.function) } : entry
+    );
+
+    stdout.write(args.json ? `${JSON.stringify(results, null, 2)}\n` : `${formatTable(results)}\n`);
+
+    errors.forEach(({ file, message }) => stderr.write(`Could not parse ${file}: ${message}\n`));
+    const stale = [...allowlist].filter(name => !results.some(entry => entry.function === name && entry.allowlisted));
+    stale.forEach(name => stderr.write(`Allowlist entry ${name} is not an unauthenticated public function\n`));
+    const unlisted = results.filter(entry => entry.allowlisted === false);
+    if (unlisted.length > 0) {
+        stderr.write(
+            `\n${unlisted.length} public function(s) without authentication are not in the allowlist:\n` +
+                unlisted.map(entry => `  ${entry.function} (${entry.file}:${entry.line})\n`).join('')
+        );
+    }
+    if (errors.length > 0) {
+        return 2;
+    }
+    return unlisted.length > 0 ? 1 : 0;
+}
+
+module.exports = { auditProject, findSourceFiles, formatTable, inspectFile, readAllowlist, run };
@@ -0,0 +1,257 @@
+/**
+ * Tests for the auth-methods-for-convex audit command
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { auditProject, formatTable, readAllowlist, run } from './audit.js';
+
+let root;
+
+/**
+ * Writes files relative to the temporary project root
+ */
+function writeFiles(files) {
+    Object.entries(files).forEach(([name, contents]) => {
+        const filename = path.join(root, name);
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        fs.writeFileSync(filename, contents);
+    });
+}
+
+/**
+ * Runs the command in the temporary project and captures its output
+ */
+function runAudit(argv) {
+    let stdout = '';
+    let stderr = '';
+    const code = run(argv, {
+        cwd: root,
+        stdout: { write: text => (stdout += text) },
+        stderr: { write: text => (stderr += text) },
+    });
+    return { code, stdout, stderr };
+}
+
+const NOTES = `
+import { query, internalMutation, httpAction } from './_generated/server';
+import { authenticatedQuery, maybeAuthenticatedQuery, organizationMutation } from './auth';
+import { v } from 'convex/values';
+
+export const list = authenticatedQuery({
+  args: {},
+  requires: { roles: ['admin', 'editor'], emailVerified: true },
+  handler: async (ctx) => [],
+});
+
+export const get = authenticatedQuery({
+  args: { noteId: v.id('notes') },
+  authorizeArgs: { noteId: { table: 'notes', ownerField: 'userId' } },
+  handler: async (ctx) => ctx.docs.noteId,
+});
+
+export const feed = maybeAuthenticatedQuery({ args: {}, handler: async () => [] });
+
+export const remove = organizationMutation({
+  args: { orgId: v.string() },
+  roles: ['owner'],
+  handler: async () => null,
+});
+
+// convex-auth-public: marketing page
+export const stats = query({ args: {}, handler: async () => 1 });
+
+export const me = query({
+  args: {},
+  handler: async (ctx) => ctx.auth.getUserIdentity(),
+});
+
+const cleanup = internalMutation({ args: {}, handler: async () => null });
+export { cleanup as purge };
+
+export const webhook = httpAction(async (ctx, request) => new Response('ok'));
+
+export const LIMIT = 10;
+`;
+
+const USERS = `
+import { authenticatedInternalAction } from '../auth';
+
+export const sync = authenticatedInternalAction({
+  args: {},
+  service: { scopes: ['users:sync'] },
+  handler: async () => null,
+});
+`;
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'convex-auth-audit-'));
+    writeFiles({
+        'convex/notes.ts': NOTES,
+        'convex/admin/users.ts': USERS,
+        'convex/_generated/server.ts': 'export const query = () => {};',
+        'convex/notes.test.ts': "import { query } from './_generated/server';\nexport const t = query({});",
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('auditProject', () => {
+    it('should list every exported function with its auth status', () => {
+        const { functions, errors } = auditProject(path.join(root, 'convex'));
+
+        expect(errors).toEqual([]);
+        expect(functions).toEqual([
+            {
+                function: 'admin/users:sync',
+                file: 'admin/users.ts',
+                line: 4,
+                visibility: 'internal',
+                auth: 'required',
+                policy: ['service: users:sync'],
+            },
+            {
+                function: 'notes:list',
+                file: 'notes.ts',
+                line: 6,
+                visibility: 'public',
+                auth: 'required',
+                policy: ['roles: admin, editor', 'emailVerified'],
+            },
+            expect.objectContaining({ function: 'notes:get', policy: ['authorizeArgs: noteId'] }),
+            expect.objectContaining({ function: 'notes:feed', visibility: 'public', auth: 'optional', policy: [] }),
+            expect.objectContaining({
+                function: 'notes:remove',
+                auth: 'required',
+                policy: ['organization', 'roles: owner'],
+            }),
+            expect.objectContaining({ function: 'notes:stats', auth: 'none', policy: ['public: marketing page'] }),
+            expect.objectContaining({ function: 'notes:me', visibility: 'public', auth: 'manual' }),
+            expect.objectContaining({ function: 'notes:purge', visibility: 'internal', auth: 'none' }),
+            expect.objectContaining({ function: 'notes:webhook', visibility: 'public', auth: 'none' }),
+        ]);
+    });
+
+    it('should accept custom auth modules and wrappers', () => {
+        writeFiles({
+            'convex/tasks.ts': `
+import { adminQuery } from './lib/functions';
+export const list = adminQuery({ args: {}, handler: async () => [] });
+`,
+        });
+
+        const { functions } = auditProject(path.join(root, 'convex'), {
+            authModules: ['**/lib/functions'],
+            wrappers: ['adminQuery'],
+        });
+
+        expect(functions.find(entry => entry.function === 'tasks:list')).toMatchObject({ auth: 'required' });
+        expect(functions.some(entry => entry.function === 'notes:list')).toBe(false);
+    });
+
+    it('should report files that do not parse', () => {
+        writeFiles({ 'convex/broken.ts': 'export const = ;' });
+
+        expect(auditProject(path.join(root, 'convex')).errors).toEqual([
+            { file: 'broken.ts', message: expect.stringContaining('Parsing error') },
+        ]);
+    });
+});
+
+describe('readAllowlist', () => {
+    it('should read one function per line, ignoring comments and blank lines', () => {
+        writeFiles({ 'allowlist.txt': '# Reviewed 2024-05\nnotes:stats # marketing\n\n  notes:webhook\n' });
+
+        expect(readAllowlist(path.join(root, 'allowlist.txt'))).toEqual(new Set(['notes:stats', 'notes:webhook']));
+    });
+});
+
+describe('formatTable', () => {
+    it('should align the columns', () => {
+        const table = formatTable([
+            { function: 'notes:list', visibility: 'public', auth: 'required', policy: ['roles: admin'] },
+            { function: 'a:b', visibility: 'internal', auth: 'none', policy: [] },
+        ]);
+
+        expect(table.split('\n')).toEqual([
+            'Function    Visibility  Auth      Policy',
+            'notes:list  public      required  roles: admin',
+            'a:b         internal    none',
+        ]);
+    });
+});
+
+describe('run', () => {
+    it('should fail when unauthenticated public functions are not allowlisted', () => {
+        const { code, stdout, stderr } = runAudit(['audit']);
+
+        expect(code).toBe(1);
+        expect(stdout).toContain('notes:list        public      required  roles: admin, editor; emailVerified');
+        expect(stderr).toContain('3 public function(s) without authentication are not in the allowlist');
+        expect(stderr).toContain('notes:webhook (notes.ts:37)');
+    });
+
+    it('should pass once they are allowlisted, and warn about stale entries', () => {
+        writeFiles({ 'convex-auth-allowlist.txt': 'notes:stats\nnotes:me\nnotes:webhook\nnotes:removed\n' });
+
+        const { code, stderr } = runAudit(['audit', 'convex']);
+
+        expect(code).toBe(0);
+        expect(stderr).toBe('Allowlist entry notes:removed is not an unauthenticated public function\n');
+    });
+
+    it('should print JSON with the allowlist status of unauthenticated public functions', () => {
+        writeFiles({ 'security/allowlist.txt': 'notes:stats\n' });
+
+        const { code, stdout } = runAudit(['audit', 'convex', '--json', '--allowlist', 'security/allowlist.txt']);
+        const functions = JSON.parse(stdout);
+
+        expect(code).toBe(1);
+        expect(functions.find(entry => entry.function === 'notes:stats')).toMatchObject({ allowlisted: true });
+        expect(functions.find(entry => entry.function === 'notes:webhook')).toMatchObject({ allowlisted: false });
+        expect(functions.find(entry => entry.function === 'notes:list')).not.toHaveProperty('allowlisted');
+    });
+
+    it('should exit with 2 for usage errors', () => {
+        expect(runAudit(['lint']).code).toBe(2);
+        expect(runAudit(['audit', '--verbose']).stderr).toContain('Unknown option --verbose');
+        expect(runAudit(['audit', 'missing']).stderr).toBe('missing is not a directory\n');
+        expect(runAudit(['audit', '--allowlist', 'missing.txt']).code).toBe(2);
+        expect(runAudit(['audit', '--help'])).toMatchObject({ code: 0, stdout: expect.stringContaining('Usage:') });
+    });
+});
+
+describe('bin', () => {
+    const bin = path.join(__dirname, '..', 'bin', 'auth-methods-for-convex.js');
+
+    it('should print an install hint when the parser packages are missing', () => {
+        // Preloaded to make @typescript-eslint/parser unresolvable, as in a project without it
+        writeFiles({
+            'hide-parser.js': `
+const Module = require('module');
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+    if (request === '@typescript-eslint/parser') {
+        const error = new Error("Cannot find module '" + request + "'");
+        error.code = 'MODULE_NOT_FOUND';
+        throw error;
+    }
+    return resolve.call(this, request, ...rest);
+};
+`,
+        });
+
+        const result = spawnSync(process.execPath, ['-r', path.join(root, 'hide-parser.js'), bin, 'audit'], {
+            cwd: root,
+            encoding: 'utf8',
+        });
+
+        expect(result.status).toBe(2);
+        expect(result.stderr).toContain('npm install --save-dev eslint @typescript-eslint/parser');
+    });
+});
@@ -1,8 +1,135 @@
 /**
- * Custom ESLint plugin to enforce the use of authenticatedQuery and authenticatedMutation
- * instead of the plain query and mutation from Convex.
+ * Custom ESLint plugin to enforce the use of authenticatedQuery, authenticatedMutation,
+ * authenticatedAction and authenticatedHttpAction instead of the plain builders from Convex.
  */
 
+const path = require('path');
+const {
+    AUTHENTICATED_WRAPPERS,
+    AUTHENTICATED_REPLACEMENTS,
+    ORGANIZATION_WRAPPERS,
+    matchesAny,
+    isAuthModule,
+    getPropertyName,
+    findVariableInScope,
+    findVariable,
+    resolveFunction,
+    findHandlerFunction,
+    findPublicDirective,
+    findAuthImport,
+    planImportEdits,
+} = require('./analysis');
+
+// Wrappers whose handlers are checked by require-ownership-check
+const OWNERSHIP_WRAPPERS = ['authenticatedQuery', 'authenticatedMutation'];
+
+// ctx.db methods that take a document id
+const DB_ID_METHODS = ['get', 'patch', 'replace', 'delete'];
+
+// Files that implement the authenticated wrappers and may use the raw builders
+const DEFAULT_AUTH_FILES = ['**/convex/auth.ts'];
+
+/**
+ * Returns the linted filename relative to the working directory, with forward slashes
+ */
+function getRelativeFilename(context) {
+    const filename = context.getFilename();
+    const relative = path.isAbsolute(filename) ? path.relative(context.getCwd(), filename) : filename;
+    return relative.split(path.sep).join('/').replace(/\\/g, '/');
+}
+
+/**
+ * Checks whether the linted file is an auth implementation file or allowlisted by the rule options
+ */
+function isExemptFile(context, options) {
+    const filename = getRelativeFilename(context);
+    return (
+        matchesAny(filename, options.authFiles || DEFAULT_AUTH_FILES) ||
+        matchesAny(filename, options.allow || [])
+    );
+}
+
+/**
+ * Returns the path the linted file imports the wrappers from: the first `authFiles` entry without
+ * wildcards, or the auth module next to `_generated` when the option is not set. Returns null when
+ * every entry is a glob, as the file cannot be placed then.
+ */
+function getAuthImportPath(context, options, generatedSource) {
+    if (!options.authFiles) {
+        return generatedSource.replace(/_generated\/server$/, 'auth');
+    }
+    const authFile = options.authFiles.find(glob => !/[*?]/.test(glob));
+    if (!authFile) {
+        return null;
+    }
+    const cwd = context.getCwd();
+    const relative = path
+        .relative(path.dirname(path.resolve(cwd, context.getFilename())), path.resolve(cwd, authFile))
+        .split(path.sep)
+        .join('/')
+        .replace(/\.(?:[cm]?[jt]s|[jt]sx)$/, '');
+    return /^\.\.?\//.test(relative) ? relative : `./${relative}`;
+}
+
+// Schema properties shared by the rules
+const GLOB_LIST_SCHEMA = { type: 'array', items: { type: 'string' } };
+const FILE_OPTIONS_SCHEMA = { authFiles: GLOB_LIST_SCHEMA, allow: GLOB_LIST_SCHEMA };
+
+/**
+ * Returns a function that checks whether an expression is the handler's database: `ctx.db` through
+ * the ctx parameter, or `db` destructured from it. Both are resolved through scope analysis.
+ */
+function createDbMatcher(sourceCode, ctxParam) {
+    const ctxVariable = ctxParam && ctxParam.type === 'Identifier' ? findVariable(sourceCode, ctxParam) : null;
+    const dbProperty =
+        ctxParam && ctxParam.type === 'ObjectPattern'
+            ? ctxParam.properties.find(
+                  prop => prop.type === 'Property' && getPropertyName(prop) === 'db' && prop.value.type === 'Identifier'
+              )
+            : null;
+    const dbVariable = dbProperty ? findVariable(sourceCode, dbProperty.value) : null;
+    return node =>
+        Boolean(
+            (node.type === 'Identifier' && dbVariable && findVariable(sourceCode, node) === dbVariable) ||
+                (node.type === 'MemberExpression' &&
+                    !node.computed &&
+                    node.property.name === 'db' &&
+                    node.object.type === 'Identifier' &&
+                    ctxVariable &&
+                    findVariable(sourceCode, node.object) === ctxVariable)
+        );
+}
+
+/**
+ * Checks whether a node contains a `.eq('<field>', ...)` call, as written in an index range
+ */
+function containsEqOnField(node, field) {
+    if (!node || typeof node.type !== 'string') {
+        return false;
+    }
+    if (
+        node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        node.callee.property.type === 'Identifier' &&
+        node.callee.property.name === 'eq' &&
+        node.arguments.length > 0 &&
+        node.arguments[0].type === 'Literal' &&
+        node.arguments[0].value === field
+    ) {
+        return true;
+    }
+    return Object.keys(node).some(key => {
+        if (key === 'parent') {
+            return false;
+        }
+        const value = node[key];
+        if (Array.isArray(value)) {
+            return value.some(child => containsEqOnField(child, field));
+        }
+        return value && typeof value === 'object' && containsEqOnField(value, field);
+    });
+}
+
 module.exports = {
     meta: {
         name: 'eslint-plugin-convex-auth',
@@ -14,35 +141,101 @@ module.exports = {
                 type: 'problem',
                 docs: {
                     description:
-                        'Disallow direct use of query() and mutation() in favor of authenticatedQuery() and authenticatedMutation()',
+                        'Disallow direct use of query(), mutation(), action() and httpAction() in favor of authenticatedQuery(), authenticatedMutation(), authenticatedAction() and authenticatedHttpAction()',
                     category: 'Best Practices',
                     recommended: true,
                 },
                 messages: {
                     useAuthenticatedQuery:
-                        'Use authenticatedQuery() instead of query(). Import from "./auth" or "../auth".',
+                        'Use authenticatedQuery() (or maybeAuthenticatedQuery() for optional auth) instead of query(). Import it from {{authModule}}.',
                     useAuthenticatedMutation:
-                        'Use authenticatedMutation() instead of mutation(). Import from "./auth" or "../auth".',
+                        'Use authenticatedMutation() (or maybeAuthenticatedMutation() for optional auth) instead of mutation(). Import it from {{authModule}}.',
+                    useAuthenticatedAction:
+                        'Use authenticatedAction() instead of action(). Import it from {{authModule}}.',
+                    useAuthenticatedHttpAction:
+                        'Use authenticatedHttpAction() instead of httpAction(), or mark public endpoints with a "// convex-auth-public: <reason>" comment. Import it from {{authModule}}.',
+                    replaceWithAuthenticated: 'Replace {{name}}() with {{replacement}}() from {{authModule}}.',
+                    missingJustification:
+                        'The convex-auth-public comment must explain why this function is public, e.g. "// convex-auth-public: Stripe webhook".',
                 },
-                fixable: null,
-                schema: [],
+                fixable: 'code',
+                hasSuggestions: true,
+                schema: [
+                    {
+                        type: 'object',
+                        properties: {
+                            suggestOnly: { type: 'boolean' },
+                            ...FILE_OPTIONS_SCHEMA,
+                        },
+                        additionalProperties: false,
+                    },
+                ],
             },
             create(context) {
-                const filename = context.getFilename();
-
-                // Allow query/mutation usage in auth.ts since that's where the authenticated versions are implemented
-                const isAuthFile =
-                    filename.endsWith('convex/auth.ts') ||
-                    filename.endsWith('convex\\auth.ts');
+                const options = context.options[0] || {};
+                const sourceCode = context.sourceCode;
 
-                if (isAuthFile) {
-                    return {}; // No rules to enforce in auth.ts
+                // Allow raw builder usage in auth.ts since that's where the authenticated versions are
+                // implemented, and in allowlisted files such as seed scripts and migrations
+                if (isExemptFile(context, options)) {
+                    return {};
                 }
 
                 // Track which identifiers are imported from _generated/server
-                // Map local name -> imported name (query or mutation)
+                // Map local name -> { importedName, specifier, declaration }
                 const importsFromGeneratedServer = new Map();
 
+                /**
+                 * Builds the fixes that rewrite one call to the authenticated wrapper, or returns null
+                 * when the rewrite would not be safe
+                 */
+                function buildFix(node, imported, replacement, authPath) {
+                    const { specifier, declaration } = imported;
+                    if (!authPath) {
+                        return null;
+                    }
+
+                    // authenticated wrappers require an args validator
+                    const definition = node.arguments[0];
+                    if (
+                        node.arguments.length !== 1 ||
+                        definition.type !== 'ObjectExpression' ||
+                        !definition.properties.some(
+                            prop =>
+                                prop.type === 'Property' &&
+                                prop.key.type === 'Identifier' &&
+                                prop.key.name === 'args'
+                        )
+                    ) {
+                        return null;
+                    }
+
+                    // The replacement name must not already be bound to something else
+                    const authImport = findAuthImport(sourceCode, authPath, replacement);
+                    if (!authImport.hasName && findVariableInScope(sourceCode.getScope(node), replacement)) {
+                        return null;
+                    }
+
+                    // Only drop the _generated/server import when this call is its last use
+                    const [variable] = sourceCode.getDeclaredVariables(specifier);
+                    const removeSpecifier =
+                        variable &&
+                        variable.references.length === 1 &&
+                        variable.references[0].identifier === node.callee;
+
+                    const edits = planImportEdits(sourceCode, {
+                        target: declaration,
+                        authPath,
+                        authImport: authImport.declaration,
+                        names: new Set(authImport.hasName ? [] : [replacement]),
+                        unused: new Set(removeSpecifier ? [specifier] : []),
+                    });
+                    return fixer => [
+                        fixer.replaceText(node.callee, replacement),
+                        ...edits.map(({ range, text }) => fixer.replaceTextRange(range, text)),
+                    ];
+                }
+
                 return {
                     ImportDeclaration(node) {
                         // Check if importing from './_generated/server' or '../_generated/server' or similar
@@ -56,8 +249,12 @@ module.exports = {
                                     // Get the local name (might be aliased)
                                     const localName = specifier.local.name;
                                     const importedName = specifier.imported.name;
-                                    if (importedName === 'query' || importedName === 'mutation') {
-                                        importsFromGeneratedServer.set(localName, importedName);
+                                    if (Object.hasOwn(AUTHENTICATED_REPLACEMENTS, importedName)) {
+                                        importsFromGeneratedServer.set(localName, {
+                                            importedName,
+                                            specifier,
+                                            declaration: node,
+                                        });
                                     }
                                 }
                             });
@@ -65,25 +262,58 @@ module.exports = {
                     },
 
                     CallExpression(node) {
-                        // Check if this is a direct call to query() or mutation()
+                        // Check if this is a direct call to query(), mutation(), action() or httpAction()
                         if (node.callee.type === 'Identifier') {
                             const calleeName = node.callee.name;
 
                             // Check if this identifier was imported from _generated/server
-                            const importedName = importsFromGeneratedServer.get(calleeName);
-                            if (importedName) {
-                                // This is a call to query or mutation from _generated/server
-                                if (importedName === 'query') {
-                                    context.report({
-                                        node: node.callee,
-                                        messageId: 'useAuthenticatedQuery',
-                                    });
-                                } else if (importedName === 'mutation') {
-                                    context.report({
-                                        node: node.callee,
-                                        messageId: 'useAuthenticatedMutation',
-                                    });
+                            const imported = importsFromGeneratedServer.get(calleeName);
+                            if (imported) {
+                                // Functions explicitly marked as public only need a justification
+                                const directive = findPublicDirective(sourceCode, node);
+                                if (directive) {
+                                    if (!directive.reason) {
+                                        context.report({
+                                            loc: directive.comment.loc,
+                                            messageId: 'missingJustification',
+                                        });
+                                    }
+                                    return;
                                 }
+
+                                // This is a call to a raw builder from _generated/server
+                                const { messageId, replacement } = AUTHENTICATED_REPLACEMENTS[imported.importedName];
+                                const authPath = getAuthImportPath(
+                                    context,
+                                    options,
+                                    imported.declaration.source.value
+                                );
+                                const data = {
+                                    authModule: authPath
+                                        ? `"${authPath}"`
+                                        : 'the file that calls createAuthenticatedMethods()',
+                                };
+                                if (!replacement) {
+                                    context.report({ node: node.callee, messageId, data });
+                                    return;
+                                }
+                                const fix = buildFix(node, imported, replacement, authPath);
+
+                                // Unsafe rewrites, auth files that cannot be placed and suggestOnly mode are offered
+                                // as suggestions instead of fixes. Only the unsafe ones leave the imports alone.
+                                const report = { node: node.callee, messageId, data };
+                                if (fix && !options.suggestOnly) {
+                                    report.fix = fix;
+                                } else {
+                                    report.suggest = [
+                                        {
+                                            messageId: 'replaceWithAuthenticated',
+                                            data: { ...data, name: calleeName, replacement },
+                                            fix: fix || (fixer => fixer.replaceText(node.callee, replacement)),
+                                        },
+                                    ];
+                                }
+                                context.report(report);
                             }
                         }
                     },
@@ -103,46 +333,184 @@ module.exports = {
                     useContextIdentity:
                         'Do not use ctx.auth.getUserIdentity() inside authenticatedQuery/authenticatedMutation handlers. Use ctx.identity instead, which is already provided.',
                 },
-                fixable: null,
-                schema: [],
+                fixable: 'code',
+                schema: [
+                    {
+                        type: 'object',
+                        properties: {
+                            ...FILE_OPTIONS_SCHEMA,
+                            authModules: GLOB_LIST_SCHEMA,
+                            wrappers: GLOB_LIST_SCHEMA,
+                        },
+                        additionalProperties: false,
+                    },
+                ],
             },
             create(context) {
-                const filename = context.getFilename();
+                const options = context.options[0] || {};
+                const wrappers = [...AUTHENTICATED_WRAPPERS, ...(options.wrappers || [])];
+                const sourceCode = context.sourceCode;
 
                 // Allow getUserIdentity usage in auth.ts since that's where it's implemented
-                const isAuthFile =
-                    filename.endsWith('convex/auth.ts') ||
-                    filename.endsWith('convex\\auth.ts');
-
-                if (isAuthFile) {
-                    return {}; // No rules to enforce in auth.ts
+                if (isExemptFile(context, options)) {
+                    return {};
                 }
 
                 // Track which identifiers are imported for authenticatedQuery/authenticatedMutation
                 const authenticatedImports = new Set();
 
-                // Map to track which function nodes are authenticated handlers
-                // Key: function node, Value: true
-                const authenticatedHandlerFunctions = new Map();
+                // Calls to the authenticated wrappers, analysed once every function in the file is known
+                const wrapperCalls = [];
+
+                // Variables holding ctx, ctx.auth or ctx.auth.getUserIdentity
+                // Key: scope variable, Value: { kind, direct } where direct means the handler's own ctx
+                const trackedVariables = new Map();
+
+                // getUserIdentity() calls that were already reported
+                const reportedCalls = new Set();
+
+                /**
+                 * Starts tracking the variables bound by a parameter or declaration pattern
+                 */
+                function bindPattern(pattern, kind, direct) {
+                    if (!pattern) {
+                        return;
+                    }
+                    if (pattern.type === 'AssignmentPattern') {
+                        bindPattern(pattern.left, kind, direct);
+                        return;
+                    }
+                    if (pattern.type === 'Identifier') {
+                        const variable = findVariable(sourceCode, pattern);
+                        if (variable && !trackedVariables.has(variable)) {
+                            trackedVariables.set(variable, { kind, direct });
+                            trackReferences(variable, kind, direct);
+                        }
+                        return;
+                    }
+                    if (pattern.type !== 'ObjectPattern') {
+                        return;
+                    }
+                    // { auth } from ctx, or { getUserIdentity } from ctx.auth
+                    const member = kind === 'ctx' ? 'auth' : kind === 'auth' ? 'getUserIdentity' : null;
+                    pattern.properties.forEach(prop => {
+                        if (prop.type === 'Property' && !prop.computed && getPropertyName(prop) === member) {
+                            bindPattern(prop.value, kind === 'ctx' ? 'auth' : 'getUserIdentity', direct);
+                        }
+                    });
+                }
+
+                /**
+                 * Follows a tracked value passed to a function declared in this file into that function's parameter
+                 */
+                function bindArgument(call, argument, kind) {
+                    const callee = resolveFunction(sourceCode, call.callee);
+                    if (callee) {
+                        bindPattern(callee.params[call.arguments.indexOf(argument)], kind, false);
+                    }
+                }
+
+                /**
+                 * Follows every read of a tracked variable
+                 */
+                function trackReferences(variable, kind, direct) {
+                    variable.references.forEach(reference => {
+                        if (reference.isWrite()) {
+                            return;
+                        }
+                        const identifier = reference.identifier;
+                        if (kind === 'ctx') {
+                            trackContext(identifier, direct);
+                        } else if (kind === 'auth') {
+                            trackAuth(identifier, direct);
+                        } else if (
+                            identifier.parent.type === 'CallExpression' &&
+                            identifier.parent.callee === identifier
+                        ) {
+                            report(identifier.parent, false);
+                        }
+                    });
+                }
+
+                /**
+                 * Follows an expression that evaluates to the handler's ctx
+                 */
+                function trackContext(node, direct) {
+                    const parent = node.parent;
+                    if (
+                        parent.type === 'MemberExpression' &&
+                        parent.object === node &&
+                        !parent.computed &&
+                        parent.property.name === 'auth'
+                    ) {
+                        trackAuth(parent, direct);
+                    } else if (parent.type === 'VariableDeclarator' && parent.init === node) {
+                        bindPattern(parent.id, 'ctx', direct);
+                    } else if (parent.type === 'CallExpression' && parent.arguments.includes(node)) {
+                        bindArgument(parent, node, 'ctx');
+                    }
+                }
+
+                /**
+                 * Follows an expression that evaluates to ctx.auth
+                 */
+                function trackAuth(node, direct) {
+                    const parent = node.parent;
+                    if (
+                        parent.type === 'MemberExpression' &&
+                        parent.object === node &&
+                        !parent.computed &&
+                        parent.property.name === 'getUserIdentity'
+                    ) {
+                        if (parent.parent.type === 'CallExpression' && parent.parent.callee === parent) {
+                            report(parent.parent, direct);
+                        }
+                    } else if (parent.type === 'VariableDeclarator' && parent.init === node) {
+                        bindPattern(parent.id, 'auth', direct);
+                    } else if (parent.type === 'CallExpression' && parent.arguments.includes(node)) {
+                        bindArgument(parent, node, 'auth');
+                    }
+                }
+
+                /**
+                 * Reports a getUserIdentity() call. Awaited `<ctx>.auth.getUserIdentity()` calls on the handler's own
+                 * ctx are rewritten to `<ctx>.identity`
+                 */
+                function report(call, direct) {
+                    if (reportedCalls.has(call)) {
+                        return;
+                    }
+                    reportedCalls.add(call);
+
+                    const authExpression = call.callee.type === 'MemberExpression' ? call.callee.object : null;
+                    const ctxNode =
+                        authExpression && authExpression.type === 'MemberExpression' ? authExpression.object : null;
+                    const canFix =
+                        direct &&
+                        ctxNode &&
+                        ctxNode.type === 'Identifier' &&
+                        call.parent.type === 'AwaitExpression' &&
+                        call.parent.argument === call;
+
+                    context.report({
+                        node: call.callee,
+                        messageId: 'useContextIdentity',
+                        fix: canFix ? fixer => fixer.replaceText(call.parent, `${ctxNode.name}.identity`) : null,
+                    });
+                }
 
                 return {
                     ImportDeclaration(node) {
-                        // Check if importing authenticatedQuery or authenticatedMutation
+                        // Check if importing one of the authenticated wrappers
                         const importSource = node.source.value;
                         if (
-                            importSource === './auth' ||
-                            importSource === '../auth' ||
-                            importSource.includes('/auth') ||
-                            importSource === './_generated/server' ||
+                            isAuthModule(importSource, options) ||
                             importSource.includes('_generated/server')
                         ) {
                             node.specifiers.forEach(specifier => {
                                 if (specifier.type === 'ImportSpecifier') {
                                     const importedName = specifier.imported.name;
-                                    if (
-                                        importedName === 'authenticatedQuery' ||
-                                        importedName === 'authenticatedMutation'
-                                    ) {
+                                    if (wrappers.includes(importedName)) {
                                         const localName = specifier.local.name;
                                         authenticatedImports.add(localName);
                                     }
@@ -152,89 +520,534 @@ module.exports = {
                     },
 
                     CallExpression(node) {
-                        // Check if this is a call to authenticatedQuery or authenticatedMutation
-                        if (node.callee.type === 'Identifier') {
-                            const calleeName = node.callee.name;
-                            if (authenticatedImports.has(calleeName)) {
-                                // Find the handler property in the object argument
-                                if (
-                                    node.arguments.length > 0 &&
-                                    node.arguments[0].type === 'ObjectExpression'
-                                ) {
-                                    const handlerProperty = node.arguments[0].properties.find(
-                                        prop =>
-                                            prop.type === 'Property' &&
-                                            prop.key.type === 'Identifier' &&
-                                            prop.key.name === 'handler'
-                                    );
-                                    if (handlerProperty && handlerProperty.value) {
-                                        const handlerValue = handlerProperty.value;
-                                        // Mark the handler function as authenticated
-                                        if (
-                                            handlerValue.type === 'ArrowFunctionExpression' ||
-                                            handlerValue.type === 'FunctionExpression'
-                                        ) {
-                                            authenticatedHandlerFunctions.set(handlerValue, true);
-                                        }
-                                    }
-                                }
-                            }
+                        // Check if this is a call to one of the authenticated wrappers
+                        if (
+                            node.callee.type === 'Identifier' &&
+                            authenticatedImports.has(node.callee.name) &&
+                            node.arguments.length > 0 &&
+                            node.arguments[0].type === 'ObjectExpression'
+                        ) {
+                            wrapperCalls.push(node);
                         }
                     },
 
-                    MemberExpression(node) {
-                        // Check if this is ctx.auth.getUserIdentity()
+                    'Program:exit'() {
+                        wrapperCalls.forEach(node => {
+                            const handler = findHandlerFunction(sourceCode, node);
+                            if (handler) {
+                                bindPattern(handler.params[0], 'ctx', true);
+                            }
+                        });
+                    },
+                };
+            },
+        },
+        'require-org-scoped-query': {
+            meta: {
+                type: 'problem',
+                docs: {
+                    description:
+                        'Require ctx.db.query() calls inside organizationQuery/organizationMutation handlers to filter by the tenant index',
+                    category: 'Best Practices',
+                    recommended: true,
+                },
+                messages: {
+                    requireOrgFilter:
+                        'ctx.db.query("{{table}}") inside an organization handler must use .withIndex() with q.eq("{{orgField}}", ...) to stay within the tenant.',
+                },
+                fixable: null,
+                schema: [
+                    {
+                        type: 'object',
+                        properties: {
+                            orgField: { type: 'string' },
+                            ignoreTables: {
+                                type: 'array',
+                                items: { type: 'string' },
+                            },
+                            authModules: GLOB_LIST_SCHEMA,
+                            wrappers: GLOB_LIST_SCHEMA,
+                            allow: GLOB_LIST_SCHEMA,
+                        },
+                        additionalProperties: false,
+                    },
+                ],
+            },
+            create(context) {
+                const options = context.options[0] || {};
+                const orgField = options.orgField || 'orgId';
+                const ignoreTables = options.ignoreTables || [];
+                const wrappers = [...ORGANIZATION_WRAPPERS, ...(options.wrappers || [])];
+
+                if (matchesAny(getRelativeFilename(context), options.allow || [])) {
+                    return {};
+                }
+
+                const sourceCode = context.sourceCode;
+
+                // Local names of the organization wrappers imported from the auth module
+                const organizationImports = new Set();
+
+                // organizationQuery/organizationMutation calls, checked once their handlers are declared
+                const wrapperCalls = [];
+
+                /**
+                 * Reports a db.query() call unless its method chain filters by the tenant index
+                 */
+                function checkQuery(node) {
+                    const tableArg = node.arguments[0];
+                    const table = tableArg && tableArg.type === 'Literal' ? tableArg.value : '?';
+                    if (ignoreTables.includes(table)) {
+                        return;
+                    }
+
+                    // Walk the method chain (.withIndex(...).filter(...).collect()) looking for the tenant filter
+                    let chain = node;
+                    while (
+                        chain.parent &&
+                        chain.parent.type === 'MemberExpression' &&
+                        chain.parent.object === chain &&
+                        chain.parent.parent &&
+                        chain.parent.parent.type === 'CallExpression' &&
+                        chain.parent.parent.callee === chain.parent
+                    ) {
+                        const method = chain.parent.property;
+                        const call = chain.parent.parent;
+                        if (
+                            method.type === 'Identifier' &&
+                            method.name === 'withIndex' &&
+                            call.arguments.length > 1 &&
+                            containsEqOnField(call.arguments[1], orgField)
+                        ) {
+                            return;
+                        }
+                        chain = call;
+                    }
+
+                    context.report({
+                        node,
+                        messageId: 'requireOrgFilter',
+                        data: { table, orgField },
+                    });
+                }
+
+                /**
+                 * Checks the db.query() calls of one organization handler, whether ctx.db or a destructured db
+                 */
+                function checkHandler(handler) {
+                    const isDb = createDbMatcher(sourceCode, handler.params[0]);
+                    const visit = node => {
                         if (
-                            node.property &&
-                            node.property.type === 'Identifier' &&
-                            node.property.name === 'getUserIdentity' &&
-                            node.object &&
-                            node.object.type === 'MemberExpression' &&
-                            node.object.property &&
-                            node.object.property.type === 'Identifier' &&
-                            node.object.property.name === 'auth' &&
-                            node.object.object &&
-                            node.object.object.type === 'Identifier' &&
-                            node.object.object.name === 'ctx'
+                            node.type === 'CallExpression' &&
+                            node.callee.type === 'MemberExpression' &&
+                            !node.callee.computed &&
+                            node.callee.property.name === 'query' &&
+                            isDb(node.callee.object)
                         ) {
-                            // Check if this MemberExpression is part of a CallExpression
-                            // (i.e., ctx.auth.getUserIdentity() is being called)
-                            let parent = node.parent;
-                            let isCallExpression = false;
-                            while (parent) {
+                            checkQuery(node);
+                        }
+                        (sourceCode.visitorKeys[node.type] || []).forEach(key => {
+                            const child = node[key];
+                            (Array.isArray(child) ? child : [child]).forEach(item => {
+                                if (item && typeof item.type === 'string') {
+                                    visit(item);
+                                }
+                            });
+                        });
+                    };
+                    visit(handler.body);
+                }
+
+                return {
+                    ImportDeclaration(node) {
+                        const importSource = node.source.value;
+                        if (isAuthModule(importSource, options)) {
+                            node.specifiers.forEach(specifier => {
                                 if (
-                                    parent.type === 'CallExpression' &&
-                                    parent.callee === node
+                                    specifier.type === 'ImportSpecifier' &&
+                                    wrappers.includes(specifier.imported.name)
                                 ) {
-                                    isCallExpression = true;
-                                    break;
+                                    organizationImports.add(specifier.local.name);
                                 }
-                                parent = parent.parent;
+                            });
+                        }
+                    },
+
+                    CallExpression(node) {
+                        if (node.callee.type === 'Identifier' && organizationImports.has(node.callee.name)) {
+                            wrapperCalls.push(node);
+                        }
+                    },
+
+                    'Program:exit'() {
+                        wrapperCalls.forEach(node => {
+                            const handler = findHandlerFunction(sourceCode, node);
+                            if (handler) {
+                                checkHandler(handler);
                             }
+                        });
+                    },
+                };
+            },
+        },
+        'require-ownership-check': {
+            meta: {
+                type: 'problem',
+                docs: {
+                    description:
+                        'Require documents loaded by an id from args inside authenticatedQuery/authenticatedMutation handlers to be checked against ctx.identity',
+                    category: 'Best Practices',
+                    recommended: true,
+                },
+                messages: {
+                    requireOwnershipCheck:
+                        'ctx.db.{{method}}() uses an id from args without checking that the document belongs to the caller. Compare its "{{ownerField}}" field with ctx.identity or pass it to an ownership helper.',
+                },
+                fixable: null,
+                schema: [
+                    {
+                        type: 'object',
+                        properties: {
+                            ownerField: { type: 'string' },
+                            ownerFields: {
+                                type: 'object',
+                                additionalProperties: { type: 'string' },
+                            },
+                            helpers: GLOB_LIST_SCHEMA,
+                            ignoreTables: GLOB_LIST_SCHEMA,
+                            authModules: GLOB_LIST_SCHEMA,
+                            wrappers: GLOB_LIST_SCHEMA,
+                            allow: GLOB_LIST_SCHEMA,
+                        },
+                        additionalProperties: false,
+                    },
+                ],
+            },
+            create(context) {
+                const options = context.options[0] || {};
+                const ownerField = options.ownerField || 'userId';
+                const ownerFields = options.ownerFields || {};
+                const helpers = options.helpers || ['assertOwner'];
+                const ignoreTables = options.ignoreTables || [];
+                const wrappers = [...OWNERSHIP_WRAPPERS, ...(options.wrappers || [])];
+                const sourceCode = context.sourceCode;
 
-                            if (isCallExpression) {
-                                // Check if we're inside an authenticated handler
-                                let current = node;
-                                while (current) {
-                                    if (
-                                        (current.type === 'ArrowFunctionExpression' ||
-                                            current.type === 'FunctionExpression') &&
-                                        authenticatedHandlerFunctions.has(current)
-                                    ) {
-                                        context.report({
-                                            node: node,
-                                            messageId: 'useContextIdentity',
-                                        });
-                                        break;
-                                    }
-                                    current = current.parent;
+                if (matchesAny(getRelativeFilename(context), options.allow || [])) {
+                    return {};
+                }
+
+                // Track which identifiers are imported for authenticatedQuery/authenticatedMutation
+                const authenticatedImports = new Set();
+
+                // Calls to the authenticated wrappers, analysed once every function in the file is known
+                const wrapperCalls = [];
+
+                /**
+                 * Returns the table an args field is validated as, from `v.id('<table>')`
+                 */
+                function getArgTable(definition, key) {
+                    const argsProperty = definition.properties.find(
+                        prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === 'args'
+                    );
+                    if (!argsProperty || argsProperty.value.type !== 'ObjectExpression') {
+                        return null;
+                    }
+                    const field = argsProperty.value.properties.find(
+                        prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === key
+                    );
+                    const validator = field && field.value;
+                    if (
+                        validator &&
+                        validator.type === 'CallExpression' &&
+                        validator.callee.type === 'MemberExpression' &&
+                        validator.callee.property.name === 'id' &&
+                        validator.arguments.length > 0 &&
+                        validator.arguments[0].type === 'Literal'
+                    ) {
+                        return validator.arguments[0].value;
+                    }
+                    return null;
+                }
+
+                /**
+                 * Returns the args listed in the definition's `authorizeArgs`, which the wrapper checks itself
+                 */
+                function getAuthorizedArgs(definition) {
+                    const property = definition.properties.find(
+                        prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === 'authorizeArgs'
+                    );
+                    if (!property || property.value.type !== 'ObjectExpression') {
+                        return [];
+                    }
+                    return property.value.properties
+                        .filter(prop => prop.type === 'Property' && !prop.computed)
+                        .map(getPropertyName);
+                }
+
+                /**
+                 * Checks whether an expression reads ctx.identity or ctx.user, directly or through a variable
+                 */
+                function referencesIdentity(node, depth = 0) {
+                    if (!node || depth > 5) {
+                        return false;
+                    }
+                    if (node.type === 'Identifier') {
+                        if (node.name === 'identity' || node.name === 'user') {
+                            return true;
+                        }
+                        const variable = findVariable(sourceCode, node);
+                        const definition = variable && variable.defs[0];
+                        return Boolean(
+                            definition &&
+                                definition.type === 'Variable' &&
+                                referencesIdentity(definition.node.init, depth + 1)
+                        );
+                    }
+                    if (node.type === 'MemberExpression') {
+                        return (
+                            (!node.computed &&
+                                (node.property.name === 'identity' || node.property.name === 'user')) ||
+                            referencesIdentity(node.object, depth)
+                        );
+                    }
+                    if (node.type === 'ChainExpression' || node.type === 'TSNonNullExpression') {
+                        return referencesIdentity(node.expression, depth);
+                    }
+                    return false;
+                }
+
+                /**
+                 * Checks whether a call passes its arguments to a recognised ownership helper
+                 */
+                function isHelperCall(node) {
+                    if (node.type !== 'CallExpression') {
+                        return false;
+                    }
+                    const callee = node.callee;
+                    const name =
+                        callee.type === 'Identifier'
+                            ? callee.name
+                            : callee.type === 'MemberExpression' && !callee.computed
+                              ? callee.property.name
+                              : null;
+                    return helpers.includes(name);
+                }
+
+                /**
+                 * Checks whether the document returned by a ctx.db.get() call is compared with the identity
+                 * or passed to an ownership helper
+                 */
+                function isDocumentChecked(getCall, fields) {
+                    let expression = getCall;
+                    if (expression.parent.type === 'AwaitExpression') {
+                        expression = expression.parent;
+                    }
+                    if (isHelperCall(expression.parent) && expression.parent.arguments.includes(expression)) {
+                        return true;
+                    }
+                    if (expression.parent.type !== 'VariableDeclarator' || expression.parent.id.type !== 'Identifier') {
+                        return false;
+                    }
+                    const variable = findVariable(sourceCode, expression.parent.id);
+                    return variable.references.some(reference => {
+                        const identifier = reference.identifier;
+                        const parent = identifier.parent;
+                        if (isHelperCall(parent) && parent.arguments.includes(identifier)) {
+                            return true;
+                        }
+                        if (
+                            parent.type !== 'MemberExpression' ||
+                            parent.object !== identifier ||
+                            parent.computed ||
+                            !fields.includes(parent.property.name)
+                        ) {
+                            return false;
+                        }
+                        // note.userId, note?.userId or note!.userId compared with the identity
+                        let fieldAccess = parent;
+                        while (
+                            fieldAccess.parent.type === 'ChainExpression' ||
+                            fieldAccess.parent.type === 'TSNonNullExpression'
+                        ) {
+                            fieldAccess = fieldAccess.parent;
+                        }
+                        const comparison = fieldAccess.parent;
+                        if (
+                            comparison.type !== 'BinaryExpression' ||
+                            !['===', '!==', '==', '!='].includes(comparison.operator)
+                        ) {
+                            return false;
+                        }
+                        const other = comparison.left === fieldAccess ? comparison.right : comparison.left;
+                        return referencesIdentity(other);
+                    });
+                }
+
+                /**
+                 * Collects the ctx.db.get/patch/replace/delete calls and ownership helper calls in a handler
+                 */
+                function collectCalls(handler, isDb) {
+                    const dbCalls = [];
+                    const helperCalls = [];
+                    const visit = node => {
+                        if (node.type === 'CallExpression') {
+                            const callee = node.callee;
+                            if (
+                                callee.type === 'MemberExpression' &&
+                                !callee.computed &&
+                                DB_ID_METHODS.includes(callee.property.name) &&
+                                isDb(callee.object)
+                            ) {
+                                dbCalls.push(node);
+                            } else if (isHelperCall(node)) {
+                                helperCalls.push(node);
+                            }
+                        }
+                        (sourceCode.visitorKeys[node.type] || []).forEach(key => {
+                            const child = node[key];
+                            (Array.isArray(child) ? child : [child]).forEach(item => {
+                                if (item && typeof item.type === 'string') {
+                                    visit(item);
                                 }
+                            });
+                        });
+                    };
+                    visit(handler.body);
+                    return { dbCalls, helperCalls };
+                }
+
+                /**
+                 * Checks one authenticated handler
+                 */
+                function checkHandler(wrapperCall, handler) {
+                    const [ctxParam, argsParam] = handler.params;
+
+                    const isDb = createDbMatcher(sourceCode, ctxParam);
+
+                    // args, or fields destructured from it. Value: args field name
+                    const argsVariable =
+                        argsParam && argsParam.type === 'Identifier' ? findVariable(sourceCode, argsParam) : null;
+                    const argFields = new Map();
+                    const bindArgFields = pattern => {
+                        pattern.properties.forEach(prop => {
+                            const value =
+                                prop.type === 'Property' && prop.value.type === 'AssignmentPattern'
+                                    ? prop.value.left
+                                    : prop.value;
+                            if (prop.type === 'Property' && !prop.computed && value.type === 'Identifier') {
+                                argFields.set(findVariable(sourceCode, value), getPropertyName(prop));
+                            }
+                        });
+                    };
+                    if (argsParam && argsParam.type === 'ObjectPattern') {
+                        bindArgFields(argsParam);
+                    }
+                    if (argsVariable) {
+                        argsVariable.references.forEach(reference => {
+                            const parent = reference.identifier.parent;
+                            if (parent.type === 'VariableDeclarator' && parent.id.type === 'ObjectPattern') {
+                                bindArgFields(parent.id);
                             }
+                        });
+                    }
+
+                    // Returns the args field an id expression comes from, or null
+                    const getArgField = node => {
+                        if (
+                            node.type === 'MemberExpression' &&
+                            !node.computed &&
+                            node.object.type === 'Identifier' &&
+                            argsVariable &&
+                            findVariable(sourceCode, node.object) === argsVariable
+                        ) {
+                            return node.property.name;
                         }
+                        if (node.type === 'Identifier') {
+                            return argFields.get(findVariable(sourceCode, node)) || null;
+                        }
+                        return null;
+                    };
+
+                    const { dbCalls, helperCalls } = collectCalls(handler, isDb);
+                    const helperArguments = new Set();
+                    helperCalls.forEach(call =>
+                        call.arguments.forEach(arg => helperArguments.add(sourceCode.getText(arg)))
+                    );
+
+                    const authorizedArgs = getAuthorizedArgs(wrapperCall.arguments[0]);
+                    const checkedIds = new Set();
+                    const unchecked = [];
+                    dbCalls.forEach(call => {
+                        // ctx.db.get(id) or ctx.db.get('table', id)
+                        const [first, second] = call.arguments;
+                        const hasTableArgument = first && first.type === 'Literal' && typeof first.value === 'string';
+                        const idNode = hasTableArgument ? second : first;
+                        const field = idNode && getArgField(idNode);
+                        if (!field || authorizedArgs.includes(field)) {
+                            return;
+                        }
+                        const table = hasTableArgument ? first.value : getArgTable(wrapperCall.arguments[0], field);
+                        if (table && ignoreTables.includes(table)) {
+                            return;
+                        }
+                        const fields = table
+                            ? [ownerFields[table] || ownerField]
+                            : [ownerField, ...Object.values(ownerFields)];
+                        const idText = sourceCode.getText(idNode);
+                        const method = call.callee.property.name;
+                        if (
+                            helperArguments.has(idText) ||
+                            (method === 'get' && isDocumentChecked(call, fields))
+                        ) {
+                            checkedIds.add(idText);
+                            return;
+                        }
+                        unchecked.push({ call, idText, method, ownerField: fields[0] });
+                    });
+
+                    // Writes are fine once the same id was loaded and checked anywhere in the handler
+                    unchecked.forEach(({ call, idText, method, ownerField: field }) => {
+                        if (method !== 'get' && checkedIds.has(idText)) {
+                            return;
+                        }
+                        context.report({
+                            node: call,
+                            messageId: 'requireOwnershipCheck',
+                            data: { method, ownerField: field },
+                        });
+                    });
+                }
+
+                return {
+                    ImportDeclaration(node) {
+                        if (isAuthModule(node.source.value, options)) {
+                            node.specifiers.forEach(specifier => {
+                                if (
+                                    specifier.type === 'ImportSpecifier' &&
+                                    wrappers.includes(specifier.imported.name)
+                                ) {
+                                    authenticatedImports.add(specifier.local.name);
+                                }
+                            });
+                        }
+                    },
+
+                    CallExpression(node) {
+                        if (node.callee.type === 'Identifier' && authenticatedImports.has(node.callee.name)) {
+                            wrapperCalls.push(node);
+                        }
+                    },
+
+                    'Program:exit'() {
+                        wrapperCalls.forEach(node => {
+                            const handler = findHandlerFunction(sourceCode, node);
+                            if (handler) {
+                                checkHandler(node, handler);
+                            }
+                        });
                     },
                 };
             },
         },
     },
 };
-
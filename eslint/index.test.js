@@ -7,6 +7,12 @@ import { describe, it } from 'vitest';
 import convexAuthPlugin from './index.js';
 import tsParser from '@typescript-eslint/parser';
 
+// Run RuleTester cases synchronously inside the enclosing vitest test. Its default
+// describe/it hooks would register nested tests that vitest never executes.
+RuleTester.describe = (_name, fn) => fn();
+RuleTester.it = (_name, fn) => fn();
+RuleTester.itOnly = (_name, fn) => fn();
+
 const ruleTester = new RuleTester({
     languageOptions: {
         parser: tsParser,
@@ -61,6 +67,42 @@ describe('no-direct-query-mutation', () => {
             export const authenticatedMutation = () => {
               return mutation({});
             };
+          `,
+                    filename: 'convex/auth.ts',
+                },
+                // Should allow the optional-auth variants
+                {
+                    code: `
+            import { maybeAuthenticatedQuery, maybeAuthenticatedMutation } from './auth';
+            export const feed = maybeAuthenticatedQuery({
+              args: {},
+              handler: async (ctx) => ctx.identity?.subject,
+            });
+            export const view = maybeAuthenticatedMutation({
+              args: {},
+              handler: async () => {},
+            });
+          `,
+                    filename: 'convex/feed.ts',
+                },
+                // Should allow authenticatedAction
+                {
+                    code: `
+            import { authenticatedAction } from './auth';
+            export const send = authenticatedAction({
+              args: {},
+              handler: async () => {},
+            });
+          `,
+                    filename: 'convex/emails.ts',
+                },
+                // Should allow action in auth.ts
+                {
+                    code: `
+            import { action } from './_generated/server';
+            export const authenticatedAction = () => {
+              return action({});
+            };
           `,
                     filename: 'convex/auth.ts',
                 },
@@ -80,6 +122,60 @@ describe('no-direct-query-mutation', () => {
           `,
                     filename: 'convex/notes.ts',
                 },
+                // Should allow a custom auth implementation file
+                {
+                    code: `
+            import { query } from '../_generated/server';
+            export const authenticatedQuery = () => query({});
+          `,
+                    filename: 'convex/lib/auth.ts',
+                    options: [{ authFiles: ['convex/lib/auth.ts'] }],
+                },
+                // Should allow allowlisted files such as seed scripts
+                {
+                    code: `
+            import { mutation } from '../_generated/server';
+            export const seed = mutation({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/seed/users.ts',
+                    options: [{ allow: ['convex/seed/**', 'convex/migrations/*.ts'] }],
+                },
+                // Should allow functions opted out with a justified comment
+                {
+                    code: `
+            import { query } from './_generated/server';
+            // convex-auth-public: shown on the marketing page
+            export const pricing = query({ args: {}, handler: async () => [] });
+          `,
+                    filename: 'convex/pricing.ts',
+                },
+                {
+                    code: `
+            import { mutation } from './_generated/server';
+            export const hooks = {
+              /* convex-auth-public: verified by the Stripe signature */
+              stripe: mutation({ args: {}, handler: async () => {} }),
+            };
+          `,
+                    filename: 'convex/webhooks.ts',
+                },
+                {
+                    code: `
+            import { httpAction } from './_generated/server';
+            // convex-auth-public: verified by the Stripe signature
+            export const stripeWebhook = httpAction(async (ctx, request) => new Response(null));
+          `,
+                    filename: 'convex/http.ts',
+                },
+                {
+                    code: `
+            import { authenticatedHttpAction } from './auth';
+            export const listNotes = authenticatedHttpAction({
+              handler: async (ctx, request) => new Response(null),
+            });
+          `,
+                    filename: 'convex/http.ts',
+                },
                 // Should allow other function calls named query/mutation
                 {
                     code: `
@@ -113,6 +209,13 @@ describe('no-direct-query-mutation', () => {
               args: {},
               handler: async () => {},
             });
+          `,
+                    output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async () => {},
+            });
           `,
                     filename: 'convex/notes.ts',
                     errors: [
@@ -130,6 +233,13 @@ describe('no-direct-query-mutation', () => {
               args: {},
               handler: async () => {},
             });
+          `,
+                    output: `
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({
+              args: {},
+              handler: async () => {},
+            });
           `,
                     filename: 'convex/notes.ts',
                     errors: [
@@ -151,10 +261,31 @@ describe('no-direct-query-mutation', () => {
                         {
                             messageId: 'useAuthenticatedQuery',
                             type: 'Identifier',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    data: { name: 'query', replacement: 'authenticatedQuery', authModule: '"./auth"' },
+                                    output: `
+            import { query, mutation } from './_generated/server';
+            export const get = authenticatedQuery({});
+            export const create = mutation({});
+          `,
+                                },
+                            ],
                         },
                         {
                             messageId: 'useAuthenticatedMutation',
                             type: 'Identifier',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    output: `
+            import { query, mutation } from './_generated/server';
+            export const get = query({});
+            export const create = authenticatedMutation({});
+          `,
+                                },
+                            ],
                         },
                     ],
                 },
@@ -169,6 +300,55 @@ describe('no-direct-query-mutation', () => {
                         {
                             messageId: 'useAuthenticatedQuery',
                             type: 'Identifier',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    data: { name: 'query', replacement: 'authenticatedQuery', authModule: '"../auth"' },
+                                    output: `
+            import { query } from '../_generated/server';
+            export const get = authenticatedQuery({});
+          `,
+                                },
+                            ],
+                        },
+                    ],
+                },
+                // Should error on direct action() usage
+                {
+                    code: `
+            import { action } from './_generated/server';
+            export const send = action({
+              args: {},
+              handler: async () => {},
+            });
+          `,
+                    output: `
+            import { authenticatedAction } from './auth';
+            export const send = authenticatedAction({
+              args: {},
+              handler: async () => {},
+            });
+          `,
+                    filename: 'convex/emails.ts',
+                    errors: [
+                        {
+                            messageId: 'useAuthenticatedAction',
+                            type: 'Identifier',
+                        },
+                    ],
+                },
+                // httpAction has no autofix or suggestion since its handler has a different shape
+                {
+                    code: `
+            import { httpAction as rawHttpAction } from './_generated/server';
+            export const listNotes = rawHttpAction(async (ctx, request) => new Response(null));
+          `,
+                    filename: 'convex/http.ts',
+                    errors: [
+                        {
+                            messageId: 'useAuthenticatedHttpAction',
+                            type: 'Identifier',
+                            suggestions: [],
                         },
                     ],
                 },
@@ -182,6 +362,256 @@ describe('no-direct-query-mutation', () => {
                         {
                             messageId: 'useAuthenticatedMutation',
                             type: 'Identifier',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    data: {
+                                        name: 'mutation',
+                                        replacement: 'authenticatedMutation',
+                                        authModule: '"convex/auth"',
+                                    },
+                                    output: `
+            import { mutation } from 'convex/_generated/server';
+            export const create = authenticatedMutation({});
+          `,
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        });
+    });
+
+    it('should autofix to the authenticated wrappers', () => {
+        ruleTester.run('no-direct-query-mutation', rule, {
+            valid: [],
+            invalid: [
+                // Should compute the auth path for nested convex/ subdirectories, keeping the quote style
+                {
+                    code: `
+            import { v } from 'convex/values';
+            import { query } from "../../_generated/server";
+            export const get = query({ args: { id: v.string() }, handler: async () => {} });
+          `,
+                    output: `
+            import { v } from 'convex/values';
+            import { authenticatedQuery } from "../../auth";
+            export const get = authenticatedQuery({ args: { id: v.string() }, handler: async () => {} });
+          `,
+                    filename: 'convex/admin/reports/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedQuery' }],
+                },
+                // Should merge into an existing import from the auth module
+                {
+                    code: `
+            import { query } from './_generated/server';
+            import { authenticatedMutation } from './auth';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { authenticatedMutation, authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedQuery' }],
+                },
+                // Should not leave a blank line where the first import was
+                {
+                    code:
+                        "import { mutation } from './_generated/server';\n" +
+                        "import { authenticatedQuery } from './auth';\n" +
+                        'export const create = mutation({ args: {}, handler: async () => {} });\n',
+                    output:
+                        "import { authenticatedQuery, authenticatedMutation } from './auth';\n" +
+                        'export const create = authenticatedMutation({ args: {}, handler: async () => {} });\n',
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedMutation' }],
+                },
+                // Should keep other _generated/server imports and only drop the unused specifier
+                {
+                    code: `
+            import { query, internalMutation } from './_generated/server';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { internalMutation } from './_generated/server';
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedQuery' }],
+                },
+                {
+                    code: `
+            import { internalQuery, mutation } from './_generated/server';
+            export const create = mutation({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { internalQuery } from './_generated/server';
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedMutation' }],
+                },
+                // Should keep the import while other calls still use it (ESLint fixes them in later passes)
+                {
+                    code: `
+            import { query } from './_generated/server';
+            export const a = query({ args: {}, handler: async () => {} });
+            export const b = query({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { query } from './_generated/server';
+            import { authenticatedQuery } from './auth';
+            export const a = authenticatedQuery({ args: {}, handler: async () => {} });
+            export const b = query({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedQuery' }, { messageId: 'useAuthenticatedQuery' }],
+                },
+                // Should handle aliased imports
+                {
+                    code: `
+            import { query as rawQuery } from './_generated/server';
+            export const get = rawQuery({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'useAuthenticatedQuery' }],
+                },
+                // Should only suggest when the wrapper name is already taken
+                {
+                    code: `
+            import { query } from './_generated/server';
+            const authenticatedQuery = () => {};
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [
+                        {
+                            messageId: 'useAuthenticatedQuery',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    output: `
+            import { query } from './_generated/server';
+            const authenticatedQuery = () => {};
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                                },
+                            ],
+                        },
+                    ],
+                },
+                // Should only suggest in suggestOnly mode, with the same import edits as the fix
+                {
+                    code: `
+            import { query } from './_generated/server';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    options: [{ suggestOnly: true }],
+                    filename: 'convex/notes.ts',
+                    errors: [
+                        {
+                            messageId: 'useAuthenticatedQuery',
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                                },
+                            ],
+                        },
+                    ],
+                },
+                // Should require a justification on opt-out comments
+                {
+                    code: `
+            import { query } from './_generated/server';
+            // convex-auth-public
+            export const pricing = query({ args: {}, handler: async () => [] });
+          `,
+                    filename: 'convex/pricing.ts',
+                    errors: [{ messageId: 'missingJustification', line: 3 }],
+                },
+                {
+                    code: `
+            import { query } from './_generated/server';
+            // convex-auth-public:
+            export const pricing = query({ args: {}, handler: async () => [] });
+          `,
+                    filename: 'convex/pricing.ts',
+                    errors: [{ messageId: 'missingJustification', line: 3 }],
+                },
+                // Should only exempt files matching the configured globs
+                {
+                    code: `
+            import { query } from './_generated/server';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/seed.ts',
+                    options: [{ allow: ['convex/seed/**'] }],
+                    errors: [{ messageId: 'useAuthenticatedQuery' }],
+                },
+                {
+                    code: `
+            import { query } from './_generated/server';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { authenticatedQuery } from './lib/auth';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/auth.ts',
+                    options: [{ authFiles: ['convex/lib/auth.ts'] }],
+                    errors: [{ messageId: 'useAuthenticatedQuery', data: { authModule: '"./lib/auth"' } }],
+                },
+                // Should import from the configured auth file relative to the linted file
+                {
+                    code: `
+            import { mutation } from '../_generated/server';
+            export const create = mutation({ args: {}, handler: async () => {} });
+          `,
+                    output: `
+            import { authenticatedMutation } from '../lib/auth';
+            export const create = authenticatedMutation({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes/create.ts',
+                    options: [{ authFiles: ['**/generated/*.ts', 'convex/lib/auth.ts'] }],
+                    errors: [{ messageId: 'useAuthenticatedMutation' }],
+                },
+                // Should only suggest when the auth files are all globs
+                {
+                    code: `
+            import { query } from './_generated/server';
+            export const get = query({ args: {}, handler: async () => {} });
+          `,
+                    filename: 'convex/notes.ts',
+                    options: [{ authFiles: ['**/auth.ts'] }],
+                    errors: [
+                        {
+                            messageId: 'useAuthenticatedQuery',
+                            data: { authModule: 'the file that calls createAuthenticatedMethods()' },
+                            suggestions: [
+                                {
+                                    messageId: 'replaceWithAuthenticated',
+                                    output: `
+            import { query } from './_generated/server';
+            export const get = authenticatedQuery({ args: {}, handler: async () => {} });
+          `,
+                                },
+                            ],
                         },
                     ],
                 },
@@ -200,56 +630,111 @@ describe('no-getuseridentity-in-authenticated', () => {
             noGetUserIdentityRule,
             {
                 valid: [
-                    // Should allow ctx.auth.getUserIdentity() in auth.ts
+                    // Should allow helpers that are not called from an authenticated handler
                     {
                         code: `
-            export const authenticatedQuery = () => {
-              const identity = await ctx.auth.getUserIdentity();
-              if (!identity) {
-                throw new Error('Not authenticated');
-              }
-            };
+            import { authenticatedQuery } from './auth';
+            async function getViewer(ctx) {
+              return await ctx.auth.getUserIdentity();
+            }
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => ctx.identity,
+            });
+            export const raw = async (ctx) => getViewer(ctx);
           `,
-                        filename: 'convex/auth.ts',
+                        filename: 'convex/notes.ts',
                     },
-                    // Should allow ctx.auth.getUserIdentity() outside authenticated handlers
+                    // Should allow a shadowed ctx that is not the handler's
                     {
                         code: `
-            export const someFunction = () => {
-              const identity = await ctx.auth.getUserIdentity();
-            };
+            import { authenticatedAction } from './auth';
+            export const send = authenticatedAction({
+              args: {},
+              handler: async (ctx) => {
+                return otherDeployment.run(async (ctx) => ctx.auth.getUserIdentity());
+              },
+            });
           `,
-                        filename: 'convex/notes.ts',
+                        filename: 'convex/emails.ts',
                     },
-                    // Should allow using ctx.identity inside authenticated handlers
+                    // Should not treat modules that merely start with "auth" as the auth module
                     {
                         code: `
-            import { authenticatedQuery } from './auth';
+            import { authenticatedQuery } from '../authors';
             export const get = authenticatedQuery({
               args: {},
               handler: async (ctx) => {
-                return ctx.identity.subject;
+                const identity = await ctx.auth.getUserIdentity();
               },
             });
           `,
                         filename: 'convex/notes.ts',
                     },
+                    // Should skip allowlisted files
                     {
                         code: `
-            import { authenticatedMutation } from './auth';
-            export const create = authenticatedMutation({
+            import { authenticatedMutation } from '../auth';
+            export const seed = authenticatedMutation({
               args: {},
               handler: async (ctx) => {
-                const userId = ctx.identity.subject;
-                return userId;
+                const identity = await ctx.auth.getUserIdentity();
               },
             });
           `,
-                        filename: 'convex/notes.ts',
+                        filename: 'convex/seed/users.ts',
+                        options: [{ allow: ['convex/seed/**'] }],
                     },
-                ],
-                invalid: [],
-            }
+                    // Should allow ctx.auth.getUserIdentity() in auth.ts
+                    {
+                        code: `
+            export const authenticatedQuery = () => {
+              const identity = await ctx.auth.getUserIdentity();
+              if (!identity) {
+                throw new Error('Not authenticated');
+              }
+            };
+          `,
+                        filename: 'convex/auth.ts',
+                    },
+                    // Should allow ctx.auth.getUserIdentity() outside authenticated handlers
+                    {
+                        code: `
+            export const someFunction = () => {
+              const identity = await ctx.auth.getUserIdentity();
+            };
+          `,
+                        filename: 'convex/notes.ts',
+                    },
+                    // Should allow using ctx.identity inside authenticated handlers
+                    {
+                        code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                return ctx.identity.subject;
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                    },
+                    {
+                        code: `
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({
+              args: {},
+              handler: async (ctx) => {
+                const userId = ctx.identity.subject;
+                return userId;
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                    },
+                ],
+                invalid: [],
+            }
         );
     });
 
@@ -260,6 +745,54 @@ describe('no-getuseridentity-in-authenticated', () => {
             {
                 valid: [],
                 invalid: [
+                    // Should check custom wrapper names
+                    {
+                        code: `
+            import { adminQuery } from './auth';
+            export const get = adminQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = await ctx.auth.getUserIdentity();
+              },
+            });
+          `,
+                        output: `
+            import { adminQuery } from './auth';
+            export const get = adminQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+              },
+            });
+          `,
+                        filename: 'convex/admin.ts',
+                        options: [{ wrappers: ['adminQuery'] }],
+                        errors: [{ messageId: 'useContextIdentity' }],
+                    },
+                    // Should check custom auth module paths
+                    {
+                        code: `
+            import { authenticatedQuery } from '@/lib/session.ts';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = await ctx.auth.getUserIdentity();
+              },
+            });
+          `,
+                        output: `
+            import { authenticatedQuery } from '@/lib/session.ts';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        options: [{ authModules: ['@/lib/session'] }],
+                        errors: [{ messageId: 'useContextIdentity' }],
+                    },
                     // Should error on ctx.auth.getUserIdentity() in authenticatedQuery handler
                     {
                         code: `
@@ -274,6 +807,19 @@ describe('no-getuseridentity-in-authenticated', () => {
                 return ctx.identity.subject;
               },
             });
+          `,
+                        output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+                if (!identity) {
+                  throw new Error('Not authenticated');
+                }
+                return ctx.identity.subject;
+              },
+            });
           `,
                         filename: 'convex/notes.ts',
                         errors: [
@@ -294,6 +840,16 @@ describe('no-getuseridentity-in-authenticated', () => {
                 return identity.subject;
               },
             });
+          `,
+                        output: `
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+                return identity.subject;
+              },
+            });
           `,
                         filename: 'convex/notes.ts',
                         errors: [
@@ -314,6 +870,16 @@ describe('no-getuseridentity-in-authenticated', () => {
                 return id?.subject;
               },
             });
+          `,
+                        output: `
+            import { authenticatedQuery } from '../auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const id = ctx.identity;
+                return id?.subject;
+              },
+            });
           `,
                         filename: 'convex/subfolder/notes.ts',
                         errors: [
@@ -336,6 +902,18 @@ describe('no-getuseridentity-in-authenticated', () => {
                 }
               },
             });
+          `,
+                        output: `
+            import { authenticatedMutation } from './auth';
+            export const deleteNote = authenticatedMutation({
+              args: {},
+              handler: async function(ctx) {
+                const identity = ctx.identity;
+                if (!identity) {
+                  throw new Error('Not authenticated');
+                }
+              },
+            });
           `,
                         filename: 'convex/notes.ts',
                         errors: [
@@ -345,6 +923,66 @@ describe('no-getuseridentity-in-authenticated', () => {
                             },
                         ],
                     },
+                    // Should error in maybeAuthenticatedQuery handlers
+                    {
+                        code: `
+            import { maybeAuthenticatedQuery } from './auth';
+            export const feed = maybeAuthenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = await ctx.auth.getUserIdentity();
+                return identity?.subject;
+              },
+            });
+          `,
+                        output: `
+            import { maybeAuthenticatedQuery } from './auth';
+            export const feed = maybeAuthenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+                return identity?.subject;
+              },
+            });
+          `,
+                        filename: 'convex/feed.ts',
+                        errors: [
+                            {
+                                messageId: 'useContextIdentity',
+                                type: 'MemberExpression',
+                            },
+                        ],
+                    },
+                    // Should error in authenticatedAction handlers
+                    {
+                        code: `
+            import { authenticatedAction } from './auth';
+            export const send = authenticatedAction({
+              args: {},
+              handler: async (ctx) => {
+                const identity = await ctx.auth.getUserIdentity();
+                return identity.subject;
+              },
+            });
+          `,
+                        output: `
+            import { authenticatedAction } from './auth';
+            export const send = authenticatedAction({
+              args: {},
+              handler: async (ctx) => {
+                const identity = ctx.identity;
+                return identity.subject;
+              },
+            });
+          `,
+                        filename: 'convex/emails.ts',
+                        errors: [
+                            {
+                                messageId: 'useContextIdentity',
+                                type: 'MemberExpression',
+                            },
+                        ],
+                    },
                     // Should error even in nested functions inside the handler
                     {
                         code: `
@@ -358,6 +996,18 @@ describe('no-getuseridentity-in-authenticated', () => {
                 return ctx.identity.subject;
               },
             });
+          `,
+                        output: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const helper = async () => {
+                  const identity = ctx.identity;
+                };
+                return ctx.identity.subject;
+              },
+            });
           `,
                         filename: 'convex/notes.ts',
                         errors: [
@@ -367,9 +1017,607 @@ describe('no-getuseridentity-in-authenticated', () => {
                             },
                         ],
                     },
+                    // Should follow destructured ctx parameters
+                    {
+                        code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async ({ auth, db }) => {
+                const identity = await auth.getUserIdentity();
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [{ messageId: 'useContextIdentity', type: 'MemberExpression' }],
+                    },
+                    {
+                        code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => {
+                const { getUserIdentity } = ctx.auth;
+                const identity = await getUserIdentity();
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [{ messageId: 'useContextIdentity', type: 'Identifier' }],
+                    },
+                    // Should follow renamed and aliased ctx parameters
+                    {
+                        code: `
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({
+              args: {},
+              handler: async (context, args) => {
+                const c = context;
+                const auth = c.auth;
+                const first = await context.auth.getUserIdentity();
+                const second = await auth.getUserIdentity();
+              },
+            });
+          `,
+                        output: `
+            import { authenticatedMutation } from './auth';
+            export const create = authenticatedMutation({
+              args: {},
+              handler: async (context, args) => {
+                const c = context;
+                const auth = c.auth;
+                const first = context.identity;
+                const second = await auth.getUserIdentity();
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [
+                            { messageId: 'useContextIdentity', line: 8 },
+                            { messageId: 'useContextIdentity', line: 9 },
+                        ],
+                    },
+                    // Should check handlers defined as separate functions and method shorthand
+                    {
+                        code: `
+            import { authenticatedQuery, authenticatedMutation } from './auth';
+            async function listHandler(ctx) {
+              return await ctx.auth.getUserIdentity();
+            }
+            const removeHandler = async (ctx) => {
+              const identity = await ctx.auth.getUserIdentity();
+            };
+            export const list = authenticatedQuery({ args: {}, handler: listHandler });
+            export const remove = authenticatedMutation({ args: {}, handler: removeHandler });
+            export const update = authenticatedMutation({
+              args: {},
+              async handler(ctx) {
+                const identity = await ctx.auth.getUserIdentity();
+              },
+            });
+          `,
+                        output: `
+            import { authenticatedQuery, authenticatedMutation } from './auth';
+            async function listHandler(ctx) {
+              return ctx.identity;
+            }
+            const removeHandler = async (ctx) => {
+              const identity = ctx.identity;
+            };
+            export const list = authenticatedQuery({ args: {}, handler: listHandler });
+            export const remove = authenticatedMutation({ args: {}, handler: removeHandler });
+            export const update = authenticatedMutation({
+              args: {},
+              async handler(ctx) {
+                const identity = ctx.identity;
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [
+                            { messageId: 'useContextIdentity', line: 4 },
+                            { messageId: 'useContextIdentity', line: 7 },
+                            { messageId: 'useContextIdentity', line: 14 },
+                        ],
+                    },
+                    // Should follow ctx into helper functions, without rewriting them
+                    {
+                        code: `
+            import { authenticatedQuery } from './auth';
+            async function requireOwner(queryCtx, noteId) {
+              const identity = await queryCtx.auth.getUserIdentity();
+              return loadAuth(queryCtx.auth);
+            }
+            const loadAuth = (auth) => auth.getUserIdentity();
+            export const get = authenticatedQuery({
+              args: {},
+              handler: async (ctx, args) => {
+                await requireOwner(ctx, args.noteId);
+              },
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [
+                            { messageId: 'useContextIdentity', line: 4 },
+                            { messageId: 'useContextIdentity', line: 7 },
+                        ],
+                    },
+                    // Should not rewrite calls that are not awaited
+                    {
+                        code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: {},
+              handler: (ctx) => ctx.auth.getUserIdentity(),
+            });
+          `,
+                        filename: 'convex/notes.ts',
+                        errors: [{ messageId: 'useContextIdentity' }],
+                    },
                 ],
             }
         );
     });
 });
 
+
+const requireOrgScopedQueryRule = convexAuthPlugin.rules['require-org-scoped-query'];
+
+describe('require-org-scoped-query', () => {
+    it('should pass all valid test cases', () => {
+        ruleTester.run('require-org-scoped-query', requireOrgScopedQueryRule, {
+            valid: [
+                // Should skip allowlisted files
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const backfill = organizationQuery({
+              args: {},
+              handler: async (ctx) => ctx.db.query('projects').collect(),
+            });
+          `,
+                    filename: 'convex/migrations/backfill.ts',
+                    options: [{ allow: ['convex/migrations/**'] }],
+                },
+                // Should not treat modules that merely start with "auth" as the auth module
+                {
+                    code: `
+            import { organizationQuery } from '../authors';
+            export const list = organizationQuery({
+              args: {},
+              handler: async (ctx) => ctx.db.query('projects').collect(),
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                },
+                // Should allow queries that filter by the tenant index
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: { orgId: v.string() },
+              handler: async (ctx) => {
+                return await ctx.db
+                  .query('projects')
+                  .withIndex('by_org', (q) => q.eq('orgId', ctx.org.id))
+                  .collect();
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                },
+                // Should allow compound indexes that start with the tenant field
+                {
+                    code: `
+            import { organizationMutation } from './auth';
+            export const archive = organizationMutation({
+              args: {},
+              handler: async (context) => {
+                const rows = await context.db
+                  .query('projects')
+                  .withIndex('by_org_status', (q) => q.eq('orgId', context.org.id).eq('status', 'open'))
+                  .collect();
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                },
+                // Should not mistake a shadowing db for the handler's database
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: {},
+              handler: async ({ db }) => {
+                const search = (db) => db.query('projects');
+                return search(externalIndex);
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                },
+                // Should allow unscoped queries outside organization handlers
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const list = authenticatedQuery({
+              args: {},
+              handler: async (ctx) => ctx.db.query('projects').collect(),
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                },
+                // Should allow ignored tables
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const plans = organizationQuery({
+              args: {},
+              handler: async (ctx) => ctx.db.query('plans').collect(),
+            });
+          `,
+                    filename: 'convex/plans.ts',
+                    options: [{ ignoreTables: ['plans'] }],
+                },
+                // Should honour a custom tenant field
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: {},
+              handler: async (ctx) =>
+                ctx.db.query('projects').withIndex('by_team', (q) => q.eq('teamId', ctx.org.id)).collect(),
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    options: [{ orgField: 'teamId' }],
+                },
+            ],
+            invalid: [],
+        });
+    });
+
+    it('should fail on invalid test cases', () => {
+        ruleTester.run('require-org-scoped-query', requireOrgScopedQueryRule, {
+            valid: [],
+            invalid: [
+                // Should error on queries through a db destructured from ctx
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: {},
+              handler: async ({ db }) => db.query('notes').collect(),
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'requireOrgFilter', data: { table: 'notes', orgField: 'orgId' } }],
+                },
+                // Should check handlers declared as named functions
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            async function listNotes(ctx) {
+              return ctx.db.query('notes').collect();
+            }
+            export const list = organizationQuery({ args: {}, handler: listNotes });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [{ messageId: 'requireOrgFilter' }],
+                },
+                // Should check custom organization wrappers
+                {
+                    code: `
+            import { orgMutation } from './auth';
+            export const archive = orgMutation({
+              args: {},
+              handler: async (ctx) => ctx.db.query('projects').collect(),
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    options: [{ wrappers: ['orgMutation'] }],
+                    errors: [{ messageId: 'requireOrgFilter' }],
+                },
+                // Should error on queries without an index
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: {},
+              handler: async (ctx) => {
+                return await ctx.db.query('projects').collect();
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    errors: [
+                        {
+                            messageId: 'requireOrgFilter',
+                            data: { table: 'projects', orgField: 'orgId' },
+                            type: 'CallExpression',
+                        },
+                    ],
+                },
+                // Should error on indexes that do not filter by the tenant field
+                {
+                    code: `
+            import { organizationMutation } from '../auth';
+            export const close = organizationMutation({
+              args: {},
+              handler: async (ctx) => {
+                const rows = await ctx.db
+                  .query('projects')
+                  .withIndex('by_status', (q) => q.eq('status', 'open'))
+                  .collect();
+              },
+            });
+          `,
+                    filename: 'convex/admin/projects.ts',
+                    errors: [
+                        {
+                            messageId: 'requireOrgFilter',
+                            type: 'CallExpression',
+                        },
+                    ],
+                },
+                // Should error on tenant filters applied with .filter() instead of the index
+                {
+                    code: `
+            import { organizationQuery } from './auth';
+            export const list = organizationQuery({
+              args: {},
+              handler: async (ctx) => {
+                const helper = async () =>
+                  ctx.db.query('projects').filter((q) => q.eq(q.field('orgId'), ctx.org.id)).collect();
+                return helper();
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    errors: [
+                        {
+                            messageId: 'requireOrgFilter',
+                            type: 'CallExpression',
+                        },
+                    ],
+                },
+            ],
+        });
+    });
+});
+
+const requireOwnershipCheckRule = convexAuthPlugin.rules['require-ownership-check'];
+
+describe('require-ownership-check', () => {
+    it('should pass all valid test cases', () => {
+        ruleTester.run('require-ownership-check', requireOwnershipCheckRule, {
+            valid: [
+                // Should allow documents compared with the identity
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => {
+                const note = await ctx.db.get(args.noteId);
+                if (!note || note.userId !== ctx.identity.subject) {
+                  throw new Error('Not found');
+                }
+                return note;
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                },
+                // Should allow writes after the same id was loaded and checked
+                {
+                    code: `
+            import { authenticatedMutation } from './auth';
+            export const update = authenticatedMutation({
+              args: { noteId: v.id('notes'), body: v.string() },
+              handler: async ({ db, identity }, { noteId, body }) => {
+                const note = await db.get(noteId);
+                const { subject } = identity;
+                if (note?.userId !== subject) {
+                  throw new Error('Forbidden');
+                }
+                await db.patch(noteId, { body });
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                },
+                // Should allow ids the wrapper checks through authorizeArgs
+                {
+                    code: `
+            import { authenticatedMutation } from './auth';
+            export const update = authenticatedMutation({
+              args: { noteId: v.id('notes'), body: v.string() },
+              authorizeArgs: { noteId: { table: 'notes', ownerField: 'userId' } },
+              handler: async (ctx, args) => {
+                await ctx.db.patch(args.noteId, { body: args.body });
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                },
+                // Should allow ids and documents passed to ownership helpers
+                {
+                    code: `
+            import { authenticatedMutation } from './auth';
+            export const remove = authenticatedMutation({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => {
+                assertOwner(ctx, await ctx.db.get(args.noteId));
+                await ctx.db.delete(args.noteId);
+              },
+            });
+            export const archive = authenticatedMutation({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => {
+                await permissions.requireNoteOwner(ctx, args.noteId);
+                await ctx.db.patch(args.noteId, { archived: true });
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                    options: [{ helpers: ['assertOwner', 'requireNoteOwner'] }],
+                },
+                // Should use the owner field configured for the table
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: { projectId: v.id('projects') },
+              handler: async (ctx, args) => {
+                const project = await ctx.db.get(args.projectId);
+                if (project.createdBy !== ctx.user._id) {
+                  throw new Error('Forbidden');
+                }
+                return project;
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    options: [{ ownerFields: { projects: 'createdBy' } }],
+                },
+                // Should allow ids that do not come from args, and ignored tables
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const me = authenticatedQuery({
+              args: { planId: v.id('plans') },
+              handler: async (ctx, args) => {
+                const plan = await ctx.db.get(args.planId);
+                return ctx.db.get(ctx.user._id);
+              },
+            });
+          `,
+                    filename: 'convex/users.ts',
+                    options: [{ ignoreTables: ['plans'] }],
+                },
+                // Should ignore other wrappers
+                {
+                    code: `
+            import { maybeAuthenticatedQuery } from './auth';
+            import { query } from './_generated/server';
+            export const publicNote = maybeAuthenticatedQuery({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => ctx.db.get(args.noteId),
+            });
+            export const raw = query({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => ctx.db.get(args.noteId),
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                },
+            ],
+            invalid: [],
+        });
+    });
+
+    it('should fail on invalid test cases', () => {
+        ruleTester.run('require-ownership-check', requireOwnershipCheckRule, {
+            valid: [],
+            invalid: [
+                // Should error on documents that are returned without a check
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => {
+                return await ctx.db.get(args.noteId);
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [
+                        {
+                            messageId: 'requireOwnershipCheck',
+                            data: { method: 'get', ownerField: 'userId' },
+                            type: 'CallExpression',
+                        },
+                    ],
+                },
+                // Should error on writes by id without a check
+                {
+                    code: `
+            import { authenticatedMutation } from './auth';
+            export const update = authenticatedMutation({
+              args: { noteId: v.id('notes'), body: v.string() },
+              async handler(ctx, { noteId, body }) {
+                await ctx.db.patch(noteId, { body });
+                await ctx.db.replace(noteId, { body });
+                await ctx.db.delete(noteId);
+              },
+            });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [
+                        { messageId: 'requireOwnershipCheck', data: { method: 'patch', ownerField: 'userId' } },
+                        { messageId: 'requireOwnershipCheck', data: { method: 'replace', ownerField: 'userId' } },
+                        { messageId: 'requireOwnershipCheck', data: { method: 'delete', ownerField: 'userId' } },
+                    ],
+                },
+                // Should error when the document is only compared with something other than the identity
+                {
+                    code: `
+            import { authenticatedMutation } from './auth';
+            async function removeNote(ctx, args) {
+              const { noteId } = args;
+              const note = await ctx.db.get(noteId);
+              if (note.userId !== undefined && note.userId === args.userId) {
+                await ctx.db.delete(noteId);
+              }
+            }
+            export const remove = authenticatedMutation({ args: { noteId: v.id('notes') }, handler: removeNote });
+          `,
+                    filename: 'convex/notes.ts',
+                    errors: [
+                        { messageId: 'requireOwnershipCheck', line: 5 },
+                        { messageId: 'requireOwnershipCheck', line: 7 },
+                    ],
+                },
+                // Should error when the wrong owner field is checked for the table
+                {
+                    code: `
+            import { authenticatedQuery } from './auth';
+            export const get = authenticatedQuery({
+              args: { projectId: v.id('projects') },
+              handler: async (ctx, args) => {
+                const project = await ctx.db.get('projects', args.projectId);
+                if (project.userId !== ctx.identity.subject) {
+                  throw new Error('Forbidden');
+                }
+                return project;
+              },
+            });
+          `,
+                    filename: 'convex/projects.ts',
+                    options: [{ ownerFields: { projects: 'ownerId' } }],
+                    errors: [
+                        {
+                            messageId: 'requireOwnershipCheck',
+                            data: { method: 'get', ownerField: 'ownerId' },
+                        },
+                    ],
+                },
+                // Should check custom wrappers
+                {
+                    code: `
+            import { adminMutation } from '../auth';
+            export const remove = adminMutation({
+              args: { noteId: v.id('notes') },
+              handler: async (ctx, args) => ctx.db.delete(args.noteId),
+            });
+          `,
+                    filename: 'convex/admin/notes.ts',
+                    options: [{ wrappers: ['adminMutation'] }],
+                    errors: [{ messageId: 'requireOwnershipCheck' }],
+                },
+            ],
+        });
+    });
+});
@@ -0,0 +1,425 @@
+/**
+ * `auth-methods-for-convex migrate`: rewrites raw query() and mutation() handlers that check
+ * getUserIdentity() themselves to authenticatedQuery() and authenticatedMutation().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    AUTHENTICATED_REPLACEMENTS,
+    getPropertyName,
+    findVariableInScope,
+    containsGetUserIdentity,
+    findAuthImport,
+    planImportEdits,
+} = require('./analysis');
+const { findSourceFiles, inspectFile } = require('./audit');
+
+// The module that exports the wrappers, as imported by the rewritten files
+const AUTH_FILE = /^auth\.(?:[cm]?[jt]s|[jt]sx)$/;
+
+// Written to auth.ts when the project does not have one yet
+const AUTH_TEMPLATE = `import { query, mutation, QueryCtx, MutationCtx } from './_generated/server';
+import { createAuthenticatedMethods } from 'auth-methods-for-convex';
+
+export const { authenticatedQuery, authenticatedMutation } = createAuthenticatedMethods<QueryCtx, MutationCtx>({
+  query,
+  mutation,
+});
+`;
+
+const USAGE = `Usage: auth-methods-for-convex migrate [dir] [options]
+
+Converts query() and mutation() handlers in dir (default: convex) that start with
+\`const identity = await ctx.auth.getUserIdentity(); if (!identity) throw ...\` to
+authenticatedQuery() and authenticatedMutation(), and creates dir/auth.ts if it is missing.
+
+Options:
+  --dry-run   Report the changes without writing any file
+  -h, --help  Show this help
+`;
+
+/**
+ * Checks whether a node is `<ctx>.auth.getUserIdentity()`
+ */
+function isGetUserIdentityCall(node, ctxName) {
+    return (
+        node.type === 'CallExpression' &&
+        node.callee.type === 'MemberExpression' &&
+        node.callee.property.type === 'Identifier' &&
+        node.callee.property.name === 'getUserIdentity' &&
+        node.callee.object.type === 'MemberExpression' &&
+        node.callee.object.property.type === 'Identifier' &&
+        node.callee.object.property.name === 'auth' &&
+        node.callee.object.object.type === 'Identifier' &&
+        node.callee.object.object.name === ctxName
+    );
+}
+
+/**
+ * Checks whether a condition is `!identity`, `identity === null` or `identity == null`
+ */
+function isMissingIdentityTest(test, name) {
+    const isName = node => node.type === 'Identifier' && node.name === name;
+    const isNull = node => node.type === 'Literal' && node.raw === 'null';
+    if (test.type === 'UnaryExpression') {
+        return test.operator === '!' && isName(test.argument);
+    }
+    return (
+        test.type === 'BinaryExpression' &&
+        (test.operator === '===' || test.operator === '==') &&
+        ((isName(test.left) && isNull(test.right)) || (isNull(test.left) && isName(test.right)))
+    );
+}
+
+/**
+ * Plans the rewrite of one raw handler that starts with the getUserIdentity() boilerplate. Returns the
+ * handler's edits, or the reason it has to be migrated by hand.
+ */
+function planHandlerMigration(sourceCode, call, builder) {
+    const definition = call.arguments[0];
+    const handlerProperty = definition.properties.find(
+        prop => prop.type === 'Property' && !prop.computed && getPropertyName(prop) === 'handler'
+    );
+    const handler = handlerProperty && handlerProperty.value;
+    if (!handler || !['ArrowFunctionExpression', 'FunctionExpression'].includes(handler.type)) {
+        return { reason: 'the handler is not defined inline' };
+    }
+    // authenticated wrappers require an args validator
+    if (!definition.properties.some(prop => prop.type === 'Property' && getPropertyName(prop) === 'args')) {
+        return { reason: 'the definition has no args validator' };
+    }
+    const ctxParam = handler.params[0];
+    if (!ctxParam || ctxParam.type !== 'Identifier') {
+        return { reason: 'ctx is destructured' };
+    }
+    const ctxName = ctxParam.name;
+    const [declaration, check] = handler.body.type === 'BlockStatement' ? handler.body.body : [];
+    const declarator =
+        declaration &&
+        declaration.type === 'VariableDeclaration' &&
+        declaration.declarations.length === 1 &&
+        declaration.declarations[0];
+    if (
+        !declarator ||
+        declarator.id.type !== 'Identifier' ||
+        !declarator.init ||
+        declarator.init.type !== 'AwaitExpression' ||
+        !isGetUserIdentityCall(declarator.init.argument, ctxName)
+    ) {
+        return {
+            reason: `the handler does not start with \`const identity = await ${ctxName}.auth.getUserIdentity()\``,
+        };
+    }
+    const name = declarator.id.name;
+    if (!check || check.type !== 'IfStatement' || !isMissingIdentityTest(check.test, name)) {
+        return { reason: `${name} is not checked for null right after getUserIdentity()` };
+    }
+    const nullBranch = check.consequent.type === 'BlockStatement' ? check.consequent.body : [check.consequent];
+    if (nullBranch.some(statement => statement.type === 'ReturnStatement')) {
+        const optional = builder === 'query' ? 'maybeAuthenticatedQuery' : 'maybeAuthenticatedMutation';
+        return { reason: `the null branch returns instead of throwing, consider ${optional}()` };
+    }
+    if (check.alternate || nullBranch.length !== 1 || nullBranch[0].type !== 'ThrowStatement') {
+        return { reason: 'the null branch does more than throw' };
+    }
+
+    const [variable] = sourceCode.getDeclaredVariables(declarator);
+    const ctxVariable = sourceCode.getDeclaredVariables(handler).find(candidate => candidate.name === ctxName);
+    const uses = variable.references.filter(
+        reference => reference.identifier !== declarator.id && reference.identifier.range[0] > check.range[1]
+    );
+    if (uses.some(reference => reference.isWrite())) {
+        return { reason: `${name} is reassigned` };
+    }
+    if (uses.some(reference => findVariableInScope(reference.from, ctxName) !== ctxVariable)) {
+        return { reason: `${ctxName} is shadowed where ${name} is used` };
+    }
+
+    // Remove the check up to the next statement, or up to the closing brace's line when nothing follows
+    const next = sourceCode.getTokenAfter(check, { includeComments: true });
+    const removed =
+        next.range[1] === handler.body.range[1]
+            ? [sourceCode.getTokenBefore(declaration, { includeComments: true }).range[1], check.range[1]]
+            : [declaration.range[0], next.range[0]];
+    const edits = [
+        { range: call.callee.range, text: AUTHENTICATED_REPLACEMENTS[builder].replacement },
+        { range: removed, text: '' },
+        ...uses.map(({ identifier }) => ({
+            range: identifier.range,
+            text:
+                identifier.parent.type === 'Property' && identifier.parent.shorthand
+                    ? `${name}: ${ctxName}.identity`
+                    : `${ctxName}.identity`,
+        })),
+    ];
+    // An explicit QueryCtx or MutationCtx annotation would hide ctx.identity
+    if (ctxParam.typeAnnotation) {
+        edits.push({ range: ctxParam.typeAnnotation.range, text: '' });
+    }
+    return { edits };
+}
+
+/**
+ * Plans the migration of a Convex module from raw `query()` and `mutation()` handlers that check
+ * getUserIdentity() themselves to authenticatedQuery() and authenticatedMutation().
+ *
+ * Returns the text `edits` (`{ range, text }`, not overlapping), the `converted` calls and the `skipped` ones
+ * with the reason they were left unchanged. Handlers that never call getUserIdentity() are not touched.
+ */
+function planMigration(sourceCode) {
+    // Local name -> { importedName, specifier, declaration }
+    const serverImports = new Map();
+    sourceCode.ast.body.forEach(statement => {
+        if (
+            statement.type !== 'ImportDeclaration' ||
+            !statement.source.value.includes('_generated/server') ||
+            statement.importKind === 'type'
+        ) {
+            return;
+        }
+        statement.specifiers.forEach(specifier => {
+            if (specifier.type === 'ImportSpecifier') {
+                const importedName = specifier.imported.name;
+                serverImports.set(specifier.local.name, { importedName, specifier, declaration: statement });
+            }
+        });
+    });
+
+    const edits = [];
+    const converted = [];
+    const skipped = [];
+    const convertedCallees = new Set();
+    let authImportPlan = null;
+
+    const visit = node => {
+        if (!node || typeof node.type !== 'string') {
+            return;
+        }
+        if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+            const imported = serverImports.get(node.callee.name);
+            const builder = imported && imported.importedName;
+            if (
+                (builder === 'query' || builder === 'mutation') &&
+                node.arguments.length === 1 &&
+                node.arguments[0].type === 'ObjectExpression' &&
+                containsGetUserIdentity(node.arguments[0])
+            ) {
+                const replacement = AUTHENTICATED_REPLACEMENTS[builder].replacement;
+                const authPath = imported.declaration.source.value.replace(/_generated\/server$/, 'auth');
+                const authImport = findAuthImport(sourceCode, authPath, replacement);
+                const plan =
+                    !authImport.hasName && findVariableInScope(sourceCode.getScope(node), replacement)
+                        ? { reason: `${replacement} is already declared in this file` }
+                        : planHandlerMigration(sourceCode, node, builder);
+                if (plan.edits) {
+                    edits.push(...plan.edits);
+                    convertedCallees.add(node.callee);
+                    converted.push({ line: node.loc.start.line, builder, replacement });
+                    authImportPlan = authImportPlan || {
+                        target: imported.declaration,
+                        authPath,
+                        authImport: authImport.declaration,
+                        names: new Set(),
+                    };
+                    if (!authImport.hasName) {
+                        authImportPlan.names.add(replacement);
+                    }
+                } else {
+                    skipped.push({ line: node.loc.start.line, builder, reason: plan.reason });
+                }
+            }
+        }
+        Object.keys(node).forEach(key => {
+            if (key === 'parent') {
+                return;
+            }
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value && typeof value === 'object') {
+                visit(value);
+            }
+        });
+    };
+    visit(sourceCode.ast);
+
+    if (!authImportPlan) {
+        return { edits, converted, skipped };
+    }
+
+    // Imports from _generated/server that were only used by converted calls and removed ctx annotations
+    const isDropped = identifier =>
+        convertedCallees.has(identifier) ||
+        edits.some(
+            ({ range, text }) => text === '' && range[0] <= identifier.range[0] && identifier.range[1] <= range[1]
+        );
+    const unused = new Set(
+        [...serverImports.values()]
+            .map(({ specifier }) => specifier)
+            .filter(specifier => {
+                const [variable] = sourceCode.getDeclaredVariables(specifier);
+                return (
+                    variable.references.length > 0 &&
+                    variable.references.every(reference => isDropped(reference.identifier))
+                );
+            })
+    );
+    edits.push(...planImportEdits(sourceCode, { ...authImportPlan, unused }));
+
+    return { edits, converted, skipped };
+}
+
+/**
+ * Applies non-overlapping `{ range, text }` edits to a source text
+ */
+function applyEdits(source, edits) {
+    return [...edits]
+        .sort((a, b) => b.range[0] - a.range[0] || b.range[1] - a.range[1])
+        .reduce((output, { range, text }) => output.slice(0, range[0]) + text + output.slice(range[1]), source);
+}
+
+/**
+ * Migrates the source of one file
+ *
+ * @param filename - Used to pick the parser settings and resolve relative paths
+ * @param source - The file's contents
+ * @returns The rewritten source, and the `converted` and `skipped` calls with their line and builder
+ */
+function migrateSource(filename, source) {
+    let plan = null;
+    inspectFile(filename, source, sourceCode => {
+        plan = planMigration(sourceCode);
+    });
+    return { output: applyEdits(source, plan.edits), converted: plan.converted, skipped: plan.skipped };
+}
+
+/**
+ * Migrates every function file of a Convex directory. The auth module itself is left alone.
+ *
+ * @param dir - The Convex functions directory
+ * @param options - `dryRun` to report the changes without writing them
+ * @returns The `converted` and `skipped` calls with their file, the files that could not be parsed,
+ *   and `authFile`: `created`, `exists` or null when nothing was converted
+ */
+function migrateProject(dir, options = {}) {
+    const converted = [];
+    const skipped = [];
+    const errors = [];
+    findSourceFiles(dir).forEach(filename => {
+        const file = path.relative(dir, filename).split(path.sep).join('/');
+        if (AUTH_FILE.test(file)) {
+            return;
+        }
+        const source = fs.readFileSync(filename, 'utf8');
+        let result;
+        try {
+            result = migrateSource(filename, source);
+        } catch (error) {
+            errors.push({ file, message: error.message });
+            return;
+        }
+        converted.push(...result.converted.map(entry => ({ file, ...entry })));
+        skipped.push(...result.skipped.map(entry => ({ file, ...entry })));
+        if (result.output !== source && !options.dryRun) {
+            fs.writeFileSync(filename, result.output);
+        }
+    });
+
+    let authFile = null;
+    if (converted.length > 0) {
+        authFile = fs.readdirSync(dir).some(name => AUTH_FILE.test(name)) ? 'exists' : 'created';
+        if (authFile === 'created' && !options.dryRun) {
+            fs.writeFileSync(path.join(dir, 'auth.ts'), AUTH_TEMPLATE);
+        }
+    }
+    return { converted, skipped, errors, authFile };
+}
+
+/**
+ * Parses the command line, or returns an error message
+ */
+function parseArgs(argv) {
+    const args = { dir: 'convex', dryRun: false };
+    const rest = [...argv];
+    if (rest.shift() !== 'migrate') {
+        return { error: 'Unknown command' };
+    }
+    let dirSet = false;
+    while (rest.length > 0) {
+        const arg = rest.shift();
+        if (arg === '--help' || arg === '-h') {
+            args.help = true;
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (!arg.startsWith('-') && !dirSet) {
+            args.dir = arg;
+            dirSet = true;
+        } else {
+            return { error: `Unknown option ${arg}` };
+        }
+    }
+    return { args };
+}
+
+/**
+ * Runs the command and returns its exit code: 0 once the files were migrated, even when some handlers
+ * were left for a manual review, and 2 for usage and parse errors
+ */
+function run(argv, io = {}) {
+    const cwd = io.cwd || process.cwd();
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+
+    const { args, error } = parseArgs(argv);
+    if (error) {
+        stderr.write(`${error}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    const dir = path.resolve(cwd, args.dir);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        stderr.write(`${args.dir} is not a directory\n`);
+        return 2;
+    }
+
+    const { converted, skipped, errors, authFile } = migrateProject(dir, { dryRun: args.dryRun });
+    const verb = args.dryRun ? 'Would convert' : 'Converted';
+    if (converted.length === 0 && skipped.length === 0) {
+        stdout.write('No query() or mutation() handlers call getUserIdentity()\n');
+    }
+    if (converted.length > 0) {
+        stdout.write(
+            `${verb} ${converted.length} function(s):\n` +
+                converted
+                    .map(entry => `  ${entry.file}:${entry.line}  ${entry.builder}() -> ${entry.replacement}()\n`)
+                    .join('')
+        );
+    }
+    if (skipped.length > 0) {
+        stdout.write(
+            `Left ${skipped.length} function(s) unchanged:\n` +
+                skipped.map(entry => `  ${entry.file}:${entry.line}  ${entry.builder}(): ${entry.reason}\n`).join('')
+        );
+    }
+    if (authFile === 'created') {
+        stdout.write(`${args.dryRun ? 'Would create' : 'Created'} ${path.join(args.dir, 'auth.ts')}\n`);
+    }
+    if (authFile === 'exists') {
+        const existing = fs.readdirSync(dir).find(name => AUTH_FILE.test(name));
+        if (!fs.readFileSync(path.join(dir, existing), 'utf8').includes('createAuthenticatedMethods')) {
+            stderr.write(
+                `${existing} does not call createAuthenticatedMethods. ` +
+                    'Export authenticatedQuery and authenticatedMutation from it.\n'
+            );
+        }
+    }
+
+    errors.forEach(({ file, message }) => stderr.write(`Could not parse ${file}: ${message}\n`));
+    return errors.length > 0 ? 2 : 0;
+}
+
+module.exports = { migrateProject, migrateSource, run };
@@ -0,0 +1,343 @@
+/**
+ * Tests for the auth-methods-for-convex migrate command
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { migrateProject, migrateSource, run } from './migrate.js';
+
+let root;
+
+/**
+ * Writes files relative to the temporary project root
+ */
+function writeFiles(files) {
+    Object.entries(files).forEach(([name, contents]) => {
+        const filename = path.join(root, name);
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+        fs.writeFileSync(filename, contents);
+    });
+}
+
+/**
+ * Runs the command in the temporary project and captures its output
+ */
+function runMigrate(argv) {
+    let stdout = '';
+    let stderr = '';
+    const code = run(argv, {
+        cwd: root,
+        stdout: { write: text => (stdout += text) },
+        stderr: { write: text => (stderr += text) },
+    });
+    return { code, stdout, stderr };
+}
+
+/**
+ * Migrates a source as if it were convex/notes.ts
+ */
+function migrate(source) {
+    return migrateSource(path.join(os.tmpdir(), 'convex', 'notes.ts'), source);
+}
+
+const NOTES = `import { query, mutation, QueryCtx } from './_generated/server';
+import { v } from 'convex/values';
+
+export const list = query({
+  args: {},
+  handler: async (ctx: QueryCtx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+      throw new Error('Not authenticated');
+    }
+
+    return ctx.db.query('notes').withIndex('by_user', (q) => q.eq('userId', identity.subject)).collect();
+  },
+});
+
+export const create = mutation({
+  args: { text: v.string() },
+  handler: async (ctx, args) => {
+    const user = await ctx.auth.getUserIdentity();
+    if (user === null) throw new Error('Unauthorized');
+    await ctx.db.insert('notes', { text: args.text, user });
+  },
+});
+
+export const feed = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+      return [];
+    }
+    return ctx.db.query('notes').collect();
+  },
+});
+`;
+
+const MIGRATED_NOTES = `import { query } from './_generated/server';
+import { authenticatedMutation, authenticatedQuery } from './auth';
+import { v } from 'convex/values';
+
+export const list = authenticatedQuery({
+  args: {},
+  handler: async (ctx) => {
+    return ctx.db.query('notes').withIndex('by_user', (q) => q.eq('userId', ctx.identity.subject)).collect();
+  },
+});
+
+export const create = authenticatedMutation({
+  args: { text: v.string() },
+  handler: async (ctx, args) => {
+    await ctx.db.insert('notes', { text: args.text, user: ctx.identity });
+  },
+});
+
+export const feed = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+      return [];
+    }
+    return ctx.db.query('notes').collect();
+  },
+});
+`;
+
+beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'convex-auth-migrate-'));
+    writeFiles({
+        'convex/notes.ts': NOTES,
+        'convex/_generated/server.ts': 'export const query = () => {};',
+    });
+});
+
+afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+describe('migrateSource', () => {
+    it('should convert handlers that throw without an identity and report the others', () => {
+        const { output, converted, skipped } = migrate(NOTES);
+
+        expect(output).toBe(MIGRATED_NOTES);
+        expect(converted).toEqual([
+            { line: 4, builder: 'query', replacement: 'authenticatedQuery' },
+            { line: 16, builder: 'mutation', replacement: 'authenticatedMutation' },
+        ]);
+        expect(skipped).toEqual([
+            {
+                line: 25,
+                builder: 'query',
+                reason: 'the null branch returns instead of throwing, consider maybeAuthenticatedQuery()',
+            },
+        ]);
+    });
+
+    it('should add to an existing auth import and keep imports that are still used', () => {
+        const { output } = migrate(`import {
+  query,
+  mutation,
+} from '../_generated/server';
+import { authenticatedQuery } from '../auth';
+
+export const get = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+    return identity.email;
+  },
+});
+
+export const remove = mutation({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (identity == null) {
+      throw new ConvexError('Not authenticated');
+    }
+  },
+});
+
+export const count = query({ args: {}, handler: async () => 0 });
+`);
+
+        expect(output).toBe(`import {
+  query,
+} from '../_generated/server';
+import { authenticatedQuery, authenticatedMutation } from '../auth';
+
+export const get = authenticatedQuery({
+  args: {},
+  handler: async (ctx) => {
+    return ctx.identity.email;
+  },
+});
+
+export const remove = authenticatedMutation({
+  args: {},
+  handler: async (ctx) => {
+  },
+});
+
+export const count = query({ args: {}, handler: async () => 0 });
+`);
+    });
+
+    it('should leave handlers it cannot rewrite safely', () => {
+        const { output, converted, skipped } = migrate(`import { query, mutation } from './_generated/server';
+
+export const a = query({
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+  },
+});
+
+export const b = query({
+  args: {},
+  handler: async ({ auth }) => {
+    const identity = await auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+  },
+});
+
+export const c = mutation({
+  args: {},
+  handler: async (ctx) => {
+    await ctx.db.insert('events', {});
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+  },
+});
+
+export const d = mutation({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+      console.log('anonymous');
+      throw new Error('Not authenticated');
+    }
+  },
+});
+
+export const e = mutation({
+  args: {},
+  handler: async (ctx) => {
+    let identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+    identity = null;
+  },
+});
+
+export const f = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+    return [1].map((ctx) => identity.subject);
+  },
+});
+
+export const g = query({ args: {}, handler: async () => null });
+`);
+
+        expect(converted).toEqual([]);
+        expect(output).toContain("import { query, mutation } from './_generated/server';");
+        expect(skipped.map(({ line, reason }) => [line, reason])).toEqual([
+            [3, 'the definition has no args validator'],
+            [10, 'ctx is destructured'],
+            [18, 'the handler does not start with `const identity = await ctx.auth.getUserIdentity()`'],
+            [27, 'the null branch does more than throw'],
+            [38, 'identity is reassigned'],
+            [47, 'ctx is shadowed where identity is used'],
+        ]);
+    });
+
+    it('should not shadow a local binding with the wrapper name', () => {
+        const { converted, skipped } = migrate(`import { query } from './_generated/server';
+const authenticatedQuery = 1;
+
+export const get = query({
+  args: {},
+  handler: async (ctx) => {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) throw new Error('Not authenticated');
+  },
+});
+`);
+
+        expect(converted).toEqual([]);
+        expect(skipped[0].reason).toBe('authenticatedQuery is already declared in this file');
+    });
+});
+
+describe('migrateProject', () => {
+    it('should rewrite the files and create auth.ts', () => {
+        const { converted, skipped, errors, authFile } = migrateProject(path.join(root, 'convex'));
+
+        expect(converted.map(entry => `${entry.file}:${entry.line}`)).toEqual(['notes.ts:4', 'notes.ts:16']);
+        expect(skipped).toHaveLength(1);
+        expect(errors).toEqual([]);
+        expect(authFile).toBe('created');
+        expect(fs.readFileSync(path.join(root, 'convex/notes.ts'), 'utf8')).toBe(MIGRATED_NOTES);
+        expect(fs.readFileSync(path.join(root, 'convex/auth.ts'), 'utf8')).toContain(
+            'createAuthenticatedMethods<QueryCtx, MutationCtx>'
+        );
+    });
+
+    it('should keep an existing auth module and write nothing on a dry run', () => {
+        writeFiles({ 'convex/auth.ts': 'export const { authenticatedQuery } = createAuthenticatedMethods({});\n' });
+
+        const { authFile } = migrateProject(path.join(root, 'convex'), { dryRun: true });
+
+        expect(authFile).toBe('exists');
+        expect(fs.readFileSync(path.join(root, 'convex/notes.ts'), 'utf8')).toBe(NOTES);
+    });
+});
+
+describe('run', () => {
+    it('should list the converted and skipped functions', () => {
+        const { code, stdout, stderr } = runMigrate(['migrate']);
+
+        expect(code).toBe(0);
+        expect(stderr).toBe('');
+        expect(stdout).toBe(
+            'Converted 2 function(s):\n' +
+                '  notes.ts:4  query() -> authenticatedQuery()\n' +
+                '  notes.ts:16  mutation() -> authenticatedMutation()\n' +
+                'Left 1 function(s) unchanged:\n' +
+                '  notes.ts:25  query(): the null branch returns instead of throwing, ' +
+                'consider maybeAuthenticatedQuery()\n' +
+                `Created ${path.join('convex', 'auth.ts')}\n`
+        );
+    });
+
+    it('should warn when the existing auth module does not create the wrappers', () => {
+        writeFiles({ 'convex/auth.ts': "export { auth } from './lib/auth';\n" });
+
+        const { code, stdout, stderr } = runMigrate(['migrate', 'convex', '--dry-run']);
+
+        expect(code).toBe(0);
+        expect(stdout).toContain('Would convert 2 function(s):');
+        expect(stderr).toContain('auth.ts does not call createAuthenticatedMethods');
+        expect(fs.readFileSync(path.join(root, 'convex/notes.ts'), 'utf8')).toBe(NOTES);
+    });
+
+    it('should exit with 2 for usage and parse errors', () => {
+        expect(runMigrate(['migrate', '--force']).stderr).toContain('Unknown option --force');
+        expect(runMigrate(['migrate', 'missing']).code).toBe(2);
+        expect(runMigrate(['migrate', '--help'])).toMatchObject({ code: 0, stdout: expect.stringContaining('Usage:') });
+
+        writeFiles({ 'convex/broken.ts': 'export const = ;' });
+        const { code, stderr } = runMigrate(['migrate']);
+        expect(code).toBe(2);
+        expect(stderr).toContain('Could not parse broken.ts');
+    });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, vi } from 'vitest';
+import { defineApiKeyMutations, hashApiKey, verifyApiKey, withApiKeyArg } from './apiKeys';
+import { AuthErrorCode, ForbiddenError, UnauthenticatedError } from './errors';
+import { v } from 'convex/values';
+
+type KeyDoc = {
+    _id: string;
+    name: string;
+    hash: string;
+    hint: string;
+    scopes: string[];
+    expiresAt?: number;
+    revokedAt?: number;
+};
+
+function createMockDb(docs: KeyDoc[] = []) {
+    const rows = new Map(docs.map(doc => [doc._id, doc]));
+    return {
+        rows,
+        get: vi.fn(async (id: string) => rows.get(id) ?? null),
+        query: vi.fn(() => ({
+            withIndex: vi.fn((_index: string, build: (q: any) => string) => {
+                const hash = build({ eq: (_field: string, value: string) => value });
+                return { unique: vi.fn(async () => [...rows.values()].find(doc => doc.hash === hash) ?? null) };
+            }),
+        })),
+        insert: vi.fn(async (_table: string, doc: Omit<KeyDoc, '_id'>) => {
+            const _id = `apiKeys:${rows.size + 1}`;
+            rows.set(_id, { _id, ...doc });
+            return _id;
+        }),
+        patch: vi.fn(async (id: string, fields: Partial<KeyDoc>) => {
+            rows.set(id, { ...rows.get(id)!, ...fields });
+        }),
+    };
+}
+
+const config = { table: 'apiKeys' };
+
+describe('hashApiKey', () => {
+    it('should return the hex encoded SHA-256 of the key', async () => {
+        await expect(hashApiKey('abc')).resolves.toBe(
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+        );
+    });
+});
+
+describe('verifyApiKey', () => {
+    const key = 'sk_live';
+    const createDb = async (fields: Partial<KeyDoc> = {}) =>
+        createMockDb([
+            {
+                _id: 'apiKeys:1',
+                name: 'billing-cron',
+                hash: await hashApiKey(key),
+                hint: 'sk_live',
+                scopes: ['notes:read'],
+                ...fields,
+            },
+        ]);
+
+    it('should return a service identity for valid keys', async () => {
+        await expect(verifyApiKey(await createDb(), config, key, ['notes:read'], 0)).resolves.toEqual({
+            kind: 'service',
+            subject: 'service:billing-cron',
+            tokenIdentifier: 'api-key|apiKeys:1',
+            issuer: 'api-key',
+            keyId: 'apiKeys:1',
+            name: 'billing-cron',
+            scopes: ['notes:read'],
+        });
+    });
+
+    it('should reject unknown, revoked and expired keys as unauthenticated', async () => {
+        const db = await createDb();
+
+        await expect(verifyApiKey(db, config, 'sk_wrong', [], 0)).rejects.toMatchObject({
+            data: { code: AuthErrorCode.UNAUTHENTICATED, message: 'Invalid API key' },
+        });
+        await expect(verifyApiKey(await createDb({ revokedAt: 1 }), config, key, [], 0)).rejects.toMatchObject({
+            data: { message: 'API key has been revoked' },
+        });
+        await expect(verifyApiKey(await createDb({ expiresAt: 100 }), config, key, [], 100)).rejects.toBeInstanceOf(
+            UnauthenticatedError
+        );
+        await expect(verifyApiKey(await createDb({ expiresAt: 100 }), config, key, [], 99)).resolves.toBeDefined();
+    });
+
+    it('should forbid keys missing a required scope', async () => {
+        const verify = async () => verifyApiKey(await createDb(), config, key, ['notes:read', 'notes:write'], 0);
+
+        await expect(verify()).rejects.toBeInstanceOf(ForbiddenError);
+        await expect(verify()).rejects.toMatchObject({ data: { message: 'API key is missing scope "notes:write"' } });
+    });
+});
+
+describe('withApiKeyArg', () => {
+    it('should add an optional apiKey argument', () => {
+        const args = withApiKeyArg({ noteId: v.string() });
+
+        expect(Object.keys(args)).toEqual(['noteId', 'apiKey']);
+        expect(args.apiKey.isOptional).toBe('optional');
+    });
+});
+
+describe('defineApiKeyMutations', () => {
+    const mutation = vi.fn((definition: any) => definition);
+
+    it('should create keys, storing only their hash', async () => {
+        const db = createMockDb();
+        const { create } = defineApiKeyMutations(mutation, config);
+
+        const { keyId, key } = await create.handler({ db }, { name: 'billing-cron', scopes: ['notes:read'] });
+
+        expect(key).toMatch(/^sk_[0-9a-f]{64}$/);
+        expect(db.rows.get(keyId)).toEqual({
+            _id: keyId,
+            name: 'billing-cron',
+            scopes: ['notes:read'],
+            hash: await hashApiKey(key),
+            hint: key.slice(0, 11),
+        });
+        await expect(verifyApiKey(db, config, key, ['notes:read'], 0)).resolves.toMatchObject({ keyId });
+    });
+
+    it('should rotate keys, revoking the old one', async () => {
+        const db = createMockDb();
+        const { create, rotate } = defineApiKeyMutations(mutation, config);
+        const old = await create.handler({ db }, { name: 'billing-cron', scopes: ['notes:read'], expiresAt: 500 });
+
+        const rotated = await rotate.handler({ db }, { keyId: old.keyId });
+
+        expect(rotated.key).not.toBe(old.key);
+        await expect(verifyApiKey(db, config, old.key, [], 0)).rejects.toBeInstanceOf(UnauthenticatedError);
+        await expect(verifyApiKey(db, config, rotated.key, ['notes:read'], 0)).resolves.toMatchObject({
+            name: 'billing-cron',
+        });
+        expect(db.rows.get(rotated.keyId)).toMatchObject({ expiresAt: 500 });
+    });
+
+    it('should revoke keys and refuse to touch revoked keys again', async () => {
+        const db = createMockDb();
+        const { create, revoke, rotate } = defineApiKeyMutations(mutation, config);
+        const { keyId, key } = await create.handler({ db }, { name: 'billing-cron', scopes: [] });
+
+        await revoke.handler({ db }, { keyId });
+
+        await expect(verifyApiKey(db, config, key, [], 0)).rejects.toBeInstanceOf(UnauthenticatedError);
+        await expect(rotate.handler({ db }, { keyId })).rejects.toThrow('does not exist or has been revoked');
+        await expect(revoke.handler({ db }, { keyId: 'apiKeys:missing' })).rejects.toThrow('does not exist');
+    });
+});
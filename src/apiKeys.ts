@@ -0,0 +1,187 @@
+import { v, type PropertyValidators, type Validator } from 'convex/values';
+import { ForbiddenError, UnauthenticatedError } from './errors';
+
+/**
+ * Configuration for the `serviceAuth` option of createAuthenticatedMethods
+ */
+export type ServiceAuthConfig = {
+    /** Table storing one row per API key */
+    table: string;
+    /** Index on the table over `['hash']` (defaults to `by_hash`) */
+    index?: string;
+};
+
+/**
+ * Extra definition options accepted by the query and mutation wrappers
+ */
+export type ServiceOptions = {
+    /** Also accept an API key in the `apiKey` argument. With `scopes`, the key must have every listed scope. */
+    service?: true | { scopes: string[] };
+};
+
+/**
+ * The identity of a caller authenticated with an API key
+ */
+export type ServiceIdentity = {
+    kind: 'service';
+    /** `service:<name>`, so rate limits and audit events are keyed by the key's name */
+    subject: string;
+    tokenIdentifier: string;
+    issuer: 'api-key';
+    keyId: string;
+    name: string;
+    scopes: string[];
+};
+
+/**
+ * Validators for the fields of the API key table
+ *
+ * @example
+ * ```typescript
+ * export default defineSchema({
+ *   apiKeys: defineTable(apiKeyFields).index('by_hash', ['hash']),
+ * });
+ * ```
+ */
+export const apiKeyFields = {
+    name: v.string(),
+    /** SHA-256 of the key, hex encoded. The key itself is never stored. */
+    hash: v.string(),
+    /** The first characters of the key, to tell keys apart in dashboards */
+    hint: v.string(),
+    scopes: v.array(v.string()),
+    expiresAt: v.optional(v.number()),
+    revokedAt: v.optional(v.number()),
+};
+
+const DEFAULT_INDEX = 'by_hash';
+const KEY_PREFIX = 'sk_';
+const HINT_LENGTH = 8;
+
+/**
+ * SHA-256 of an API key, hex encoded
+ */
+export async function hashApiKey(key: string): Promise<string> {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Adds the optional `apiKey` argument to the args validator of a definition that accepts API keys
+ */
+export function withApiKeyArg<Args extends PropertyValidators>(
+    args: Args
+): Args & { apiKey: Validator<string | undefined, 'optional'> } {
+    return { ...args, apiKey: v.optional(v.string()) };
+}
+
+/**
+ * Looks the key up by its hash and returns the service identity it grants.
+ * Unknown, revoked and expired keys are unauthenticated; keys missing a scope are forbidden.
+ */
+export async function verifyApiKey(
+    db: any,
+    config: ServiceAuthConfig,
+    key: string,
+    scopes: string[],
+    now: number
+): Promise<ServiceIdentity> {
+    const hash = await hashApiKey(key);
+    const doc = await db
+        .query(config.table)
+        .withIndex(config.index ?? DEFAULT_INDEX, (q: any) => q.eq('hash', hash))
+        .unique();
+    if (!doc) {
+        throw new UnauthenticatedError('Invalid API key');
+    }
+    if (doc.revokedAt !== undefined) {
+        throw new UnauthenticatedError('API key has been revoked');
+    }
+    if (doc.expiresAt !== undefined && doc.expiresAt <= now) {
+        throw new UnauthenticatedError('API key has expired');
+    }
+    const missing = scopes.find(scope => !doc.scopes.includes(scope));
+    if (missing) {
+        throw new ForbiddenError(`API key is missing scope "${missing}"`);
+    }
+    return {
+        kind: 'service',
+        subject: `service:${doc.name}`,
+        tokenIdentifier: `api-key|${doc._id}`,
+        issuer: 'api-key',
+        keyId: doc._id,
+        name: doc.name,
+        scopes: doc.scopes,
+    };
+}
+
+function generateApiKey(): string {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return KEY_PREFIX + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function insertApiKey(db: any, table: string, fields: { name: string; scopes: string[]; expiresAt?: number }) {
+    const key = generateApiKey();
+    const keyId = await db.insert(table, {
+        ...fields,
+        hash: await hashApiKey(key),
+        hint: key.slice(0, KEY_PREFIX.length + HINT_LENGTH),
+    });
+    return { keyId, key };
+}
+
+/**
+ * Creates the mutations that manage API keys. Build them with `internalMutation`, or an admin-only
+ * wrapper, so only trusted callers can mint keys. Created and rotated keys are returned once and
+ * only their hash is stored.
+ *
+ * - `create({ name, scopes, expiresAt? })` returns `{ keyId, key }`
+ * - `rotate({ keyId, expiresAt? })` revokes the key and returns a new one with the same name and scopes
+ * - `revoke({ keyId })` revokes the key
+ *
+ * @example
+ * ```typescript
+ * export const { create: createApiKey, rotate: rotateApiKey, revoke: revokeApiKey } =
+ *   defineApiKeyMutations(internalMutation, { table: 'apiKeys' });
+ * ```
+ */
+export function defineApiKeyMutations<Builder extends (definition: any) => any>(
+    mutation: Builder,
+    config: Pick<ServiceAuthConfig, 'table'>
+): { create: ReturnType<Builder>; rotate: ReturnType<Builder>; revoke: ReturnType<Builder> } {
+    const loadActiveKey = async (db: any, keyId: string) => {
+        const doc = await db.get(keyId);
+        if (!doc || doc.revokedAt !== undefined) {
+            throw new Error(`API key ${keyId} does not exist or has been revoked`);
+        }
+        return doc;
+    };
+
+    return {
+        create: mutation({
+            args: { name: v.string(), scopes: v.array(v.string()), expiresAt: v.optional(v.number()) },
+            handler: async (ctx: any, args: { name: string; scopes: string[]; expiresAt?: number }) =>
+                insertApiKey(ctx.db, config.table, args),
+        }),
+        rotate: mutation({
+            args: { keyId: v.id(config.table), expiresAt: v.optional(v.number()) },
+            handler: async (ctx: any, args: { keyId: string; expiresAt?: number }) => {
+                const doc = await loadActiveKey(ctx.db, args.keyId);
+                await ctx.db.patch(doc._id, { revokedAt: Date.now() });
+                return insertApiKey(ctx.db, config.table, {
+                    name: doc.name,
+                    scopes: doc.scopes,
+                    expiresAt: args.expiresAt ?? doc.expiresAt,
+                });
+            },
+        }),
+        revoke: mutation({
+            args: { keyId: v.id(config.table) },
+            handler: async (ctx: any, args: { keyId: string }) => {
+                const doc = await loadActiveKey(ctx.db, args.keyId);
+                await ctx.db.patch(doc._id, { revokedAt: Date.now() });
+                return null;
+            },
+        }),
+    };
+}
@@ -0,0 +1,156 @@
+import { describe, it, expect, vi } from 'vitest';
+import { auditTableSink, redactArgs, runAudited, type AuditEvent } from './audit';
+import { ForbiddenError, IdentityInvalidError, ReauthRequiredError, UnauthenticatedError } from './errors';
+
+const info = { functionName: 'notes:update', kind: 'mutation' as const, args: { noteId: 'n1' } };
+
+describe('redactArgs', () => {
+    it('should redact matching keys at any depth, case-insensitively', () => {
+        expect(
+            redactArgs({
+                email: 'ada@example.com',
+                password: 'hunter2',
+                nested: { accessToken: 'abc', items: [{ clientSecret: 'x', name: 'kept' }] },
+                apikey: 'k',
+            })
+        ).toEqual({
+            email: 'ada@example.com',
+            password: '[REDACTED]',
+            nested: { accessToken: '[REDACTED]', items: [{ clientSecret: '[REDACTED]', name: 'kept' }] },
+            apikey: '[REDACTED]',
+        });
+    });
+
+    it('should use the configured names instead of the defaults', () => {
+        expect(redactArgs({ password: 'hunter2', ssn: '123' }, ['ssn'])).toEqual({
+            password: 'hunter2',
+            ssn: '[REDACTED]',
+        });
+    });
+
+    it('should leave values that are not plain objects alone', () => {
+        const bytes = new ArrayBuffer(4);
+
+        expect(redactArgs({ file: bytes, count: 1, tags: ['a'] })).toEqual({ file: bytes, count: 1, tags: ['a'] });
+    });
+});
+
+describe('runAudited', () => {
+    it('should report successful calls with the subject, redacted args and duration', async () => {
+        const onCall = vi.fn();
+        const ctx = { db: {} };
+
+        const result = await runAudited({ onCall }, ctx, { ...info, args: { token: 't' } }, async setSubject => {
+            setSubject('user-123');
+            return 'done';
+        });
+
+        expect(result).toBe('done');
+        expect(onCall).toHaveBeenCalledWith(
+            {
+                functionName: 'notes:update',
+                kind: 'mutation',
+                subject: 'user-123',
+                args: { token: '[REDACTED]' },
+                outcome: 'success',
+                errorCode: null,
+                durationMs: expect.any(Number),
+                timestamp: expect.any(Number),
+            },
+            ctx
+        );
+    });
+
+    it('should report failed authentication and authorization before rethrowing', async () => {
+        const onCall = vi.fn();
+        const outcomes = async (error: Error) => {
+            await expect(
+                runAudited({ onCall }, {}, info, async () => {
+                    throw error;
+                })
+            ).rejects.toBe(error);
+            return onCall.mock.calls[onCall.mock.calls.length - 1][0] as AuditEvent;
+        };
+
+        await expect(outcomes(new UnauthenticatedError())).resolves.toMatchObject({
+            outcome: 'unauthenticated',
+            errorCode: 'UNAUTHENTICATED',
+            subject: null,
+        });
+        await expect(outcomes(new IdentityInvalidError())).resolves.toMatchObject({
+            outcome: 'unauthenticated',
+            errorCode: 'IDENTITY_INVALID',
+        });
+        await expect(outcomes(new ReauthRequiredError('stale'))).resolves.toMatchObject({
+            outcome: 'unauthenticated',
+            errorCode: 'REAUTH_REQUIRED',
+        });
+        await expect(outcomes(new ForbiddenError())).resolves.toMatchObject({
+            outcome: 'forbidden',
+            errorCode: 'FORBIDDEN',
+        });
+        await expect(outcomes(new Error('boom'))).resolves.toMatchObject({ outcome: 'error', errorCode: null });
+    });
+
+    it('should fail successful calls when the hook fails, but not mask call errors', async () => {
+        const onCall = vi.fn().mockRejectedValue(new Error('audit down'));
+        const error = new Error('boom');
+
+        await expect(runAudited({ onCall }, {}, info, async () => 'done')).rejects.toThrow('audit down');
+        await expect(
+            runAudited({ onCall }, {}, info, async () => {
+                throw error;
+            })
+        ).rejects.toBe(error);
+    });
+
+    it('should only audit the configured kinds', async () => {
+        const onCall = vi.fn();
+
+        await runAudited({ onCall }, {}, { ...info, kind: 'query' }, async () => 'done');
+        await runAudited({ onCall, kinds: ['query'] }, {}, { ...info, kind: 'query' }, async () => 'done');
+        await runAudited({ onCall }, {}, { ...info, kind: 'query', always: true }, async () => 'done');
+
+        expect(onCall).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report the real subject of impersonated calls', async () => {
+        const onCall = vi.fn();
+
+        await runAudited({ onCall }, {}, info, async setSubject => {
+            setSubject('user-123', 'admin-1');
+        });
+
+        expect(onCall.mock.calls[0][0]).toMatchObject({ subject: 'user-123', impersonatedBy: 'admin-1' });
+    });
+});
+
+describe('auditTableSink', () => {
+    const event: AuditEvent = {
+        functionName: 'notes:update',
+        kind: 'mutation',
+        subject: 'user-123',
+        args: {},
+        outcome: 'success',
+        errorCode: null,
+        durationMs: 0,
+        timestamp: 1,
+    };
+
+    it('should insert mutation events into the table', async () => {
+        const ctx = { db: { insert: vi.fn() } };
+
+        await auditTableSink('auditLog')(event, ctx);
+
+        expect(ctx.db.insert).toHaveBeenCalledWith('auditLog', event);
+    });
+
+    it('should skip queries and actions', async () => {
+        const ctx = { db: { insert: vi.fn() } };
+
+        await auditTableSink('auditLog')({ ...event, kind: 'query' }, ctx);
+        await auditTableSink('auditLog')({ ...event, kind: 'action' }, {});
+
+        expect(ctx.db.insert).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,175 @@
+import { v } from 'convex/values';
+import { AuthErrorCode, getAuthErrorCode } from './errors';
+import type { FunctionKind } from './middleware';
+
+/**
+ * How an audited call ended. Identity and authorization failures are reported
+ * separately from errors thrown by the handler.
+ */
+export type AuditOutcome = 'success' | 'unauthenticated' | 'forbidden' | 'error';
+
+/**
+ * One authenticated call, as passed to the audit hook
+ */
+export type AuditEvent = {
+    /** The definition's `name`, or null when it has none */
+    functionName: string | null;
+    kind: FunctionKind;
+    /** The caller's identity subject, or null when there is no valid identity */
+    subject: string | null;
+    /** The real subject of an admin impersonating `subject` */
+    impersonatedBy?: string;
+    /** The call's args with redacted fields replaced by `[REDACTED]` */
+    args: Record<string, unknown>;
+    outcome: AuditOutcome;
+    /** The auth error code for failed calls, null otherwise */
+    errorCode: AuthErrorCode | null;
+    durationMs: number;
+    timestamp: number;
+};
+
+/**
+ * Receives every audited call. `ctx` is the unmodified Convex ctx of the call.
+ */
+export type AuditHook = (event: AuditEvent, ctx: any) => void | Promise<void>;
+
+/**
+ * Configuration for the `audit` option of createAuthenticatedMethods
+ */
+export type AuditConfig = {
+    onCall: AuditHook;
+    /**
+     * Arg names whose values are redacted, matched case-insensitively anywhere in the name
+     * and at any depth (defaults to `password`, `token`, `secret` and `apiKey`)
+     */
+    redact?: string[];
+    /** Function kinds to audit (defaults to mutations and actions) */
+    kinds?: FunctionKind[];
+};
+
+const DEFAULT_REDACT = ['password', 'token', 'secret', 'apiKey'];
+const DEFAULT_KINDS: FunctionKind[] = ['mutation', 'action'];
+const REDACTED = '[REDACTED]';
+
+/**
+ * Validators for the fields of an audit table written by auditTableSink
+ *
+ * @example
+ * ```typescript
+ * export default defineSchema({
+ *   auditLog: defineTable(auditEventFields).index('by_subject', ['subject']),
+ * });
+ * ```
+ */
+export const auditEventFields = {
+    functionName: v.union(v.string(), v.null()),
+    kind: v.union(v.literal('query'), v.literal('mutation'), v.literal('action')),
+    subject: v.union(v.string(), v.null()),
+    impersonatedBy: v.optional(v.string()),
+    args: v.any(),
+    outcome: v.union(v.literal('success'), v.literal('unauthenticated'), v.literal('forbidden'), v.literal('error')),
+    errorCode: v.union(v.string(), v.null()),
+    durationMs: v.number(),
+    timestamp: v.number(),
+};
+
+/**
+ * Audit hook that inserts every event into `table`, inside the audited mutation's transaction.
+ * Queries and actions have no ctx.db writer and are skipped. Rows for failed mutations are
+ * rolled back with the rest of the transaction, so pair this with a logging hook to keep them.
+ */
+export function auditTableSink(table: string): AuditHook {
+    return async (event, ctx) => {
+        if (event.kind === 'mutation' && typeof ctx.db?.insert === 'function') {
+            await ctx.db.insert(table, event);
+        }
+    };
+}
+
+/**
+ * Replaces the values of matching keys, at any depth, with `[REDACTED]`
+ */
+export function redactArgs(value: unknown, redact: string[] = DEFAULT_REDACT): any {
+    const patterns = redact.map(name => name.toLowerCase());
+    const visit = (current: unknown): unknown => {
+        if (Array.isArray(current)) {
+            return current.map(visit);
+        }
+        if (typeof current !== 'object' || current === null || Object.getPrototypeOf(current) !== Object.prototype) {
+            return current;
+        }
+        return Object.fromEntries(
+            Object.entries(current).map(([key, field]) => [
+                key,
+                patterns.some(pattern => key.toLowerCase().includes(pattern)) ? REDACTED : visit(field),
+            ])
+        );
+    };
+    return visit(value);
+}
+
+function getOutcome(error: unknown): AuditOutcome {
+    switch (getAuthErrorCode(error)) {
+        case AuthErrorCode.UNAUTHENTICATED:
+        case AuthErrorCode.IDENTITY_INVALID:
+        case AuthErrorCode.REAUTH_REQUIRED:
+            return 'unauthenticated';
+        case AuthErrorCode.FORBIDDEN:
+        // Unowned documents are reported as missing to the caller, but are access denials
+        case AuthErrorCode.DOCUMENT_NOT_FOUND:
+            return 'forbidden';
+        default:
+            return 'error';
+    }
+}
+
+/**
+ * Runs `call` and reports its outcome to the audit hook. The hook's own errors fail
+ * successful calls, so changes are never committed unaudited, but never mask the
+ * error of a failed call. With `always`, the call is audited whatever its kind.
+ */
+export async function runAudited<Result>(
+    config: AuditConfig,
+    ctx: any,
+    info: { functionName: string | null; kind: FunctionKind; args: Record<string, unknown>; always?: boolean },
+    call: (setSubject: (subject: string, impersonatedBy?: string) => void) => Promise<Result>
+): Promise<Result> {
+    if (!info.always && !(config.kinds ?? DEFAULT_KINDS).includes(info.kind)) {
+        return call(() => {});
+    }
+    const start = Date.now();
+    let subject: string | null = null;
+    let impersonatedBy: string | undefined;
+    const report = (outcome: AuditOutcome, errorCode: AuthErrorCode | null) =>
+        config.onCall(
+            {
+                functionName: info.functionName,
+                kind: info.kind,
+                subject,
+                ...(impersonatedBy !== undefined ? { impersonatedBy } : {}),
+                args: redactArgs(info.args, config.redact),
+                outcome,
+                errorCode,
+                durationMs: Date.now() - start,
+                timestamp: start,
+            },
+            ctx
+        );
+
+    let result: Result;
+    try {
+        result = await call((value, realSubject) => {
+            subject = value;
+            impersonatedBy = realSubject;
+        });
+    } catch (error) {
+        try {
+            await report(getOutcome(error), getAuthErrorCode(error));
+        } catch {
+            // The call's own error is the one worth surfacing
+        }
+        throw error;
+    }
+    await report('success', null);
+    return result;
+}
@@ -0,0 +1,99 @@
+import { describe, it, expect, vi } from 'vitest';
+import { v } from 'convex/values';
+import { loadArgDocs, validateArgAuthorization } from './authorizeArgs';
+import { AuthErrorCode, DocumentNotFoundError } from './errors';
+
+const notes: Record<string, Record<string, unknown>> = {
+    'notes:1': { _id: 'notes:1', userId: 'user-123', orgId: 'org-1' },
+    'notes:2': { _id: 'notes:2', userId: 'user-456', orgId: 'org-2' },
+};
+
+function createCtx(subject = 'user-123', memberships: string[] = ['org-1']) {
+    return {
+        identity: { subject },
+        db: {
+            normalizeId: vi.fn((table: string, id: string) => (id.startsWith(`${table}:`) ? id : null)),
+            get: vi.fn(async (id: string) => notes[id] ?? null),
+            query: vi.fn(() => ({
+                withIndex: (_index: string, build: (q: any) => unknown) => {
+                    const values: unknown[] = [];
+                    const q = {
+                        eq: (_field: string, value: unknown) => {
+                            values.push(value);
+                            return q;
+                        },
+                    };
+                    build(q);
+                    const [orgId, userId] = values;
+                    const isMember = userId === subject && memberships.includes(orgId as string);
+                    return { unique: async () => (isMember ? { role: 'member' } : null) };
+                },
+            })),
+        },
+    };
+}
+
+const organization = { source: { arg: 'orgId' }, membershipsTable: 'memberships', membershipIndex: 'by_org_user' };
+
+describe('validateArgAuthorization', () => {
+    it('should reject rules for unknown args or without a check', () => {
+        const args = { noteId: v.id('notes') };
+        const rule = { table: 'notes', ownerField: 'userId' };
+
+        expect(() => validateArgAuthorization({ noteId: rule }, args)).not.toThrow();
+        expect(() => validateArgAuthorization({ id: rule }, args)).toThrow(
+            'authorizeArgs.id is not an argument'
+        );
+        expect(() => validateArgAuthorization({ noteId: { table: 'notes' } }, args)).toThrow(
+            'authorizeArgs.noteId needs an ownerField or orgField'
+        );
+    });
+});
+
+describe('loadArgDocs', () => {
+    const rules = { noteId: { table: 'notes', ownerField: 'userId' } };
+
+    it('should return the documents owned by the caller', async () => {
+        await expect(loadArgDocs(rules, undefined, createCtx(), { noteId: 'notes:1' })).resolves.toEqual({
+            noteId: notes['notes:1'],
+        });
+    });
+
+    it('should raise the same error for missing and unowned documents', async () => {
+        const expected = {
+            data: { code: AuthErrorCode.DOCUMENT_NOT_FOUND, message: 'Document not found for "noteId"' },
+        };
+
+        await expect(loadArgDocs(rules, undefined, createCtx(), { noteId: 'notes:2' })).rejects.toMatchObject(expected);
+        await expect(loadArgDocs(rules, undefined, createCtx(), { noteId: 'notes:9' })).rejects.toMatchObject(expected);
+        await expect(loadArgDocs(rules, undefined, createCtx(), { noteId: 'users:1' })).rejects.toMatchObject(expected);
+    });
+
+    it('should compare the owner field with ownerValue', async () => {
+        const ctx = { ...createCtx('other'), user: { _id: 'user-456' } };
+        const byUser = { noteId: { table: 'notes', ownerField: 'userId', ownerValue: (c: any) => c.user._id } };
+
+        await expect(loadArgDocs(byUser, undefined, ctx, { noteId: 'notes:2' })).resolves.toEqual({
+            noteId: notes['notes:2'],
+        });
+    });
+
+    it('should check organization membership with orgField', async () => {
+        const byOrg = { noteId: { table: 'notes', orgField: 'orgId' } };
+        const ctx = createCtx('user-789', ['org-2']);
+
+        await expect(loadArgDocs(byOrg, organization, ctx, { noteId: 'notes:2' })).resolves.toEqual({
+            noteId: notes['notes:2'],
+        });
+        await expect(loadArgDocs(byOrg, organization, ctx, { noteId: 'notes:1' })).rejects.toBeInstanceOf(
+            DocumentNotFoundError
+        );
+    });
+
+    it('should return null for optional args that were not passed', async () => {
+        const ctx = createCtx();
+
+        await expect(loadArgDocs(rules, undefined, ctx, {})).resolves.toEqual({ noteId: null });
+        expect(ctx.db.get).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,111 @@
+import type { DocumentByName, GenericDatabaseReader, GenericDataModel, TableNamesInDataModel } from 'convex/server';
+import type { PropertyValidators, Validator } from 'convex/values';
+import { DocumentNotFoundError } from './errors';
+import { findMembership, type OrganizationConfig } from './organization';
+
+/**
+ * How the document referenced by one id argument is checked against the caller
+ */
+export type ArgAuthorizationRule = {
+    /** Table the id must belong to */
+    table: string;
+    /** Document field that must equal the caller, `ctx.identity.subject` unless `ownerValue` is given */
+    ownerField?: string;
+    /** Value compared with `ownerField`, e.g. `(ctx) => ctx.user._id` */
+    ownerValue?: (ctx: any) => unknown;
+    /** Document field holding an organization id the caller must be a member of. Requires `organization`. */
+    orgField?: string;
+};
+
+/**
+ * The `authorizeArgs` definition option: a rule for each id argument to check
+ */
+export type ArgAuthorization<Args extends PropertyValidators = PropertyValidators> = {
+    [Arg in keyof Args]?: ArgAuthorizationRule;
+};
+
+type DataModelOf<Ctx> = Ctx extends { db: GenericDatabaseReader<infer DataModel> } ? DataModel : GenericDataModel;
+
+type DocFor<Ctx, Table> =
+    Table extends TableNamesInDataModel<DataModelOf<Ctx>> ? DocumentByName<DataModelOf<Ctx>, Table> : any;
+
+/**
+ * Fields added to the handler's ctx by `authorizeArgs`: the checked document of each argument,
+ * or null for optional arguments that were not passed
+ */
+export type ArgDocsCtx<Ctx, Args extends PropertyValidators, Rules> = [keyof Rules] extends [never]
+    ? {}
+    : {
+          docs: {
+              [Arg in keyof Rules]: Rules[Arg] extends { table: infer Table }
+                  ? Arg extends keyof Args
+                      ? Args[Arg] extends Validator<any, 'optional', any>
+                          ? DocFor<Ctx, Table> | null
+                          : DocFor<Ctx, Table>
+                      : never
+                  : never;
+          };
+      };
+
+/**
+ * Checks the rules against the definition's args, so mistakes fail at definition time
+ */
+export function validateArgAuthorization(rules: ArgAuthorization, args: PropertyValidators): void {
+    for (const [arg, rule] of Object.entries(rules)) {
+        if (!Object.hasOwn(args, arg)) {
+            throw new Error(`createAuthenticatedMethods: authorizeArgs.${arg} is not an argument`);
+        }
+        if (!rule?.ownerField && !rule?.orgField) {
+            throw new Error(`createAuthenticatedMethods: authorizeArgs.${arg} needs an ownerField or orgField`);
+        }
+    }
+}
+
+async function isAuthorized(
+    rule: ArgAuthorizationRule,
+    organization: OrganizationConfig | undefined,
+    ctx: any,
+    doc: Record<string, unknown>
+): Promise<boolean> {
+    if (rule.ownerField) {
+        const owner = rule.ownerValue ? rule.ownerValue(ctx) : ctx.identity.subject;
+        if (doc[rule.ownerField] !== owner) {
+            return false;
+        }
+    }
+    if (rule.orgField) {
+        const orgId = doc[rule.orgField];
+        if (typeof orgId !== 'string' || !(await findMembership(organization!, ctx, orgId))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Loads the document each rule's argument refers to, throwing DocumentNotFoundError when it does not exist
+ * or does not belong to the caller. Both cases raise the same error so ids cannot be probed.
+ */
+export async function loadArgDocs(
+    rules: ArgAuthorization,
+    organization: OrganizationConfig | undefined,
+    ctx: any,
+    args: Record<string, unknown>
+): Promise<Record<string, unknown>> {
+    const docs: Record<string, unknown> = {};
+    for (const [arg, rule] of Object.entries(rules) as [string, ArgAuthorizationRule][]) {
+        const value = args[arg];
+        if (value === undefined) {
+            docs[arg] = null;
+            continue;
+        }
+        // normalizeId also rejects ids of other tables
+        const id = typeof value === 'string' ? ctx.db.normalizeId(rule.table, value) : null;
+        const doc = id ? await ctx.db.get(id) : null;
+        if (!doc || !(await isAuthorized(rule, organization, ctx, doc))) {
+            throw new DocumentNotFoundError(`Document not found for "${arg}"`);
+        }
+        docs[arg] = doc;
+    }
+    return docs;
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { ConvexError } from 'convex/values';
+import {
+    AuthError,
+    DocumentNotFoundError,
+    ForbiddenError,
+    IdentityInvalidError,
+    RateLimitedError,
+    ReauthRequiredError,
+    UnauthenticatedError,
+    getAuthErrorCode,
+    isAuthError,
+} from './errors';
+
+describe('auth errors', () => {
+    it('should be ConvexErrors carrying a code and message', () => {
+        const error = new UnauthenticatedError();
+
+        expect(error).toBeInstanceOf(ConvexError);
+        expect(error).toBeInstanceOf(AuthError);
+        expect(error.data).toEqual({ code: 'UNAUTHENTICATED', message: 'Not authenticated' });
+    });
+
+    it('should use distinct codes for each error class', () => {
+        expect(new ForbiddenError().data.code).toBe('FORBIDDEN');
+        expect(new IdentityInvalidError().data.code).toBe('IDENTITY_INVALID');
+        expect(new DocumentNotFoundError().data.code).toBe('DOCUMENT_NOT_FOUND');
+    });
+
+    it('should carry retryAfter on rate limit errors', () => {
+        const error = new RateLimitedError(1500);
+
+        expect(error.retryAfter).toBe(1500);
+        expect(error.data).toEqual({ code: 'RATE_LIMITED', message: 'Rate limit exceeded', retryAfter: 1500 });
+    });
+
+    it('should carry the reason on re-authentication errors', () => {
+        const error = new ReauthRequiredError('mfa');
+
+        expect(error.reason).toBe('mfa');
+        expect(error.data).toEqual({ code: 'REAUTH_REQUIRED', message: 'Re-authentication required', reason: 'mfa' });
+    });
+
+    it('should accept a custom message', () => {
+        expect(new ForbiddenError('Admins only').data).toEqual({ code: 'FORBIDDEN', message: 'Admins only' });
+    });
+});
+
+describe('getAuthErrorCode', () => {
+    it('should return the code of auth errors', () => {
+        expect(getAuthErrorCode(new ForbiddenError())).toBe('FORBIDDEN');
+    });
+
+    it('should read the code from errors reconstructed on the client', () => {
+        const clientError = new ConvexError({ code: 'UNAUTHENTICATED', message: 'Not authenticated' });
+        expect(getAuthErrorCode(clientError)).toBe('UNAUTHENTICATED');
+    });
+
+    it('should return null for other errors', () => {
+        expect(getAuthErrorCode(new Error('Not authenticated'))).toBeNull();
+        expect(getAuthErrorCode(new ConvexError('boom'))).toBeNull();
+        expect(getAuthErrorCode(new ConvexError({ code: 'SOMETHING_ELSE' }))).toBeNull();
+        expect(getAuthErrorCode(null)).toBeNull();
+        expect(getAuthErrorCode('UNAUTHENTICATED')).toBeNull();
+    });
+});
+
+describe('isAuthError', () => {
+    it('should detect auth errors', () => {
+        expect(isAuthError(new IdentityInvalidError())).toBe(true);
+        expect(isAuthError(new Error('nope'))).toBe(false);
+    });
+});
@@ -0,0 +1,148 @@
+import { ConvexError } from 'convex/values';
+
+/**
+ * Error codes carried in the `data` of every auth error raised by the wrappers
+ */
+export const AuthErrorCode = {
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    FORBIDDEN: 'FORBIDDEN',
+    IDENTITY_INVALID: 'IDENTITY_INVALID',
+    USER_NOT_FOUND: 'USER_NOT_FOUND',
+    DOCUMENT_NOT_FOUND: 'DOCUMENT_NOT_FOUND',
+    RATE_LIMITED: 'RATE_LIMITED',
+    REAUTH_REQUIRED: 'REAUTH_REQUIRED',
+} as const;
+
+export type AuthErrorCode = (typeof AuthErrorCode)[keyof typeof AuthErrorCode];
+
+/**
+ * Structured payload of an auth error, visible to clients even in production
+ */
+export type AuthErrorData = {
+    code: AuthErrorCode;
+    message: string;
+    /** Milliseconds until the call may be retried, set on RATE_LIMITED errors */
+    retryAfter?: number;
+    /** Why the caller must sign in again, set on REAUTH_REQUIRED errors */
+    reason?: ReauthReason;
+};
+
+/**
+ * Why a REAUTH_REQUIRED error was raised: the sign-in is too old, lacks a second factor,
+ * or the session was revoked
+ */
+export type ReauthReason = 'stale' | 'mfa' | 'revoked';
+
+/**
+ * Base class for auth failures. Raised as a ConvexError so the code survives
+ * Convex's production error redaction.
+ */
+export class AuthError extends ConvexError<AuthErrorData> {
+    constructor(code: AuthErrorCode, message: string, details: Pick<AuthErrorData, 'retryAfter' | 'reason'> = {}) {
+        super({ code, message, ...details });
+    }
+}
+
+/**
+ * Thrown when there is no identity for the caller
+ */
+export class UnauthenticatedError extends AuthError {
+    constructor(message = 'Not authenticated') {
+        super(AuthErrorCode.UNAUTHENTICATED, message);
+    }
+}
+
+/**
+ * Thrown when an authenticated caller does not satisfy a function's `requires` option
+ */
+export class ForbiddenError extends AuthError {
+    constructor(message = 'Forbidden') {
+        super(AuthErrorCode.FORBIDDEN, message);
+    }
+}
+
+/**
+ * Thrown when the identity returned by Convex is missing required fields
+ */
+export class IdentityInvalidError extends AuthError {
+    constructor(message = 'Identity is invalid') {
+        super(AuthErrorCode.IDENTITY_INVALID, message);
+    }
+}
+
+/**
+ * Thrown when `resolveUser` finds no user document for the identity
+ */
+export class UserNotFoundError extends AuthError {
+    constructor(message = 'User not found') {
+        super(AuthErrorCode.USER_NOT_FOUND, message);
+    }
+}
+
+/**
+ * Thrown when a document referenced by an `authorizeArgs` argument does not exist or does not
+ * belong to the caller. Both cases look the same, so callers cannot probe which ids exist.
+ */
+export class DocumentNotFoundError extends AuthError {
+    constructor(message = 'Document not found') {
+        super(AuthErrorCode.DOCUMENT_NOT_FOUND, message);
+    }
+}
+
+/**
+ * Thrown when the caller exceeded a rate limit. `retryAfter` is in milliseconds.
+ */
+export class RateLimitedError extends AuthError {
+    readonly retryAfter: number;
+
+    constructor(retryAfter: number, message = 'Rate limit exceeded') {
+        super(AuthErrorCode.RATE_LIMITED, message, { retryAfter });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Thrown when the caller must sign in again before calling a sensitive function
+ */
+export class ReauthRequiredError extends AuthError {
+    readonly reason: ReauthReason;
+
+    constructor(reason: ReauthReason, message = 'Re-authentication required') {
+        super(AuthErrorCode.REAUTH_REQUIRED, message, { reason });
+        this.reason = reason;
+    }
+}
+
+/**
+ * Returns the auth error code carried by an error, or null if it is not an auth error.
+ * Works on the server and on errors received by the Convex client.
+ *
+ * @example
+ * ```typescript
+ * try {
+ *   await updateNote({ id, text });
+ * } catch (err) {
+ *   if (getAuthErrorCode(err) === 'UNAUTHENTICATED') {
+ *     router.push('/login');
+ *   }
+ * }
+ * ```
+ */
+export function getAuthErrorCode(error: unknown): AuthErrorCode | null {
+    if (typeof error !== 'object' || error === null || !('data' in error)) {
+        return null;
+    }
+    const data = (error as { data: unknown }).data;
+    if (typeof data !== 'object' || data === null || !('code' in data)) {
+        return null;
+    }
+    const code = (data as { code: unknown }).code;
+    return Object.values(AuthErrorCode).includes(code as AuthErrorCode) ? (code as AuthErrorCode) : null;
+}
+
+/**
+ * Checks whether an error is one of the auth errors raised by the wrappers
+ */
+export function isAuthError(error: unknown): error is ConvexError<AuthErrorData> {
+    return getAuthErrorCode(error) !== null;
+}
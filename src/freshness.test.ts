@@ -0,0 +1,98 @@
+import { describe, it, expect, vi } from 'vitest';
+import { checkFreshness, checkRevocation } from './freshness';
+import { AuthErrorCode, ReauthRequiredError } from './errors';
+
+const now = 1_700_000_000_000;
+const identity = { subject: 'user-123', auth_time: now / 1000 - 60, sid: 'session-1' };
+
+describe('checkFreshness', () => {
+    it('should pass identities that signed in recently enough', () => {
+        expect(() => checkFreshness(identity, { maxAuthAge: 60_000 }, undefined, now)).not.toThrow();
+        expect(() => checkFreshness(identity, {}, undefined, now)).not.toThrow();
+    });
+
+    it('should require re-authentication for stale sign-ins', () => {
+        let error: unknown;
+        try {
+            checkFreshness(identity, { maxAuthAge: 59_999 }, undefined, now);
+        } catch (err) {
+            error = err;
+        }
+
+        expect(error).toBeInstanceOf(ReauthRequiredError);
+        expect((error as ReauthRequiredError).data).toEqual({
+            code: AuthErrorCode.REAUTH_REQUIRED,
+            message: 'Sign in again to continue',
+            reason: 'stale',
+        });
+    });
+
+    it('should fall back to iat and fail without either claim', () => {
+        const issued = { subject: 'user-123', iat: now / 1000 - 10 };
+
+        expect(() => checkFreshness(issued, { maxAuthAge: 10_000 }, undefined, now)).not.toThrow();
+        expect(() => checkFreshness({ subject: 'user-123' }, { maxAuthAge: 10_000 }, undefined, now)).toThrow(
+            ReauthRequiredError
+        );
+    });
+
+    it('should require a second factor from amr or acr', () => {
+        const mfa = { requireMfa: true };
+
+        expect(() => checkFreshness({ ...identity, amr: ['pwd', 'mfa'] }, mfa, undefined, now)).not.toThrow();
+        expect(() => checkFreshness({ ...identity, amr: ['pwd'] }, mfa, undefined, now)).toThrow(
+            'Sign in with a second factor to continue'
+        );
+        expect(() => checkFreshness({ ...identity, amr: ['otp'] }, mfa, { mfaMethods: ['otp'] }, now)).not.toThrow();
+        expect(() => checkFreshness({ ...identity, acr: 'aal2' }, mfa, { mfaAcrValues: ['aal2'] }, now)).not.toThrow();
+        expect(() => checkFreshness({ ...identity, acr: 'aal1' }, mfa, { mfaAcrValues: ['aal2'] }, now)).toThrow(
+            ReauthRequiredError
+        );
+    });
+});
+
+describe('checkRevocation', () => {
+    const createCtx = (revoked: string[]) => {
+        const withIndex = vi.fn((_index: string, build: (q: any) => string) => {
+            const sessionId = build({ eq: (_field: string, value: string) => value });
+            return { first: async () => (revoked.includes(sessionId) ? { sessionId } : null) };
+        });
+        return { ctx: { db: { query: vi.fn(() => ({ withIndex })) } }, withIndex };
+    };
+
+    it('should reject sessions listed in the revocation table', async () => {
+        const { ctx } = createCtx(['session-1']);
+
+        await expect(checkRevocation({ table: 'revokedSessions' }, ctx, identity)).rejects.toMatchObject({
+            data: { code: AuthErrorCode.REAUTH_REQUIRED, message: 'Session has been revoked', reason: 'revoked' },
+        });
+        expect(ctx.db.query).toHaveBeenCalledWith('revokedSessions');
+    });
+
+    it('should pass sessions that are not listed or have no session id', async () => {
+        const { ctx, withIndex } = createCtx(['session-2']);
+
+        await expect(checkRevocation({ table: 'revokedSessions' }, ctx, identity)).resolves.toBeUndefined();
+        await expect(
+            checkRevocation({ table: 'revokedSessions' }, ctx, { subject: 'user-123' })
+        ).resolves.toBeUndefined();
+        expect(withIndex).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read the session id from a custom claim and index', async () => {
+        const { ctx, withIndex } = createCtx(['session-2']);
+        const check = { table: 'revokedSessions', index: 'by_token', claim: 'jti' };
+
+        await expect(checkRevocation(check, ctx, { ...identity, jti: 'session-2' })).rejects.toBeInstanceOf(
+            ReauthRequiredError
+        );
+        expect(withIndex).toHaveBeenCalledWith('by_token', expect.any(Function));
+    });
+
+    it('should use isRevoked when given', async () => {
+        const isRevoked = vi.fn(async () => true);
+
+        await expect(checkRevocation({ isRevoked }, {}, identity)).rejects.toBeInstanceOf(ReauthRequiredError);
+        expect(isRevoked).toHaveBeenCalledWith({}, identity);
+    });
+});
@@ -0,0 +1,104 @@
+import { ReauthRequiredError } from './errors';
+import type { AuthIdentity } from './policy';
+
+/**
+ * Extra definition options for sensitive functions such as changing an email or deleting an account
+ */
+export type FreshnessRequirements = {
+    /** Maximum milliseconds since the caller signed in, read from the `auth_time` claim (or `iat`) */
+    maxAuthAge?: number;
+    /** The sign-in must have used a second factor, read from the `amr` or `acr` claim */
+    requireMfa?: boolean;
+};
+
+/**
+ * Looks the session up in a denylist table. A row for the session's id means it was revoked.
+ */
+export type TableRevocationCheck = {
+    table: string;
+    /** Index whose first field holds the session id (defaults to `by_session`) */
+    index?: string;
+    /** Identity claim holding the session id (defaults to `sid`) */
+    claim?: string;
+    /** Document field holding the session id (defaults to `sessionId`) */
+    field?: string;
+};
+
+/**
+ * Checks the session with custom logic, e.g. against a sessions table
+ */
+export type CustomRevocationCheck = {
+    isRevoked: (ctx: any, identity: AuthIdentity) => boolean | Promise<boolean>;
+};
+
+/**
+ * Configuration for the `freshness` option of createAuthenticatedMethods
+ */
+export type FreshnessConfig = {
+    /** `amr` values that count as multi-factor (defaults to `mfa`) */
+    mfaMethods?: string[];
+    /** `acr` values that count as multi-factor (none by default) */
+    mfaAcrValues?: string[];
+    /** Revocation check run for every authenticated query and mutation */
+    revocation?: TableRevocationCheck | CustomRevocationCheck;
+};
+
+const DEFAULT_MFA_METHODS = ['mfa'];
+const DEFAULT_INDEX = 'by_session';
+const DEFAULT_CLAIM = 'sid';
+const DEFAULT_FIELD = 'sessionId';
+
+/**
+ * Throws a ReauthRequiredError when the identity's sign-in is older than `maxAuthAge`
+ * or did not use a second factor. Identities missing the claims are treated as failing.
+ */
+export function checkFreshness(
+    identity: AuthIdentity,
+    requirements: FreshnessRequirements,
+    config: FreshnessConfig | undefined,
+    now: number
+): void {
+    if (requirements.maxAuthAge !== undefined) {
+        // JWT timestamps are in seconds
+        const authTime = typeof identity.auth_time === 'number' ? identity.auth_time : identity.iat;
+        if (typeof authTime !== 'number' || now - authTime * 1000 > requirements.maxAuthAge) {
+            throw new ReauthRequiredError('stale', 'Sign in again to continue');
+        }
+    }
+    if (requirements.requireMfa) {
+        const methods = config?.mfaMethods ?? DEFAULT_MFA_METHODS;
+        const amr = Array.isArray(identity.amr) ? identity.amr : [];
+        const hasMfa =
+            amr.some(method => methods.includes(method)) ||
+            (typeof identity.acr === 'string' && (config?.mfaAcrValues ?? []).includes(identity.acr));
+        if (!hasMfa) {
+            throw new ReauthRequiredError('mfa', 'Sign in with a second factor to continue');
+        }
+    }
+}
+
+/**
+ * Throws a ReauthRequiredError when the identity's session has been revoked
+ */
+export async function checkRevocation(
+    check: TableRevocationCheck | CustomRevocationCheck,
+    ctx: any,
+    identity: AuthIdentity
+): Promise<void> {
+    let revoked: boolean;
+    if ('isRevoked' in check) {
+        revoked = await check.isRevoked(ctx, identity);
+    } else {
+        const sessionId = identity[check.claim ?? DEFAULT_CLAIM];
+        // Without a session id there is nothing to look up
+        revoked =
+            typeof sessionId === 'string' &&
+            (await ctx.db
+                .query(check.table)
+                .withIndex(check.index ?? DEFAULT_INDEX, (q: any) => q.eq(check.field ?? DEFAULT_FIELD, sessionId))
+                .first()) !== null;
+    }
+    if (revoked) {
+        throw new ReauthRequiredError('revoked', 'Session has been revoked');
+    }
+}
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { authErrorResponse, corsHeaders, preflightResponse, withHeaders } from './http';
+import {
+    DocumentNotFoundError,
+    ForbiddenError,
+    RateLimitedError,
+    ReauthRequiredError,
+    UnauthenticatedError,
+} from './errors';
+
+const request = (origin?: string, method = 'GET') =>
+    new Request('https://example.convex.site/api/notes', {
+        method,
+        headers: origin ? { Origin: origin } : {},
+    });
+
+describe('corsHeaders', () => {
+    it('should allow listed origins and echo them back', () => {
+        const cors = { origins: ['https://app.example.com'] };
+
+        expect(corsHeaders(cors, request('https://app.example.com'))).toEqual({
+            'Access-Control-Allow-Origin': 'https://app.example.com',
+            Vary: 'Origin',
+        });
+        expect(corsHeaders(cors, request('https://evil.example.com'))).toEqual({});
+    });
+
+    it('should allow any origin with a wildcard, echoing it for credentialed requests', () => {
+        expect(corsHeaders({ origins: '*' }, request('https://a.example.com'))).toEqual({
+            'Access-Control-Allow-Origin': '*',
+        });
+        expect(corsHeaders({ origins: '*', credentials: true }, request('https://a.example.com'))).toEqual({
+            'Access-Control-Allow-Origin': 'https://a.example.com',
+            'Access-Control-Allow-Credentials': 'true',
+            Vary: 'Origin',
+        });
+    });
+
+    it('should return nothing without a config or an Origin header', () => {
+        expect(corsHeaders(undefined, request('https://a.example.com'))).toEqual({});
+        expect(corsHeaders({ origins: '*' }, request())).toEqual({});
+    });
+});
+
+describe('preflightResponse', () => {
+    it('should answer with the allowed methods and headers', () => {
+        const response = preflightResponse(
+            { origins: ['https://app.example.com'], headers: ['Authorization', 'X-Api-Key'], maxAge: 60 },
+            request('https://app.example.com', 'OPTIONS')
+        );
+
+        expect(response.status).toBe(204);
+        expect(Object.fromEntries(response.headers)).toMatchObject({
+            'access-control-allow-origin': 'https://app.example.com',
+            'access-control-allow-methods': 'GET, POST, PUT, PATCH, DELETE',
+            'access-control-allow-headers': 'Authorization, X-Api-Key',
+            'access-control-max-age': '60',
+        });
+    });
+
+    it('should leave out CORS headers for disallowed origins', () => {
+        const response = preflightResponse({ origins: [] }, request('https://evil.example.com', 'OPTIONS'));
+
+        expect(response.status).toBe(204);
+        expect(response.headers.has('Access-Control-Allow-Origin')).toBe(false);
+    });
+});
+
+describe('authErrorResponse', () => {
+    it('should map auth errors to JSON responses', async () => {
+        const unauthenticated = authErrorResponse(new UnauthenticatedError(), { Vary: 'Origin' })!;
+        const forbidden = authErrorResponse(new ForbiddenError('Admins only'))!;
+
+        expect(unauthenticated.status).toBe(401);
+        expect(unauthenticated.headers.get('WWW-Authenticate')).toBe('Bearer');
+        expect(unauthenticated.headers.get('Content-Type')).toBe('application/json');
+        expect(unauthenticated.headers.get('Vary')).toBe('Origin');
+        await expect(unauthenticated.json()).resolves.toEqual({
+            code: 'UNAUTHENTICATED',
+            message: 'Not authenticated',
+        });
+        expect(forbidden.status).toBe(403);
+        await expect(forbidden.json()).resolves.toEqual({ code: 'FORBIDDEN', message: 'Admins only' });
+    });
+
+    it('should send Retry-After in seconds for rate limit errors', () => {
+        const response = authErrorResponse(new RateLimitedError(1500))!;
+
+        expect(response.status).toBe(429);
+        expect(response.headers.get('Retry-After')).toBe('2');
+    });
+
+    it('should respond 401 with the reason when re-authentication is required', async () => {
+        const response = authErrorResponse(new ReauthRequiredError('mfa'))!;
+
+        expect(response.status).toBe(401);
+        await expect(response.json()).resolves.toMatchObject({ code: 'REAUTH_REQUIRED', reason: 'mfa' });
+    });
+
+    it('should respond 404 when an argument refers to a document the caller cannot see', () => {
+        expect(authErrorResponse(new DocumentNotFoundError())!.status).toBe(404);
+    });
+
+    it('should return null for other errors', () => {
+        expect(authErrorResponse(new Error('boom'))).toBeNull();
+    });
+});
+
+describe('withHeaders', () => {
+    it('should add headers without overriding the handler', () => {
+        const response = withHeaders(new Response('ok', { headers: { Vary: 'Accept' } }), {
+            Vary: 'Origin',
+            'Access-Control-Allow-Origin': '*',
+        });
+
+        expect(response.headers.get('Vary')).toBe('Accept');
+        expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    });
+});
@@ -0,0 +1,136 @@
+import { AuthErrorCode, getAuthErrorCode, type AuthErrorData } from './errors';
+
+/**
+ * Resolves the caller of an HTTP action from the request instead of `ctx.auth.getUserIdentity()`,
+ * e.g. from an API key or a signed webhook. Returns null when the request carries no valid credentials.
+ *
+ * @example
+ * ```typescript
+ * const verifyApiKey: HttpVerifier<{ subject: string; scopes: string[] }> = async (ctx, request) => {
+ *   const key = request.headers.get('X-Api-Key');
+ *   return key ? await ctx.runQuery(internal.apiKeys.verify, { key }) : null;
+ * };
+ * ```
+ */
+export type HttpVerifier<Identity = { subject: string }> = (
+    ctx: any,
+    request: Request
+) => Identity | null | Promise<Identity | null>;
+
+/**
+ * CORS settings for authenticated HTTP actions
+ */
+export type CorsConfig = {
+    /** Origins allowed to call the action, or `*` for any origin */
+    origins: string[] | '*';
+    /** Methods allowed in preflight responses (defaults to GET, POST, PUT, PATCH and DELETE) */
+    methods?: string[];
+    /** Request headers allowed in preflight responses (defaults to Authorization and Content-Type) */
+    headers?: string[];
+    /** Sends `Access-Control-Allow-Credentials` and echoes the origin even with `*` */
+    credentials?: boolean;
+    /** Seconds browsers may cache a preflight response (defaults to a day) */
+    maxAge?: number;
+};
+
+/**
+ * Configuration for the `http` option of createAuthenticatedMethods, used by every
+ * authenticatedHttpAction unless its definition overrides it
+ */
+export type HttpConfig = {
+    cors?: CorsConfig;
+    verify?: HttpVerifier<{ subject: string }>;
+};
+
+const DEFAULT_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const DEFAULT_HEADERS = ['Authorization', 'Content-Type'];
+const DEFAULT_MAX_AGE = 86400;
+
+const STATUS_CODES: Record<AuthErrorCode, number> = {
+    [AuthErrorCode.UNAUTHENTICATED]: 401,
+    [AuthErrorCode.IDENTITY_INVALID]: 401,
+    [AuthErrorCode.REAUTH_REQUIRED]: 401,
+    [AuthErrorCode.FORBIDDEN]: 403,
+    [AuthErrorCode.USER_NOT_FOUND]: 404,
+    [AuthErrorCode.DOCUMENT_NOT_FOUND]: 404,
+    [AuthErrorCode.RATE_LIMITED]: 429,
+};
+
+/**
+ * Returns the CORS headers for a request, or none when its origin is not allowed
+ */
+export function corsHeaders(cors: CorsConfig | undefined, request: Request): Record<string, string> {
+    const origin = request.headers.get('Origin');
+    if (!cors || !origin) {
+        return {};
+    }
+    if (cors.origins === '*' && !cors.credentials) {
+        return { 'Access-Control-Allow-Origin': '*' };
+    }
+    if (cors.origins !== '*' && !cors.origins.includes(origin)) {
+        return {};
+    }
+    return {
+        'Access-Control-Allow-Origin': origin,
+        ...(cors.credentials ? { 'Access-Control-Allow-Credentials': 'true' } : {}),
+        Vary: 'Origin',
+    };
+}
+
+/**
+ * Answers a CORS preflight request. Disallowed origins get a response without CORS headers,
+ * which browsers treat as a rejection.
+ */
+export function preflightResponse(cors: CorsConfig, request: Request): Response {
+    const headers = corsHeaders(cors, request);
+    if (Object.keys(headers).length === 0) {
+        return new Response(null, { status: 204 });
+    }
+    return new Response(null, {
+        status: 204,
+        headers: {
+            ...headers,
+            'Access-Control-Allow-Methods': (cors.methods ?? DEFAULT_METHODS).join(', '),
+            'Access-Control-Allow-Headers': (cors.headers ?? DEFAULT_HEADERS).join(', '),
+            'Access-Control-Max-Age': String(cors.maxAge ?? DEFAULT_MAX_AGE),
+        },
+    });
+}
+
+/**
+ * Converts an auth error into a JSON response with the matching status code
+ * (401, 403, 404 or 429), or returns null for other errors
+ */
+export function authErrorResponse(error: unknown, headers: Record<string, string> = {}): Response | null {
+    const code = getAuthErrorCode(error);
+    if (!code) {
+        return null;
+    }
+    const data = (error as { data: AuthErrorData }).data;
+    const status = STATUS_CODES[code];
+    return new Response(JSON.stringify(data), {
+        status,
+        headers: {
+            ...headers,
+            'Content-Type': 'application/json',
+            ...(status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {}),
+            ...(data.retryAfter !== undefined ? { 'Retry-After': String(Math.ceil(data.retryAfter / 1000)) } : {}),
+        },
+    });
+}
+
+/**
+ * Returns the response with the headers added, keeping any the handler set itself
+ */
+export function withHeaders(response: Response, headers: Record<string, string>): Response {
+    const entries = Object.entries(headers).filter(([name]) => !response.headers.has(name));
+    if (entries.length === 0) {
+        return response;
+    }
+    // Responses from fetch() have immutable headers
+    const copy = new Response(response.body, response);
+    for (const [name, value] of entries) {
+        copy.headers.set(name, value);
+    }
+    return copy;
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { v } from 'convex/values';
+import { validateClaims } from './identity';
+import { IdentityInvalidError } from './errors';
+
+function errorFor(claims: Parameters<typeof validateClaims>[0], identity: Record<string, unknown>) {
+    try {
+        validateClaims(claims, identity);
+        return null;
+    } catch (error) {
+        expect(error).toBeInstanceOf(IdentityInvalidError);
+        return (error as IdentityInvalidError).data.message;
+    }
+}
+
+describe('validateClaims', () => {
+    it('should accept identities that match the declared claims', () => {
+        expect(
+            errorFor(
+                {
+                    org_id: v.string(),
+                    roles: v.array(v.string()),
+                    plan: v.union(v.literal('free'), v.literal('pro')),
+                    seats: v.number(),
+                    metadata: v.object({ region: v.string() }),
+                    beta: v.optional(v.boolean()),
+                },
+                {
+                    subject: 'user-123',
+                    org_id: 'org-1',
+                    roles: ['admin'],
+                    plan: 'pro',
+                    seats: 3,
+                    metadata: { region: 'eu' },
+                }
+            )
+        ).toBeNull();
+    });
+
+    it('should ignore claims that are not declared', () => {
+        expect(errorFor({ org_id: v.string() }, { subject: 'a', org_id: 'o', extra: 1 })).toBeNull();
+    });
+
+    it('should report missing required claims', () => {
+        expect(errorFor({ org_id: v.string() }, { subject: 'a' })).toBe('Invalid identity claim: org_id is missing');
+    });
+
+    it('should report the path of nested mismatches', () => {
+        expect(errorFor({ roles: v.array(v.string()) }, { roles: ['admin', 7] })).toBe(
+            'Invalid identity claim: roles[1] must be a string, got number'
+        );
+        expect(errorFor({ metadata: v.object({ region: v.string() }) }, { metadata: { region: null } })).toBe(
+            'Invalid identity claim: metadata.region must be a string, got null'
+        );
+    });
+
+    it('should check literals, unions and records', () => {
+        expect(errorFor({ plan: v.literal('pro') }, { plan: 'free' })).toBe(
+            'Invalid identity claim: plan must be "pro", got string'
+        );
+        expect(errorFor({ tier: v.union(v.string(), v.number()) }, { tier: true })).toBe(
+            'Invalid identity claim: tier must be one of the allowed types, got boolean'
+        );
+        expect(errorFor({ flags: v.record(v.string(), v.boolean()) }, { flags: { beta: 'yes' } })).toBe(
+            'Invalid identity claim: flags.beta must be a boolean, got string'
+        );
+    });
+});
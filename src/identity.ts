@@ -0,0 +1,111 @@
+import type { GenericValidator, ObjectType, PropertyValidators, Validator } from 'convex/values';
+import type { UserIdentity } from 'convex/server';
+import { IdentityInvalidError } from './errors';
+
+/**
+ * The identity injected into authenticated handlers: Convex's UserIdentity plus the declared custom claims.
+ * Without declared claims (or with only an index signature) this is exactly UserIdentity.
+ */
+export type AuthenticatedIdentity<Claims extends PropertyValidators = {}> = [keyof Claims] extends [never]
+    ? UserIdentity
+    : string extends keyof Claims
+      ? UserIdentity
+      : UserIdentity & ObjectType<Claims>;
+
+function describeValue(value: unknown): string {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+/**
+ * Checks a JSON value against a Convex validator, returning a description of the first mismatch
+ */
+function checkValue(validator: GenericValidator, value: unknown, path: string): string | null {
+    if (value === undefined) {
+        return validator.isOptional === 'optional' ? null : `${path} is missing`;
+    }
+
+    const mismatch = (expected: string) => `${path} must be ${expected}, got ${describeValue(value)}`;
+    const v = validator as Validator<any, any, any>;
+
+    switch (v.kind) {
+        case 'any':
+            return null;
+        case 'string':
+        case 'id':
+            return typeof value === 'string' ? null : mismatch('a string');
+        case 'float64':
+            return typeof value === 'number' ? null : mismatch('a number');
+        case 'int64':
+            return typeof value === 'bigint' || Number.isInteger(value) ? null : mismatch('an integer');
+        case 'boolean':
+            return typeof value === 'boolean' ? null : mismatch('a boolean');
+        case 'null':
+            return value === null ? null : mismatch('null');
+        case 'bytes':
+            return value instanceof ArrayBuffer ? null : mismatch('bytes');
+        case 'literal':
+            return value === v.value ? null : mismatch(JSON.stringify(v.value));
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return mismatch('an array');
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = checkValue(v.element, value[i], `${path}[${i}]`);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+        }
+        case 'object':
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return mismatch('an object');
+            }
+            return checkFields(v.fields, value as Record<string, unknown>, `${path}.`);
+        case 'record': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                return mismatch('an object');
+            }
+            for (const [key, item] of Object.entries(value)) {
+                const error = checkValue(v.value, item, `${path}.${key}`);
+                if (error) {
+                    return error;
+                }
+            }
+            return null;
+        }
+        case 'union':
+            return v.members.some((member: GenericValidator) => checkValue(member, value, path) === null)
+                ? null
+                : mismatch('one of the allowed types');
+        default:
+            return null;
+    }
+}
+
+function checkFields(fields: PropertyValidators, value: Record<string, unknown>, prefix: string): string | null {
+    for (const [name, validator] of Object.entries(fields)) {
+        const error = checkValue(validator as GenericValidator, value[name], `${prefix}${name}`);
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the declared custom claims on an identity, throwing IdentityInvalidError on the first mismatch.
+ * Claims that are not declared are left alone.
+ */
+export function validateClaims(claims: PropertyValidators, identity: Record<string, unknown>): void {
+    const error = checkFields(claims, identity, '');
+    if (error) {
+        throw new IdentityInvalidError(`Invalid identity claim: ${error}`);
+    }
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { v } from 'convex/values';
+import { assertImpersonationClaims, resolveImpersonation, withActAsArg } from './impersonation';
+import { defaultAuthorizationPolicy } from './policy';
+import { AuthErrorCode, ForbiddenError, UserNotFoundError } from './errors';
+
+const admin = { subject: 'admin-1', issuer: 'https://auth.example.com', roles: ['support'] };
+const config = { requires: { roles: ['support'] } };
+
+describe('resolveImpersonation', () => {
+    it('should act as the subject with the admin issuer by default', async () => {
+        await expect(
+            resolveImpersonation(config, defaultAuthorizationPolicy, {}, admin, 'user-123', 'query')
+        ).resolves.toEqual({
+            subject: 'user-123',
+            issuer: 'https://auth.example.com',
+            tokenIdentifier: 'https://auth.example.com|user-123',
+        });
+    });
+
+    it('should forbid identities that do not meet the requirements', async () => {
+        const error = await resolveImpersonation(
+            config,
+            defaultAuthorizationPolicy,
+            {},
+            { ...admin, roles: ['member'] },
+            'user-123',
+            'query'
+        ).catch((err: unknown) => err);
+
+        expect(error).toBeInstanceOf(ForbiddenError);
+        expect((error as ForbiddenError).data).toEqual({
+            code: AuthErrorCode.FORBIDDEN,
+            message: 'Not allowed to impersonate users',
+        });
+    });
+
+    it('should block writes unless they are audited', async () => {
+        await expect(
+            resolveImpersonation(config, defaultAuthorizationPolicy, {}, admin, 'user-123', 'mutation')
+        ).rejects.toMatchObject({ data: { message: 'Writes are not allowed while impersonating' } });
+        await expect(
+            resolveImpersonation(config, defaultAuthorizationPolicy, {}, admin, 'user-123', 'action')
+        ).rejects.toBeInstanceOf(ForbiddenError);
+        const audited = { ...config, writes: 'audit' as const };
+        await expect(
+            resolveImpersonation(audited, defaultAuthorizationPolicy, {}, admin, 'user-123', 'mutation')
+        ).resolves.toMatchObject({ subject: 'user-123' });
+    });
+
+    it('should build the identity with loadIdentity', async () => {
+        const ctx = { db: {} };
+        const loadIdentity = vi.fn(async (_ctx: unknown, subject: string) =>
+            subject === 'user-123' ? { subject, email: 'ada@example.com' } : null
+        );
+        const withLoader = { ...config, loadIdentity };
+
+        await expect(
+            resolveImpersonation(withLoader, defaultAuthorizationPolicy, ctx, admin, 'user-123', 'query')
+        ).resolves.toEqual({ subject: 'user-123', email: 'ada@example.com' });
+        await expect(
+            resolveImpersonation(withLoader, defaultAuthorizationPolicy, ctx, admin, 'missing', 'query')
+        ).rejects.toBeInstanceOf(UserNotFoundError);
+        expect(loadIdentity).toHaveBeenCalledWith(ctx, 'user-123', admin);
+    });
+});
+
+describe('withActAsArg', () => {
+    it('should add an optional actAs argument', () => {
+        const args = withActAsArg({ noteId: v.string() });
+
+        expect(Object.keys(args)).toEqual(['noteId', 'actAs']);
+        expect(args.actAs.isOptional).toBe('optional');
+    });
+});
+
+describe('assertImpersonationClaims', () => {
+    const claims = { org_id: v.string(), plan: v.optional(v.string()) };
+
+    it('should require loadIdentity for required claims', () => {
+        expect(() => assertImpersonationClaims(config, claims)).toThrow(
+            '`impersonation.loadIdentity` is required to provide the claims org_id'
+        );
+        expect(() => assertImpersonationClaims({ ...config, loadIdentity: vi.fn() }, claims)).not.toThrow();
+        expect(() => assertImpersonationClaims(config, { plan: v.optional(v.string()) })).not.toThrow();
+        expect(() => assertImpersonationClaims(config, undefined)).not.toThrow();
+    });
+});
@@ -0,0 +1,86 @@
+import { v, type PropertyValidators, type Validator } from 'convex/values';
+import { ForbiddenError, UserNotFoundError } from './errors';
+import type { FunctionKind } from './middleware';
+import type { AuthIdentity, AuthorizationPolicy, AuthRequirements } from './policy';
+
+/**
+ * Configuration for the `impersonation` option of createAuthenticatedMethods
+ */
+export type ImpersonationConfig = {
+    /** Requirements the real identity must meet to act as another user, e.g. `{ roles: ['support'] }` */
+    requires: AuthRequirements;
+    /**
+     * What impersonated mutations and actions may do. `block` (the default) rejects them;
+     * `audit` lets them run but reports every impersonated call to the `audit` hook.
+     */
+    writes?: 'block' | 'audit';
+    /**
+     * Builds the identity of the user being impersonated, or returns null when there is no such user.
+     * Defaults to `{ subject, issuer, tokenIdentifier: '<issuer>|<subject>' }` with the admin's issuer.
+     */
+    loadIdentity?: (ctx: any, subject: string, realIdentity: AuthIdentity) => Promise<AuthIdentity | null>;
+};
+
+/**
+ * Fields added to the handler's ctx while an admin impersonates the caller
+ */
+export type ImpersonationCtx<Identity> = {
+    /** The admin's own identity. Only set while impersonating. */
+    realIdentity?: Identity;
+};
+
+/**
+ * Adds the optional `actAs` argument to the args validator of every wrapped function
+ */
+export function withActAsArg<Args extends PropertyValidators>(
+    args: Args
+): Args & { actAs: Validator<string | undefined, 'optional'> } {
+    return { ...args, actAs: v.optional(v.string()) };
+}
+
+/**
+ * Fails at setup when impersonated identities could never pass the declared claims: the default
+ * identity only has `subject`, `issuer` and `tokenIdentifier`, so required claims need `loadIdentity`
+ */
+export function assertImpersonationClaims(config: ImpersonationConfig, claims: PropertyValidators | undefined): void {
+    const required = Object.entries(claims ?? {})
+        .filter(([, validator]) => validator.isOptional !== 'optional')
+        .map(([name]) => name);
+    if (!config.loadIdentity && required.length > 0) {
+        throw new Error(
+            'createAuthenticatedMethods: `impersonation.loadIdentity` is required to provide the claims ' +
+                required.join(', ')
+        );
+    }
+}
+
+/**
+ * Checks that the real identity may impersonate `subject` in a function of this kind
+ * and returns the identity to act as
+ */
+export async function resolveImpersonation(
+    config: ImpersonationConfig,
+    authorize: AuthorizationPolicy,
+    ctx: any,
+    realIdentity: AuthIdentity,
+    subject: string,
+    kind: FunctionKind
+): Promise<AuthIdentity> {
+    if (!(await authorize(realIdentity, config.requires, ctx))) {
+        throw new ForbiddenError('Not allowed to impersonate users');
+    }
+    if (kind !== 'query' && (config.writes ?? 'block') === 'block') {
+        throw new ForbiddenError('Writes are not allowed while impersonating');
+    }
+    const identity = config.loadIdentity
+        ? await config.loadIdentity(ctx, subject, realIdentity)
+        : {
+              subject,
+              issuer: realIdentity.issuer,
+              tokenIdentifier: `${realIdentity.issuer}|${subject}`,
+          };
+    if (!identity) {
+        throw new UserNotFoundError(`No user to impersonate for "${subject}"`);
+    }
+    return identity;
+}
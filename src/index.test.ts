@@ -1,7 +1,16 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { createAuthenticatedMethods } from './index';
-import type { PropertyValidators } from 'convex/values';
-import type { QueryBuilder, MutationBuilder } from 'convex/server';
+import { describe, it, expect, expectTypeOf, vi, beforeEach } from 'vitest';
+import {
+    createAuthenticatedMethods,
+    DocumentNotFoundError,
+    ForbiddenError,
+    hashApiKey,
+    IdentityInvalidError,
+    RateLimitedError,
+    ReauthRequiredError,
+    UnauthenticatedError,
+} from './index';
+import { v, type PropertyValidators } from 'convex/values';
+import type { QueryBuilder, MutationBuilder, ActionBuilder, UserIdentity } from 'convex/server';
 
 // Mock types for Convex context
 type MockQueryCtx = {
@@ -244,6 +253,40 @@ describe('createAuthenticatedMethods', () => {
             await expect(wrappedHandler(mockCtx, {})).rejects.toThrow('Auth service error');
             expect(handler).not.toHaveBeenCalled();
         });
+
+        it('should throw UnauthenticatedError with structured data', async () => {
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(null),
+                },
+                db: {},
+            };
+
+            authenticatedQuery({ args: {}, handler: vi.fn() });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            const error = await wrappedHandler(mockCtx, {}).catch((e: unknown) => e);
+
+            expect(error).toBeInstanceOf(UnauthenticatedError);
+            expect(error.data).toEqual({ code: 'UNAUTHENTICATED', message: 'Not authenticated' });
+        });
+
+        it('should throw IdentityInvalidError when the identity has no subject', async () => {
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue({ subject: '' }),
+                },
+                db: {},
+            };
+
+            const handler = vi.fn();
+            authenticatedQuery({ args: {}, handler });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(mockCtx, {})).rejects.toBeInstanceOf(IdentityInvalidError);
+            expect(handler).not.toHaveBeenCalled();
+        });
     });
 
     describe('authenticatedMutation', () => {
@@ -437,6 +480,1673 @@ describe('createAuthenticatedMethods', () => {
         });
     });
 
+    describe('authenticatedAction and internal variants', () => {
+        type MockActionCtx = {
+            auth: {
+                getUserIdentity(): Promise<{ subject: string } | null>;
+            };
+            runQuery: any;
+        };
+
+        let mockAction: ReturnType<typeof vi.fn>;
+        let mockInternalQuery: ReturnType<typeof vi.fn>;
+        let mockInternalMutation: ReturnType<typeof vi.fn>;
+        let mockInternalAction: ReturnType<typeof vi.fn>;
+        let methods: ReturnType<typeof createAuthenticatedMethods<MockQueryCtx, MockMutationCtx, any, 'public', MockActionCtx>>;
+
+        beforeEach(() => {
+            const builder = () => vi.fn((definition: any) => definition);
+            mockAction = builder();
+            mockInternalQuery = builder();
+            mockInternalMutation = builder();
+            mockInternalAction = builder();
+
+            methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx, any, 'public', MockActionCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                action: mockAction as any as ActionBuilder<any, 'public'>,
+                internalQuery: mockInternalQuery as any as QueryBuilder<any, 'internal'>,
+                internalMutation: mockInternalMutation as any as MutationBuilder<any, 'internal'>,
+                internalAction: mockInternalAction as any as ActionBuilder<any, 'internal'>,
+            });
+        });
+
+        it('should inject identity into action context when authenticated', async () => {
+            const identity = { subject: 'user-action' };
+            const mockCtx: MockActionCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                runQuery: vi.fn(),
+            };
+
+            const handler = vi.fn().mockResolvedValue('action-result');
+            methods.authenticatedAction({ args: {}, handler });
+
+            expect(mockAction).toHaveBeenCalledTimes(1);
+            const wrappedHandler = mockAction.mock.calls[0][0].handler;
+            const result = await wrappedHandler(mockCtx, { value: 1 });
+
+            expect(result).toBe('action-result');
+            expect(handler).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    runQuery: mockCtx.runQuery,
+                    identity,
+                }),
+                { value: 1 }
+            );
+        });
+
+        it('should throw error when action identity is null', async () => {
+            const mockCtx: MockActionCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(null),
+                },
+                runQuery: vi.fn(),
+            };
+
+            const handler = vi.fn();
+            methods.authenticatedAction({ args: {}, handler });
+
+            const wrappedHandler = mockAction.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(mockCtx, {})).rejects.toThrow('Not authenticated');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should register internal variants with the internal builders', async () => {
+            const identity = { subject: 'user-internal' };
+            const mockCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {},
+            };
+
+            const handler = vi.fn().mockResolvedValue('ok');
+            methods.authenticatedInternalQuery({ args: {}, handler });
+            methods.authenticatedInternalMutation({ args: {}, handler });
+            methods.authenticatedInternalAction({ args: {}, handler });
+
+            expect(mockQuery).not.toHaveBeenCalled();
+            expect(mockMutation).not.toHaveBeenCalled();
+            expect(mockAction).not.toHaveBeenCalled();
+
+            for (const builder of [mockInternalQuery, mockInternalMutation, mockInternalAction]) {
+                expect(builder).toHaveBeenCalledTimes(1);
+                await builder.mock.calls[0][0].handler(mockCtx, {});
+            }
+            expect(handler).toHaveBeenCalledTimes(3);
+        });
+
+        it('should throw when a builder was not provided', () => {
+            expect(() => authenticatedQuery({ args: {}, handler: vi.fn() })).not.toThrow();
+
+            const { authenticatedAction, authenticatedInternalMutation } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+
+            expect(() => authenticatedAction({ args: {}, handler: vi.fn() })).toThrow('`action` was not provided');
+            expect(() => authenticatedInternalMutation({ args: {}, handler: vi.fn() })).toThrow(
+                '`internalMutation` was not provided'
+            );
+        });
+    });
+
+    describe('requires', () => {
+        it('should run the handler when the default policy passes', async () => {
+            const identity = { subject: 'user-123', roles: ['admin'] };
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {},
+            };
+
+            const handler = vi.fn().mockResolvedValue('allowed');
+            authenticatedQuery({ args: {}, requires: { roles: ['admin'] }, handler });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(mockCtx, {})).resolves.toBe('allowed');
+        });
+
+        it('should throw ForbiddenError when the default policy fails', async () => {
+            const mockCtx: MockMutationCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue({ subject: 'user-123', roles: ['viewer'] }),
+                },
+                db: {},
+            };
+
+            const handler = vi.fn();
+            authenticatedMutation({ args: {}, requires: { roles: ['admin'] }, handler });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            const error = await wrappedHandler(mockCtx, {}).catch((e: unknown) => e);
+
+            expect(error).toBeInstanceOf(ForbiddenError);
+            expect(error.data).toEqual({ code: 'FORBIDDEN', message: 'Forbidden' });
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should still throw Not authenticated before checking requirements', async () => {
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(null),
+                },
+                db: {},
+            };
+
+            authenticatedQuery({ args: {}, requires: { roles: ['admin'] }, handler: vi.fn() });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            const error = await wrappedHandler(mockCtx, {}).catch((e: unknown) => e);
+
+            expect(error).toBeInstanceOf(UnauthenticatedError);
+            expect(error.data.code).toBe('UNAUTHENTICATED');
+        });
+
+        it('should use a custom authorize policy registered on the factory', async () => {
+            const authorize = vi.fn().mockResolvedValue(false);
+            const { authenticatedQuery: customQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                authorize,
+            });
+            const identity = { subject: 'user-123' };
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {},
+            };
+
+            customQuery({ args: {}, requires: { claims: { plan: 'pro' } }, handler: vi.fn() });
+            customQuery({ args: {}, handler: vi.fn().mockResolvedValue('open') });
+
+            const guarded = mockQuery.mock.calls[0][0].handler;
+            const open = mockQuery.mock.calls[1][0].handler;
+
+            await expect(guarded(mockCtx, {})).rejects.toBeInstanceOf(ForbiddenError);
+            expect(authorize).toHaveBeenCalledWith(identity, { claims: { plan: 'pro' } }, mockCtx);
+
+            await expect(open(mockCtx, {})).resolves.toBe('open');
+            expect(authorize).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('resolveUser', () => {
+        type UserDoc = { _id: string; tokenIdentifier: string; name: string };
+        type MockDataModel = {
+            users: { document: UserDoc; fieldPaths: string; indexes: {}; searchIndexes: {}; vectorIndexes: {} };
+        };
+
+        function createUserCtx(user: UserDoc | null) {
+            return {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue({ subject: 'user-123', tokenIdentifier: 'issuer|user-123' }),
+                },
+                db: {
+                    query: vi.fn().mockReturnValue({
+                        withIndex: vi.fn().mockReturnValue({ unique: vi.fn().mockResolvedValue(user) }),
+                    }),
+                },
+            };
+        }
+
+        it('should inject ctx.user typed from the DataModel', async () => {
+            const user = { _id: 'u1', tokenIdentifier: 'issuer|user-123', name: 'Ada' };
+            const methods = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<MockDataModel, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<MockDataModel, 'public'>,
+                resolveUser: { table: 'users', index: 'by_token' },
+            });
+
+            const handler = vi.fn(async (ctx: { user: UserDoc }) => ctx.user.name);
+            methods.authenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.user).toEqualTypeOf<UserDoc>();
+                    return handler(ctx);
+                },
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createUserCtx(user), {})).resolves.toBe('Ada');
+        });
+
+        it('should type ctx.user as nullable when onMissing is null', async () => {
+            const methods = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<MockDataModel, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<MockDataModel, 'public'>,
+                resolveUser: { table: 'users', index: 'by_token', onMissing: 'null' },
+            });
+
+            methods.authenticatedMutation({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.user).toEqualTypeOf<UserDoc | null>();
+                    return ctx.user;
+                },
+            });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createUserCtx(null), {})).resolves.toBeNull();
+        });
+
+        it('should not resolve users for actions', async () => {
+            const mockAction = vi.fn((definition: any) => definition);
+            const load = vi.fn();
+            const methods = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<MockDataModel, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<MockDataModel, 'public'>,
+                action: mockAction as any as ActionBuilder<MockDataModel, 'public'>,
+                resolveUser: { load },
+            });
+
+            const handler = vi.fn().mockResolvedValue('ok');
+            methods.authenticatedAction({ args: {}, handler });
+
+            await mockAction.mock.calls[0][0].handler(createUserCtx(null), {});
+
+            expect(load).not.toHaveBeenCalled();
+            expect(handler.mock.calls[0][0]).not.toHaveProperty('user');
+        });
+    });
+
+    describe('rowLevelSecurity', () => {
+        type NoteDoc = { _id: string; _creationTime: number; userId: string; body: string };
+        type UserDoc = { _id: string; tokenIdentifier: string; name: string };
+        type MockDataModel = {
+            notes: { document: NoteDoc; fieldPaths: string; indexes: {}; searchIndexes: {}; vectorIndexes: {} };
+            users: { document: UserDoc; fieldPaths: string; indexes: {}; searchIndexes: {}; vectorIndexes: {} };
+        };
+
+        const notes: Record<string, NoteDoc> = {
+            'notes:1': { _id: 'notes:1', _creationTime: 1, userId: 'user-123', body: 'mine' },
+            'notes:2': { _id: 'notes:2', _creationTime: 2, userId: 'someone-else', body: 'theirs' },
+        };
+
+        function createNotesCtx(identity: { subject: string } | null) {
+            return {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {
+                    normalizeId: (table: string, id: string) => (id.startsWith(`${table}:`) ? id : null),
+                    get: vi.fn(async (id: string) => notes[id] ?? null),
+                    delete: vi.fn(),
+                },
+            };
+        }
+
+        function createMethods(mockAction = vi.fn((definition: any) => definition)) {
+            return createAuthenticatedMethods<MockQueryCtx, MockMutationCtx, MockDataModel, 'public', MockQueryCtx>({
+                query: mockQuery as any as QueryBuilder<MockDataModel, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<MockDataModel, 'public'>,
+                action: mockAction as any as ActionBuilder<MockDataModel, 'public'>,
+                rowLevelSecurity: {
+                    notes: (doc, ctx) => {
+                        expectTypeOf(doc).toEqualTypeOf<NoteDoc>();
+                        expectTypeOf(ctx.identity).toEqualTypeOf<UserIdentity>();
+                        return doc.userId === ctx.identity.subject;
+                    },
+                },
+            });
+        }
+
+        it('should filter reads in queries through the table rules', async () => {
+            createMethods().authenticatedQuery({
+                args: {},
+                handler: async ctx => Promise.all([ctx.db.get('notes:1'), ctx.db.get('notes:2')]),
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createNotesCtx({ subject: 'user-123' }), {})).resolves.toEqual([
+                notes['notes:1'],
+                null,
+            ]);
+        });
+
+        it('should throw a ForbiddenError for forbidden writes in mutations', async () => {
+            createMethods().authenticatedMutation({
+                args: {},
+                handler: async ctx => ctx.db.delete('notes:2'),
+            });
+
+            const ctx = createNotesCtx({ subject: 'user-123' });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            await expect(wrappedHandler(ctx, {})).rejects.toBeInstanceOf(ForbiddenError);
+            expect(ctx.db.delete).not.toHaveBeenCalled();
+        });
+
+        it('should pass the resolved user to the rules', async () => {
+            const rule = vi.fn().mockResolvedValue(true);
+            const user = { _id: 'u1', tokenIdentifier: 'issuer|user-123', name: 'Ada' };
+            const methods = createAuthenticatedMethods<
+                MockQueryCtx,
+                MockMutationCtx,
+                MockDataModel,
+                'public',
+                MockQueryCtx,
+                { load: () => Promise<UserDoc> }
+            >({
+                query: mockQuery as any as QueryBuilder<MockDataModel, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<MockDataModel, 'public'>,
+                resolveUser: { load: async () => user },
+                rowLevelSecurity: { notes: rule },
+            });
+            methods.authenticatedQuery({ args: {}, handler: async ctx => ctx.db.get('notes:2') });
+
+            const ctx = createNotesCtx({ subject: 'user-123' });
+            await mockQuery.mock.calls[0][0].handler(ctx, {});
+
+            expect(rule).toHaveBeenCalledWith(
+                notes['notes:2'],
+                expect.objectContaining({ identity: { subject: 'user-123' }, user, db: ctx.db })
+            );
+        });
+
+        it('should hide ruled tables from anonymous callers', async () => {
+            createMethods().maybeAuthenticatedQuery({
+                args: {},
+                handler: async ctx => ctx.db.get('notes:1'),
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createNotesCtx(null), {})).resolves.toBeNull();
+        });
+
+        it('should leave ctx.db alone in actions', async () => {
+            const mockAction = vi.fn((definition: any) => definition);
+            const handler = vi.fn().mockResolvedValue('ok');
+            createMethods(mockAction).authenticatedAction({ args: {}, handler });
+
+            const ctx = createNotesCtx({ subject: 'user-123' });
+            await mockAction.mock.calls[0][0].handler(ctx, {});
+
+            expect(handler.mock.calls[0][0].db).toBe(ctx.db);
+        });
+    });
+
+    describe('audit', () => {
+        function createAuditedMethods(onCall = vi.fn()) {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                audit: { onCall, redact: ['password'] },
+            });
+            return { methods, onCall };
+        }
+
+        const createCtx = (identity: Record<string, unknown> | null): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue(identity) },
+            db: {},
+        });
+
+        it('should report successful mutations to the hook', async () => {
+            const { methods, onCall } = createAuditedMethods();
+            methods.authenticatedMutation({
+                name: 'users:changePassword',
+                args: { password: v.string() },
+                handler: async () => 'ok',
+            });
+
+            const ctx = createCtx({ subject: 'user-123' });
+            await mockMutation.mock.calls[0][0].handler(ctx, { password: 'hunter2' });
+
+            expect(onCall).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    functionName: 'users:changePassword',
+                    kind: 'mutation',
+                    subject: 'user-123',
+                    args: { password: '[REDACTED]' },
+                    outcome: 'success',
+                    errorCode: null,
+                }),
+                ctx
+            );
+        });
+
+        it('should report failed authentication and authorization', async () => {
+            const { methods, onCall } = createAuditedMethods();
+            methods.authenticatedMutation({
+                args: {},
+                requires: { roles: ['admin'] },
+                handler: async () => 'ok',
+            });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(null), {})).rejects.toBeInstanceOf(UnauthenticatedError);
+            await expect(wrappedHandler(createCtx({ subject: 'user-123', roles: [] }), {})).rejects.toBeInstanceOf(
+                ForbiddenError
+            );
+
+            expect(onCall.mock.calls.map(([event]) => [event.functionName, event.subject, event.outcome])).toEqual([
+                [null, null, 'unauthenticated'],
+                [null, 'user-123', 'forbidden'],
+            ]);
+        });
+
+        it('should not audit queries by default', async () => {
+            const { methods, onCall } = createAuditedMethods();
+            methods.authenticatedQuery({ args: {}, handler: async () => 'ok' });
+
+            await mockQuery.mock.calls[0][0].handler(createCtx({ subject: 'user-123' }), {});
+
+            expect(onCall).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('rateLimit', () => {
+        const strict = { kind: 'fixed window' as const, rate: 1, period: 60_000 };
+
+        function createLimitedDb() {
+            const rows = new Map<string, any>();
+            return {
+                rows,
+                query: vi.fn(() => ({
+                    withIndex: (_index: string, build: (q: any) => string) => {
+                        const key = build({ eq: (_field: string, value: string) => value });
+                        return { unique: async () => rows.get(key) ?? null };
+                    },
+                })),
+                insert: vi.fn(async (_table: string, doc: any) => {
+                    rows.set(doc.key, { _id: doc.key, ...doc });
+                }),
+                patch: vi.fn(async (id: string, fields: any) => {
+                    rows.set(id, { ...rows.get(id), ...fields });
+                }),
+            };
+        }
+
+        const createCtx = (db: any, subject = 'user-123'): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue({ subject }) },
+            db,
+        });
+
+        const createLimitedMethods = (limits: Record<string, typeof strict> = { default: strict }) =>
+            createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                rateLimit: { table: 'rateLimits', limits },
+            });
+
+        it('should apply the default limit per function and user', async () => {
+            const methods = createLimitedMethods();
+            const handler = vi.fn().mockResolvedValue('ok');
+            methods.authenticatedMutation({ name: 'notes:create', args: {}, handler });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            const db = createLimitedDb();
+
+            await expect(wrappedHandler(createCtx(db), {})).resolves.toBe('ok');
+            const error = await wrappedHandler(createCtx(db), {}).catch((err: unknown) => err);
+            await expect(wrappedHandler(createCtx(db, 'user-456'), {})).resolves.toBe('ok');
+
+            expect(error).toBeInstanceOf(RateLimitedError);
+            expect(error.data).toEqual({
+                code: 'RATE_LIMITED',
+                message: 'Rate limit exceeded',
+                retryAfter: expect.any(Number),
+            });
+            expect(handler).toHaveBeenCalledTimes(2);
+            expect([...db.rows.keys()]).toEqual(['notes:create|user-123', 'notes:create|user-456']);
+        });
+
+        it('should not count calls that fail authentication', async () => {
+            const methods = createLimitedMethods();
+            methods.authenticatedMutation({ name: 'notes:create', args: {}, handler: async () => 'ok' });
+            const db = createLimitedDb();
+            const ctx = { auth: { getUserIdentity: vi.fn().mockResolvedValue(null) }, db };
+
+            await expect(mockMutation.mock.calls[0][0].handler(ctx, {})).rejects.toBeInstanceOf(UnauthenticatedError);
+
+            expect(db.insert).not.toHaveBeenCalled();
+        });
+
+        it('should let definitions pick a named limit or opt out', async () => {
+            const methods = createLimitedMethods({ default: { ...strict, rate: 100 }, strict });
+            methods.authenticatedMutation({
+                name: 'invites:send',
+                args: {},
+                rateLimit: 'strict',
+                handler: async () => 'ok',
+            });
+            methods.authenticatedMutation({ args: {}, rateLimit: false, handler: async () => 'ok' });
+            const [limited, unlimited] = mockMutation.mock.calls.map(([definition]) => definition.handler);
+            const db = createLimitedDb();
+
+            await limited(createCtx(db), {});
+            await expect(limited(createCtx(db), {})).rejects.toBeInstanceOf(RateLimitedError);
+            await unlimited(createCtx(db), {});
+            await unlimited(createCtx(db), {});
+
+            expect([...db.rows.keys()]).toEqual(['invites:send|user-123']);
+        });
+
+        it('should keep separate buckets for functions sharing a limit', async () => {
+            const methods = createLimitedMethods();
+            methods.authenticatedMutation({ name: 'notes:create', args: {}, handler: async () => 'ok' });
+            methods.authenticatedMutation({
+                name: 'notes:remove',
+                args: {},
+                rateLimit: strict,
+                handler: async () => 'ok',
+            });
+            const [create, remove] = mockMutation.mock.calls.map(([definition]) => definition.handler);
+            const db = createLimitedDb();
+
+            await create(createCtx(db), {});
+            await expect(remove(createCtx(db), {})).resolves.toBe('ok');
+
+            expect([...db.rows.keys()]).toEqual(['notes:create|user-123', 'notes:remove|user-123']);
+        });
+
+        it('should require a name for rate-limited functions', () => {
+            const methods = createLimitedMethods();
+            const message = 'rate-limited functions need a `name`';
+
+            expect(() => methods.authenticatedMutation({ args: {}, handler: async () => 'ok' })).toThrow(message);
+            expect(() =>
+                methods.authenticatedMutation({ args: {}, rateLimit: strict, handler: async () => 'ok' })
+            ).toThrow(message);
+            expect(() =>
+                methods.authenticatedMutation({ args: {}, rateLimit: false, handler: async () => 'ok' })
+            ).not.toThrow();
+        });
+
+        it('should not limit queries', async () => {
+            const methods = createLimitedMethods();
+            methods.authenticatedQuery({ args: {}, handler: async () => 'ok' });
+            const db = createLimitedDb();
+
+            await mockQuery.mock.calls[0][0].handler(createCtx(db), {});
+
+            expect(db.query).not.toHaveBeenCalled();
+        });
+
+        it('should not apply the default limit to optional-auth mutations', async () => {
+            const methods = createLimitedMethods();
+            methods.maybeAuthenticatedMutation({ args: {}, handler: async () => 'ok' });
+            const db = createLimitedDb();
+
+            await expect(mockMutation.mock.calls[0][0].handler(createCtx(db), {})).resolves.toBe('ok');
+            expect(db.query).not.toHaveBeenCalled();
+        });
+
+        it('should consume the limit of actions through the configured mutation', async () => {
+            const mockAction = vi.fn((definition: any) => definition);
+            const actionMutation = 'internal.auth.consumeRateLimit' as any;
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx, any, 'public', any>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                action: mockAction as any as ActionBuilder<any, 'public'>,
+                rateLimit: { table: 'rateLimits', limits: { default: strict }, actionMutation },
+            });
+            methods.authenticatedAction({ name: 'ai:summarize', args: {}, handler: async () => 'ok' });
+            const runMutation = vi
+                .fn()
+                .mockResolvedValueOnce({ ok: true })
+                .mockResolvedValueOnce({ ok: false, retryAfter: 500 });
+            const ctx = { auth: { getUserIdentity: vi.fn().mockResolvedValue({ subject: 'user-123' }) }, runMutation };
+            const wrappedHandler = mockAction.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(ctx, {})).resolves.toBe('ok');
+            await expect(wrappedHandler(ctx, {})).rejects.toMatchObject({ retryAfter: 500 });
+            expect(runMutation).toHaveBeenCalledWith(actionMutation, { key: 'ai:summarize|user-123', limit: strict });
+        });
+
+        it('should fail at definition time when the limit cannot be resolved', () => {
+            const mockAction = vi.fn((definition: any) => definition);
+            const unconfigured = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                action: mockAction as any as ActionBuilder<any, 'public'>,
+            });
+            const withoutActionMutation = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                action: mockAction as any as ActionBuilder<any, 'public'>,
+                rateLimit: { table: 'rateLimits', limits: { default: strict } },
+            });
+
+            expect(() =>
+                unconfigured.authenticatedMutation({ args: {}, rateLimit: strict, handler: async () => 'ok' })
+            ).toThrow('rateLimit');
+            expect(() =>
+                withoutActionMutation.authenticatedMutation({ args: {}, rateLimit: 'missing', handler: async () => 'ok' })
+            ).toThrow('rateLimit: unknown limit "missing"');
+            expect(() => withoutActionMutation.authenticatedAction({ args: {}, handler: async () => 'ok' })).toThrow(
+                'rateLimit.actionMutation'
+            );
+            expect(() =>
+                withoutActionMutation.authenticatedAction({ args: {}, rateLimit: false, handler: async () => 'ok' })
+            ).not.toThrow();
+        });
+    });
+
+    describe('serviceAuth', () => {
+        const key = 'sk_cron';
+        let keyDoc: Record<string, unknown>;
+
+        beforeEach(async () => {
+            keyDoc = {
+                _id: 'apiKeys:1',
+                name: 'billing-cron',
+                hash: await hashApiKey(key),
+                hint: 'sk_cron',
+                scopes: ['notes:write'],
+            };
+        });
+
+        const createDb = () => ({
+            query: vi.fn(() => ({
+                withIndex: (_index: string, build: (q: any) => string) => {
+                    const hash = build({ eq: (_field: string, value: string) => value });
+                    return { unique: async () => (hash === keyDoc.hash ? keyDoc : null) };
+                },
+            })),
+        });
+
+        const createCtx = (identity: Record<string, unknown> | null): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue(identity) },
+            db: createDb(),
+        });
+
+        const createServiceMethods = (options: Record<string, unknown> = {}) =>
+            createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                serviceAuth: { table: 'apiKeys' },
+                ...options,
+            });
+
+        it('should accept API keys and give service callers a synthetic identity', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createServiceMethods().authenticatedMutation({
+                args: { noteId: v.string() },
+                service: { scopes: ['notes:write'] },
+                handler,
+            });
+            const definition = mockMutation.mock.calls[0][0];
+
+            await expect(definition.handler(createCtx(null), { noteId: 'n1', apiKey: key })).resolves.toBe('ok');
+
+            expect(Object.keys(definition.args)).toEqual(['noteId', 'apiKey']);
+            expect(handler).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    identity: expect.objectContaining({ kind: 'service', subject: 'service:billing-cron' }),
+                }),
+                { noteId: 'n1' }
+            );
+        });
+
+        it('should tag user identities and check requires only for users', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createServiceMethods().authenticatedMutation({
+                args: {},
+                service: { scopes: ['notes:write'] },
+                requires: { roles: ['admin'] },
+                handler,
+            });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+
+            await wrappedHandler(createCtx({ subject: 'user-123', roles: ['admin'] }), {});
+            await wrappedHandler(createCtx(null), { apiKey: key });
+            await expect(wrappedHandler(createCtx({ subject: 'user-123', roles: [] }), {})).rejects.toBeInstanceOf(
+                ForbiddenError
+            );
+
+            expect(handler.mock.calls.map(([ctx]) => ctx.identity.kind)).toEqual(['user', 'service']);
+        });
+
+        it('should require scopes when service is combined with user checks', () => {
+            const methods = createServiceMethods();
+
+            expect(() =>
+                methods.authenticatedMutation({
+                    args: {},
+                    service: true,
+                    requires: { roles: ['admin'] },
+                    handler: async () => 'ok',
+                })
+            ).toThrow('`service` needs `scopes` when combined with `requires`');
+            expect(() =>
+                methods.authenticatedQuery({
+                    args: {},
+                    service: { scopes: [] },
+                    maxAuthAge: 60_000,
+                    requireMfa: true,
+                    handler: async () => 'ok',
+                })
+            ).toThrow('`maxAuthAge`, `requireMfa`');
+            expect(() =>
+                methods.authenticatedQuery({ args: {}, service: true, handler: async () => 'ok' })
+            ).not.toThrow();
+        });
+
+        it('should reject invalid keys and keys without the required scopes', async () => {
+            createServiceMethods().authenticatedQuery({
+                args: {},
+                service: { scopes: ['notes:read'] },
+                handler: async () => 'ok',
+            });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(null), { apiKey: 'sk_wrong' })).rejects.toBeInstanceOf(
+                UnauthenticatedError
+            );
+            await expect(wrappedHandler(createCtx(null), { apiKey: key })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(wrappedHandler(createCtx(null), {})).rejects.toBeInstanceOf(UnauthenticatedError);
+        });
+
+        it('should leave definitions without service unchanged', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createServiceMethods().authenticatedQuery({ args: {}, handler });
+            const definition = mockQuery.mock.calls[0][0];
+
+            await expect(definition.handler(createCtx(null), { apiKey: key })).rejects.toBeInstanceOf(
+                UnauthenticatedError
+            );
+            await definition.handler(createCtx({ subject: 'user-123' }), {});
+
+            expect(definition.args).toEqual({});
+            expect(handler.mock.calls[0][0].identity).toEqual({ subject: 'user-123' });
+        });
+
+        it('should skip the user and middleware for service callers', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            const load = vi.fn().mockResolvedValue({ _id: 'users:1' });
+            createServiceMethods({ resolveUser: { load } })
+                .use(async () => ({ tenantId: 'tenant-a' }))
+                .authenticatedQuery({ args: {}, service: true, handler });
+
+            await mockQuery.mock.calls[0][0].handler(createCtx(null), { apiKey: key });
+
+            expect(load).not.toHaveBeenCalled();
+            expect(handler.mock.calls[0][0]).not.toHaveProperty('user');
+            expect(handler.mock.calls[0][0]).not.toHaveProperty('tenantId');
+        });
+
+        it('should type the handler ctx as a user or service caller', () => {
+            createServiceMethods().authenticatedMutation({
+                args: {},
+                service: true,
+                handler: async ctx => {
+                    if (ctx.identity.kind === 'service') {
+                        expectTypeOf(ctx.identity.scopes).toEqualTypeOf<string[]>();
+                    } else {
+                        expectTypeOf(ctx.identity.kind).toEqualTypeOf<'user'>();
+                        expectTypeOf(ctx.identity.tokenIdentifier).toEqualTypeOf<string>();
+                    }
+                    return null;
+                },
+            });
+        });
+
+        it('should require the serviceAuth option', () => {
+            expect(() =>
+                authenticatedMutation({ args: {}, service: true, handler: async () => 'ok' })
+            ).toThrow('`serviceAuth` was not provided');
+        });
+    });
+
+    describe('impersonation', () => {
+        const admin = { subject: 'admin-1', issuer: 'https://auth.example.com', roles: ['support'] };
+
+        const createCtx = (identity: Record<string, unknown> | null): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue(identity) },
+            db: {},
+        });
+
+        const createImpersonatingMethods = (options: Record<string, unknown> = {}) =>
+            createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                impersonation: { requires: { roles: ['support'] } },
+                ...options,
+            });
+
+        it('should fail at setup when the default identity cannot have the required claims', () => {
+            expect(() => createImpersonatingMethods({ claims: { org_id: v.string() } })).toThrow(
+                'impersonation.loadIdentity'
+            );
+        });
+
+        it('should let admins act as another user', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createImpersonatingMethods().authenticatedQuery({ args: { noteId: v.string() }, handler });
+            const definition = mockQuery.mock.calls[0][0];
+
+            await definition.handler(createCtx(admin), { noteId: 'n1', actAs: 'user-123' });
+
+            expect(Object.keys(definition.args)).toEqual(['noteId', 'actAs']);
+            expect(handler).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    identity: {
+                        subject: 'user-123',
+                        issuer: 'https://auth.example.com',
+                        tokenIdentifier: 'https://auth.example.com|user-123',
+                    },
+                    realIdentity: admin,
+                }),
+                { noteId: 'n1' }
+            );
+        });
+
+        it('should run normally without actAs', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createImpersonatingMethods().authenticatedQuery({ args: {}, handler });
+
+            await mockQuery.mock.calls[0][0].handler(createCtx({ subject: 'user-123' }), {});
+
+            expect(handler.mock.calls[0][0].identity).toEqual({ subject: 'user-123' });
+            expect(handler.mock.calls[0][0]).not.toHaveProperty('realIdentity');
+        });
+
+        it('should reject callers without the admin requirements and anonymous callers', async () => {
+            createImpersonatingMethods().maybeAuthenticatedQuery({ args: {}, handler: async () => 'ok' });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(
+                wrappedHandler(createCtx({ subject: 'user-456', roles: [] }), { actAs: 'user-123' })
+            ).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(wrappedHandler(createCtx(null), { actAs: 'user-123' })).rejects.toBeInstanceOf(
+                UnauthenticatedError
+            );
+        });
+
+        it('should check requires against the impersonated user', async () => {
+            createImpersonatingMethods().authenticatedQuery({
+                args: {},
+                requires: { roles: ['billing'] },
+                handler: async () => 'ok',
+            });
+
+            await expect(
+                mockQuery.mock.calls[0][0].handler(createCtx({ ...admin, roles: ['support', 'billing'] }), {
+                    actAs: 'user-123',
+                })
+            ).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should block impersonated mutations by default', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            createImpersonatingMethods().authenticatedMutation({ args: {}, handler });
+
+            await expect(
+                mockMutation.mock.calls[0][0].handler(createCtx(admin), { actAs: 'user-123' })
+            ).rejects.toMatchObject({ data: { message: 'Writes are not allowed while impersonating' } });
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should audit every impersonated call when writes are allowed', async () => {
+            const onCall = vi.fn();
+            const methods = createImpersonatingMethods({
+                impersonation: { requires: { roles: ['support'] }, writes: 'audit' },
+                audit: { onCall, kinds: [] },
+            });
+            methods.authenticatedMutation({ name: 'notes:update', args: {}, handler: async () => 'ok' });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(admin), { actAs: 'user-123' })).resolves.toBe('ok');
+            await wrappedHandler(createCtx({ subject: 'user-123' }), {});
+
+            expect(onCall).toHaveBeenCalledTimes(1);
+            expect(onCall.mock.calls[0][0]).toMatchObject({
+                functionName: 'notes:update',
+                subject: 'user-123',
+                impersonatedBy: 'admin-1',
+                outcome: 'success',
+            });
+        });
+
+        it('should require audit when impersonated writes are audited', () => {
+            const methods = createImpersonatingMethods({
+                impersonation: { requires: { roles: ['support'] }, writes: 'audit' },
+            });
+
+            expect(() => methods.authenticatedMutation({ args: {}, handler: async () => 'ok' })).toThrow(
+                '`audit` was not provided'
+            );
+        });
+
+        it('should type ctx.realIdentity as the identity', () => {
+            createImpersonatingMethods().authenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.realIdentity).toEqualTypeOf<UserIdentity | undefined>();
+                    return null;
+                },
+            });
+        });
+    });
+
+    describe('freshness', () => {
+        const now = Date.now();
+        const identity = { subject: 'user-123', auth_time: Math.floor(now / 1000) - 600, sid: 'session-1' };
+
+        const createCtx = (caller: Record<string, unknown>, revoked: string[] = []): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue(caller) },
+            db: {
+                query: vi.fn(() => ({
+                    withIndex: (_index: string, build: (q: any) => string) => ({
+                        first: async () => {
+                            const sessionId = build({ eq: (_field: string, value: string) => value });
+                            return revoked.includes(sessionId) ? { sessionId } : null;
+                        },
+                    }),
+                })),
+            },
+        });
+
+        it('should require a recent sign-in for maxAuthAge', async () => {
+            const handler = vi.fn().mockResolvedValue('ok');
+            authenticatedMutation({ args: {}, maxAuthAge: 5 * 60 * 1000, handler });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(identity), {})).rejects.toMatchObject({
+                data: { code: 'REAUTH_REQUIRED', reason: 'stale' },
+            });
+            await expect(
+                wrappedHandler(createCtx({ ...identity, auth_time: Math.floor(now / 1000) }), {})
+            ).resolves.toBe('ok');
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        it('should require a second factor for requireMfa', async () => {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                freshness: { mfaMethods: ['otp'] },
+            });
+            methods.authenticatedQuery({ args: {}, requireMfa: true, handler: async () => 'ok' });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx({ ...identity, amr: ['pwd'] }), {})).rejects.toBeInstanceOf(
+                ReauthRequiredError
+            );
+            await expect(wrappedHandler(createCtx({ ...identity, amr: ['pwd', 'otp'] }), {})).resolves.toBe('ok');
+        });
+
+        it('should reject revoked sessions in every query and mutation', async () => {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                freshness: { revocation: { table: 'revokedSessions' } },
+            });
+            const handler = vi.fn().mockResolvedValue('ok');
+            methods.maybeAuthenticatedQuery({ args: {}, handler });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(identity, ['session-1']), {})).rejects.toMatchObject({
+                data: { code: 'REAUTH_REQUIRED', message: 'Session has been revoked', reason: 'revoked' },
+            });
+            await expect(wrappedHandler(createCtx(identity, ['session-2']), {})).resolves.toBe('ok');
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        it('should check the admin session when impersonating', async () => {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                impersonation: { requires: { roles: ['support'] } },
+            });
+            methods.authenticatedQuery({ args: {}, maxAuthAge: 60 * 1000, handler: async () => 'ok' });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            const admin = { ...identity, subject: 'admin-1', roles: ['support'] };
+
+            await expect(wrappedHandler(createCtx(admin), { actAs: 'user-123' })).rejects.toBeInstanceOf(
+                ReauthRequiredError
+            );
+        });
+    });
+
+    describe('authorizeArgs', () => {
+        const notes: Record<string, Record<string, unknown>> = {
+            'notes:1': { _id: 'notes:1', userId: 'user-123', orgId: 'org-1' },
+            'notes:2': { _id: 'notes:2', userId: 'user-456', orgId: 'org-1' },
+        };
+
+        const createCtx = (membership: Record<string, unknown> | null = null): MockMutationCtx => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue({ subject: 'user-123' }) },
+            db: {
+                normalizeId: vi.fn((table: string, id: string) => (id.startsWith(`${table}:`) ? id : null)),
+                get: vi.fn(async (id: string) => notes[id] ?? null),
+                query: vi.fn().mockReturnValue({
+                    withIndex: vi.fn().mockReturnValue({ unique: vi.fn().mockResolvedValue(membership) }),
+                }),
+            },
+        });
+
+        it('should load owned documents into ctx.docs', async () => {
+            authenticatedMutation({
+                args: { noteId: v.id('notes'), text: v.string() },
+                authorizeArgs: { noteId: { table: 'notes', ownerField: 'userId' } },
+                handler: async ctx => ctx.docs.noteId,
+            });
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx(), { noteId: 'notes:1', text: 'hi' })).resolves.toBe(
+                notes['notes:1']
+            );
+        });
+
+        it('should throw the same error for missing and unowned documents', async () => {
+            const handler = vi.fn();
+            authenticatedQuery({
+                args: { noteId: v.id('notes') },
+                authorizeArgs: { noteId: { table: 'notes', ownerField: 'userId' } },
+                handler,
+            });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            const expected = { data: { code: 'DOCUMENT_NOT_FOUND', message: 'Document not found for "noteId"' } };
+
+            await expect(wrappedHandler(createCtx(), { noteId: 'notes:2' })).rejects.toMatchObject(expected);
+            await expect(wrappedHandler(createCtx(), { noteId: 'notes:3' })).rejects.toMatchObject(expected);
+            await expect(wrappedHandler(createCtx(), { noteId: 'notes:2' })).rejects.toBeInstanceOf(
+                DocumentNotFoundError
+            );
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should check organization membership with orgField', async () => {
+            const { authenticatedQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                organization: {
+                    source: { arg: 'orgId' },
+                    membershipsTable: 'memberships',
+                    membershipIndex: 'by_org_user',
+                },
+            });
+            authenticatedQuery({
+                args: { noteId: v.id('notes') },
+                authorizeArgs: { noteId: { table: 'notes', orgField: 'orgId' } },
+                handler: async ctx => ctx.docs.noteId._id,
+            });
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+
+            await expect(wrappedHandler(createCtx({ role: 'member' }), { noteId: 'notes:2' })).resolves.toBe('notes:2');
+            await expect(wrappedHandler(createCtx(null), { noteId: 'notes:2' })).rejects.toBeInstanceOf(
+                DocumentNotFoundError
+            );
+        });
+
+        it('should reject invalid rules at definition time', () => {
+            const args = { noteId: v.id('notes') };
+
+            expect(() =>
+                authenticatedQuery({ args, authorizeArgs: { noteId: { table: 'notes' } }, handler: vi.fn() })
+            ).toThrow('authorizeArgs.noteId needs an ownerField or orgField');
+            expect(() =>
+                authenticatedQuery({
+                    args,
+                    authorizeArgs: { noteId: { table: 'notes', orgField: 'orgId' } },
+                    handler: vi.fn(),
+                })
+            ).toThrow('`organization` was not provided');
+            const serviceMethods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                serviceAuth: { table: 'apiKeys' },
+            });
+            expect(() =>
+                serviceMethods.authenticatedMutation({
+                    args,
+                    service: true,
+                    authorizeArgs: { noteId: { table: 'notes', ownerField: 'userId' } },
+                    handler: vi.fn(),
+                } as any)
+            ).toThrow('`authorizeArgs` is only supported by queries and mutations without `service`');
+        });
+
+        it('should type ctx.docs from the rules', () => {
+            authenticatedQuery({
+                args: { noteId: v.id('notes'), parentId: v.optional(v.id('notes')) },
+                authorizeArgs: {
+                    noteId: { table: 'notes', ownerField: 'userId' },
+                    parentId: { table: 'notes', ownerField: 'userId' },
+                },
+                handler: async ctx => {
+                    expectTypeOf(ctx.docs).toHaveProperty('noteId');
+                    expectTypeOf(ctx.docs).toHaveProperty('parentId');
+                    expectTypeOf(ctx.docs).not.toHaveProperty('text');
+                },
+            });
+            authenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx).not.toHaveProperty('docs');
+                },
+            });
+        });
+    });
+
+    describe('authenticatedHttpAction', () => {
+        type MockActionCtx = MockQueryCtx & { runQuery: any };
+
+        let mockHttpAction: ReturnType<typeof vi.fn>;
+
+        const createHttpMethods = (options: Record<string, unknown> = {}) => {
+            mockHttpAction = vi.fn((handler: any) => ({ isHttp: true, handler }));
+            return createAuthenticatedMethods<MockQueryCtx, MockMutationCtx, any, 'public', MockActionCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                httpAction: mockHttpAction as any,
+                ...options,
+            });
+        };
+
+        const createCtx = (identity: Record<string, unknown> | null) => ({
+            auth: { getUserIdentity: vi.fn().mockResolvedValue(identity) },
+            runQuery: vi.fn(),
+        });
+
+        const createRequest = (init: RequestInit = {}) =>
+            new Request('https://example.convex.site/api/notes', {
+                ...init,
+                headers: { Origin: 'https://app.example.com', ...init.headers },
+            });
+
+        it('should pass the identity and request to the handler', async () => {
+            const handler = vi.fn(async (ctx: any) => Response.json({ subject: ctx.identity.subject }));
+            createHttpMethods().authenticatedHttpAction({ handler });
+
+            const ctx = createCtx({ subject: 'user-123' });
+            const request = createRequest();
+            const response = await mockHttpAction.mock.calls[0][0](ctx, request);
+
+            expect(response.status).toBe(200);
+            await expect(response.json()).resolves.toEqual({ subject: 'user-123' });
+            expect(handler).toHaveBeenCalledWith(
+                expect.objectContaining({ runQuery: ctx.runQuery, identity: { subject: 'user-123' } }),
+                request
+            );
+        });
+
+        it('should answer auth failures with JSON error responses', async () => {
+            const handler = vi.fn(async () => new Response('ok'));
+            createHttpMethods().authenticatedHttpAction({ requires: { roles: ['admin'] }, handler });
+            const wrappedHandler = mockHttpAction.mock.calls[0][0];
+
+            const unauthenticated = await wrappedHandler(createCtx(null), createRequest());
+            const forbidden = await wrappedHandler(createCtx({ subject: 'user-123', roles: [] }), createRequest());
+            const invalid = await wrappedHandler(createCtx({ subject: '' }), createRequest());
+
+            expect(unauthenticated.status).toBe(401);
+            await expect(unauthenticated.json()).resolves.toMatchObject({ code: 'UNAUTHENTICATED' });
+            expect(forbidden.status).toBe(403);
+            await expect(forbidden.json()).resolves.toMatchObject({ code: 'FORBIDDEN' });
+            expect(invalid.status).toBe(401);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should convert auth errors thrown by the handler and rethrow other errors', async () => {
+            const methods = createHttpMethods();
+            methods.authenticatedHttpAction({
+                handler: async () => {
+                    throw new ForbiddenError('Not your note');
+                },
+            });
+            methods.authenticatedHttpAction({
+                handler: async () => {
+                    throw new Error('boom');
+                },
+            });
+            const [forbidden, failing] = mockHttpAction.mock.calls.map(([handler]) => handler);
+            const ctx = createCtx({ subject: 'user-123' });
+
+            await expect((await forbidden(ctx, createRequest())).json()).resolves.toEqual({
+                code: 'FORBIDDEN',
+                message: 'Not your note',
+            });
+            await expect(failing(ctx, createRequest())).rejects.toThrow('boom');
+        });
+
+        it('should identify callers with a verifier instead of the bearer token', async () => {
+            const verify = async (_ctx: any, request: Request) =>
+                request.headers.get('X-Api-Key') === 'secret' ? { subject: 'service:billing', scopes: ['read'] } : null;
+            createHttpMethods().authenticatedHttpAction({
+                verify,
+                handler: async ctx => {
+                    expectTypeOf(ctx.identity).toEqualTypeOf<{ subject: string; scopes: string[] }>();
+                    return Response.json(ctx.identity.scopes);
+                },
+            });
+            const wrappedHandler = mockHttpAction.mock.calls[0][0];
+            const ctx = createCtx({ subject: 'user-123' });
+
+            const accepted = await wrappedHandler(ctx, createRequest({ headers: { 'X-Api-Key': 'secret' } }));
+            const rejected = await wrappedHandler(ctx, createRequest({ headers: { 'X-Api-Key': 'wrong' } }));
+
+            await expect(accepted.json()).resolves.toEqual(['read']);
+            expect(rejected.status).toBe(401);
+            expect(ctx.auth.getUserIdentity).not.toHaveBeenCalled();
+        });
+
+        it('should answer preflight requests and add CORS headers to every response', async () => {
+            const handler = vi.fn(async () => new Response('ok'));
+            createHttpMethods({ http: { cors: { origins: ['https://app.example.com'] } } }).authenticatedHttpAction({
+                handler,
+            });
+            const wrappedHandler = mockHttpAction.mock.calls[0][0];
+
+            const preflight = await wrappedHandler(createCtx(null), createRequest({ method: 'OPTIONS' }));
+            const ok = await wrappedHandler(createCtx({ subject: 'user-123' }), createRequest());
+            const unauthenticated = await wrappedHandler(createCtx(null), createRequest());
+
+            expect(preflight.status).toBe(204);
+            expect(preflight.headers.get('Access-Control-Allow-Methods')).toContain('POST');
+            expect(ok.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+            expect(unauthenticated.headers.get('Access-Control-Allow-Origin')).toBe('https://app.example.com');
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        it('should let definitions disable the factory CORS settings', async () => {
+            createHttpMethods({ http: { cors: { origins: '*' } } }).authenticatedHttpAction({
+                cors: false,
+                handler: async () => new Response('ok'),
+            });
+
+            const wrappedHandler = mockHttpAction.mock.calls[0][0];
+            const response = await wrappedHandler(createCtx(null), createRequest({ method: 'OPTIONS' }));
+
+            expect(response.status).toBe(401);
+            expect(response.headers.has('Access-Control-Allow-Origin')).toBe(false);
+        });
+
+        it('should report calls to the audit hook', async () => {
+            const onCall = vi.fn();
+            createHttpMethods({ audit: { onCall } }).authenticatedHttpAction({
+                name: 'http:listNotes',
+                handler: async () => new Response('ok'),
+            });
+
+            await mockHttpAction.mock.calls[0][0](createCtx(null), createRequest());
+
+            expect(onCall).toHaveBeenCalledWith(
+                expect.objectContaining({ functionName: 'http:listNotes', kind: 'action', outcome: 'unauthenticated' }),
+                expect.anything()
+            );
+        });
+
+        it('should throw when the httpAction builder was not provided', () => {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+
+            expect(() => methods.authenticatedHttpAction({ handler: async () => new Response('ok') })).toThrow(
+                'httpAction'
+            );
+        });
+    });
+
+    describe('use', () => {
+        const identity = { subject: 'tenant-a|user-123' };
+        const createCtx = (): MockQueryCtx => ({
+            auth: {
+                getUserIdentity: vi.fn().mockResolvedValue(identity),
+            },
+            db: {},
+        });
+
+        it('should add middleware fields to the handler ctx', async () => {
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            })
+                .use(async ctx => ({ tenantId: ctx.identity.subject.split('|')[0] }))
+                .use(ctx => ({ isTenantA: ctx.tenantId === 'tenant-a' }));
+
+            methods.authenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.tenantId).toEqualTypeOf<string>();
+                    expectTypeOf(ctx.isTenantA).toEqualTypeOf<boolean>();
+                    return [ctx.tenantId, ctx.isTenantA, ctx.identity.subject];
+                },
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createCtx(), {})).resolves.toEqual(['tenant-a', true, 'tenant-a|user-123']);
+        });
+
+        it('should pass args and function kind to middleware', async () => {
+            const middleware = vi.fn(() => ({}));
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            }).use(middleware);
+
+            methods.authenticatedMutation({ args: {}, handler: vi.fn() });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            await wrappedHandler(createCtx(), { noteId: 'n1' });
+
+            expect(middleware).toHaveBeenCalledWith(
+                expect.objectContaining({ identity }),
+                { noteId: 'n1' },
+                { kind: 'mutation' }
+            );
+        });
+
+        it('should short-circuit when middleware throws', async () => {
+            const handler = vi.fn();
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            }).use(() => {
+                throw new ForbiddenError('Feature disabled');
+            });
+
+            methods.authenticatedQuery({ args: {}, handler });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createCtx(), {})).rejects.toBeInstanceOf(ForbiddenError);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should not run middleware for unauthenticated callers', async () => {
+            const middleware = vi.fn(() => ({}));
+            const methods = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            }).use(middleware);
+
+            methods.authenticatedQuery({ args: {}, handler: vi.fn() });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            const ctx = createCtx();
+            ctx.auth.getUserIdentity = vi.fn().mockResolvedValue(null);
+
+            await expect(wrappedHandler(ctx, {})).rejects.toBeInstanceOf(UnauthenticatedError);
+            expect(middleware).not.toHaveBeenCalled();
+        });
+
+        it('should leave the original methods unchanged', async () => {
+            const base = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+            base.use(() => ({ extra: true }));
+
+            const handler = vi.fn().mockResolvedValue('ok');
+            base.authenticatedQuery({ args: {}, handler });
+
+            await mockQuery.mock.calls[0][0].handler(createCtx(), {});
+            expect(handler.mock.calls[0][0]).not.toHaveProperty('extra');
+        });
+    });
+
+    describe('maybeAuthenticatedQuery and maybeAuthenticatedMutation', () => {
+        it('should run the handler with a null identity for anonymous callers', async () => {
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(null),
+                },
+                db: {},
+            };
+
+            const { maybeAuthenticatedQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+
+            maybeAuthenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.identity).toEqualTypeOf<UserIdentity | null>();
+                    return ctx.identity?.subject ?? 'anonymous';
+                },
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(mockCtx, {})).resolves.toBe('anonymous');
+        });
+
+        it('should run the full pipeline when an identity exists', async () => {
+            const identity = { subject: 'user-123' };
+            const mockCtx: MockMutationCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {},
+            };
+
+            const { maybeAuthenticatedMutation } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            }).use(() => ({ greeting: 'hello' }));
+
+            maybeAuthenticatedMutation({
+                args: {},
+                handler: async ctx => (ctx.identity ? `${ctx.greeting} ${ctx.identity.subject}` : 'anonymous'),
+            });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            await expect(wrappedHandler(mockCtx, {})).resolves.toBe('hello user-123');
+        });
+
+        it('should skip middleware for anonymous callers', async () => {
+            const middleware = vi.fn(() => ({}));
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(null),
+                },
+                db: {},
+            };
+
+            const { maybeAuthenticatedQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            }).use(middleware);
+
+            const handler = vi.fn().mockResolvedValue('ok');
+            maybeAuthenticatedQuery({ args: {}, handler });
+
+            await mockQuery.mock.calls[0][0].handler(mockCtx, { page: 1 });
+
+            expect(middleware).not.toHaveBeenCalled();
+            expect(handler).toHaveBeenCalledWith(expect.objectContaining({ identity: null, db: {} }), { page: 1 });
+        });
+
+        it('should still reject identities without a subject', async () => {
+            const mockCtx: MockQueryCtx = {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue({ subject: '' }),
+                },
+                db: {},
+            };
+
+            const { maybeAuthenticatedQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+
+            maybeAuthenticatedQuery({ args: {}, handler: vi.fn() });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(mockCtx, {})).rejects.toBeInstanceOf(IdentityInvalidError);
+        });
+    });
+
+    describe('claims', () => {
+        const claims = {
+            org_id: v.string(),
+            roles: v.optional(v.array(v.string())),
+        };
+
+        function createClaimsCtx(identity: Record<string, unknown>): MockQueryCtx {
+            return {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue(identity),
+                },
+                db: {},
+            };
+        }
+
+        it('should type ctx.identity as UserIdentity by default', () => {
+            authenticatedQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.identity).toEqualTypeOf<UserIdentity>();
+                    expectTypeOf(ctx.identity.email).toEqualTypeOf<string | undefined>();
+                    expectTypeOf(ctx.identity.tokenIdentifier).toEqualTypeOf<string>();
+                },
+            });
+        });
+
+        it('should add declared claims to the identity type and pass valid identities', async () => {
+            const { authenticatedQuery: claimsQuery } = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                claims,
+            });
+
+            claimsQuery({
+                args: {},
+                handler: async ctx => {
+                    expectTypeOf(ctx.identity.org_id).toEqualTypeOf<string>();
+                    expectTypeOf(ctx.identity.roles).toEqualTypeOf<string[] | undefined>();
+                    return ctx.identity.org_id;
+                },
+            });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(
+                wrappedHandler(createClaimsCtx({ subject: 'user-123', org_id: 'org-1', roles: ['admin'] }), {})
+            ).resolves.toBe('org-1');
+        });
+
+        it('should throw IdentityInvalidError when a claim is malformed', async () => {
+            const { authenticatedMutation: claimsMutation } = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                claims,
+            });
+
+            const handler = vi.fn();
+            claimsMutation({ args: {}, handler });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            const error = await wrappedHandler(createClaimsCtx({ subject: 'user-123', org_id: 42 }), {}).catch(
+                (e: unknown) => e
+            );
+
+            expect(error).toBeInstanceOf(IdentityInvalidError);
+            expect(error.data.message).toBe('Invalid identity claim: org_id must be a string, got number');
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should throw IdentityInvalidError when a required claim is missing', async () => {
+            const { authenticatedQuery: claimsQuery } = createAuthenticatedMethods({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                claims,
+            });
+
+            claimsQuery({ args: {}, handler: vi.fn() });
+
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createClaimsCtx({ subject: 'user-123' }), {})).rejects.toBeInstanceOf(
+                IdentityInvalidError
+            );
+        });
+    });
+
+    describe('organizationQuery and organizationMutation', () => {
+        function createOrgCtx(membership: Record<string, unknown> | null): MockQueryCtx {
+            return {
+                auth: {
+                    getUserIdentity: vi.fn().mockResolvedValue({ subject: 'user-123' }),
+                },
+                db: {
+                    query: vi.fn().mockReturnValue({
+                        withIndex: vi.fn().mockReturnValue({ unique: vi.fn().mockResolvedValue(membership) }),
+                    }),
+                },
+            };
+        }
+
+        const organization = {
+            source: { arg: 'orgId' },
+            membershipsTable: 'memberships',
+            membershipIndex: 'by_org_user',
+        };
+
+        it('should inject ctx.org and ctx.membership for members', async () => {
+            const { organizationQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                organization,
+            });
+
+            organizationQuery({
+                args: { orgId: v.string() },
+                handler: async ctx => {
+                    expectTypeOf(ctx.org.id).toEqualTypeOf<string>();
+                    expectTypeOf(ctx.membership.role).toEqualTypeOf<string | undefined>();
+                    return `${ctx.org.id}:${ctx.membership.role}:${ctx.identity.subject}`;
+                },
+            });
+
+            expect(mockQuery).toHaveBeenCalledTimes(1);
+            const wrappedHandler = mockQuery.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createOrgCtx({ role: 'admin' }), { orgId: 'org-1' })).resolves.toBe(
+                'org-1:admin:user-123'
+            );
+        });
+
+        it('should throw ForbiddenError for non-members and missing roles', async () => {
+            const { organizationMutation } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                organization,
+            });
+
+            const handler = vi.fn();
+            organizationMutation({ args: {}, roles: ['admin'], handler });
+
+            const wrappedHandler = mockMutation.mock.calls[0][0].handler;
+            await expect(wrappedHandler(createOrgCtx(null), { orgId: 'org-1' })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(wrappedHandler(createOrgCtx({ role: 'viewer' }), { orgId: 'org-1' })).rejects.toBeInstanceOf(
+                ForbiddenError
+            );
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should still require authentication', async () => {
+            const { organizationQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+                organization,
+            });
+
+            organizationQuery({ args: {}, handler: vi.fn() });
+
+            const ctx = createOrgCtx({ role: 'admin' });
+            ctx.auth.getUserIdentity = vi.fn().mockResolvedValue(null);
+
+            await expect(mockQuery.mock.calls[0][0].handler(ctx, { orgId: 'org-1' })).rejects.toBeInstanceOf(
+                UnauthenticatedError
+            );
+        });
+
+        it('should throw when organization was not configured', () => {
+            expect(() => authenticatedQuery({ args: {}, handler: vi.fn() })).not.toThrow();
+
+            const { organizationQuery } = createAuthenticatedMethods<MockQueryCtx, MockMutationCtx>({
+                query: mockQuery as any as QueryBuilder<any, 'public'>,
+                mutation: mockMutation as any as MutationBuilder<any, 'public'>,
+            });
+
+            expect(() => organizationQuery({ args: {}, handler: vi.fn() })).toThrow('`organization` was not provided');
+        });
+    });
+
     describe('integration scenarios', () => {
         it('should work with multiple queries and mutations', () => {
             const handler1 = vi.fn();
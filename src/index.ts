@@ -1,5 +1,125 @@
 import { PropertyValidators, Infer, Validator } from 'convex/values';
-import type { QueryBuilder, MutationBuilder, GenericQueryCtx, GenericMutationCtx, ArgsArrayForOptionalValidator, RegisteredQuery, RegisteredMutation } from 'convex/server';
+import type { QueryBuilder, MutationBuilder, ActionBuilder, HttpActionBuilder, GenericActionCtx, RegisteredQuery, RegisteredMutation, RegisteredAction, PublicHttpAction, UserIdentity } from 'convex/server';
+import { ForbiddenError, IdentityInvalidError, RateLimitedError, UnauthenticatedError } from './errors';
+import { defaultAuthorizationPolicy, type AuthorizationPolicy, type AuthRequirements } from './policy';
+import { resolveUser, type ResolveUserConfig, type UserCtx } from './user';
+import { runMiddleware, type AuthMiddleware, type FunctionKind } from './middleware';
+import { validateClaims, type AuthenticatedIdentity } from './identity';
+import {
+    resolveOrganization,
+    type OrganizationConfig,
+    type OrganizationCtx,
+    type OrganizationRequirements,
+} from './organization';
+import { wrapDatabase, type RowLevelSecurityConfig } from './rls';
+import { runAudited, type AuditConfig } from './audit';
+import {
+    consumeRateLimit,
+    resolveRateLimit,
+    type RateLimitConfig,
+    type RateLimitOptions,
+    type RateLimitResult,
+} from './rateLimit';
+import {
+    verifyApiKey,
+    withApiKeyArg,
+    type ServiceAuthConfig,
+    type ServiceIdentity,
+    type ServiceOptions,
+} from './apiKeys';
+import { checkFreshness, checkRevocation, type FreshnessConfig, type FreshnessRequirements } from './freshness';
+import { loadArgDocs, validateArgAuthorization, type ArgAuthorization, type ArgDocsCtx } from './authorizeArgs';
+import {
+    assertImpersonationClaims,
+    resolveImpersonation,
+    withActAsArg,
+    type ImpersonationConfig,
+    type ImpersonationCtx,
+} from './impersonation';
+import {
+    authErrorResponse,
+    corsHeaders,
+    preflightResponse,
+    withHeaders,
+    type CorsConfig,
+    type HttpConfig,
+    type HttpVerifier,
+} from './http';
+
+export {
+    AuthError,
+    AuthErrorCode,
+    DocumentNotFoundError,
+    ForbiddenError,
+    IdentityInvalidError,
+    RateLimitedError,
+    ReauthRequiredError,
+    UnauthenticatedError,
+    UserNotFoundError,
+    getAuthErrorCode,
+    isAuthError,
+    type AuthErrorData,
+    type ReauthReason,
+} from './errors';
+export {
+    createAuthorizationPolicy,
+    defaultAuthorizationPolicy,
+    type AuthIdentity,
+    type AuthorizationPolicy,
+    type AuthRequirements,
+} from './policy';
+export type { AuthMiddleware, FunctionKind } from './middleware';
+export { validateClaims, type AuthenticatedIdentity } from './identity';
+export type { OrganizationConfig, OrganizationCtx, OrganizationRequirements } from './organization';
+export type { ArgAuthorization, ArgAuthorizationRule, ArgDocsCtx } from './authorizeArgs';
+export type { RowLevelSecurityConfig, RowLevelSecurityRule, TableRowLevelSecurity } from './rls';
+export {
+    auditEventFields,
+    auditTableSink,
+    redactArgs,
+    type AuditConfig,
+    type AuditEvent,
+    type AuditHook,
+    type AuditOutcome,
+} from './audit';
+export {
+    consumeRateLimit,
+    defineRateLimitMutation,
+    rateLimitFields,
+    type RateLimit,
+    type RateLimitConfig,
+    type RateLimitOptions,
+    type RateLimitResult,
+} from './rateLimit';
+export {
+    apiKeyFields,
+    defineApiKeyMutations,
+    hashApiKey,
+    type ServiceAuthConfig,
+    type ServiceIdentity,
+    type ServiceOptions,
+} from './apiKeys';
+export type { ImpersonationConfig, ImpersonationCtx } from './impersonation';
+export type {
+    CustomRevocationCheck,
+    FreshnessConfig,
+    FreshnessRequirements,
+    TableRevocationCheck,
+} from './freshness';
+export {
+    authErrorResponse,
+    type CorsConfig,
+    type HttpConfig,
+    type HttpVerifier,
+} from './http';
+export type {
+    CustomUserResolver,
+    MissingUserBehavior,
+    ResolveUserConfig,
+    ResolvedUser,
+    TableUserResolver,
+    UserCtx,
+} from './user';
 
 /**
  * Utility type to infer argument types from PropertyValidators
@@ -8,97 +128,681 @@ export type InferArgs<Args extends PropertyValidators> = {
     [K in keyof Args]: Infer<Args[K]>;
 };
 
+type AuthCtx = { auth: { getUserIdentity(): Promise<{ subject: string } | null> } };
+
+/**
+ * Definition accepted by every authenticated wrapper
+ */
+export type AuthenticatedDefinition<
+    Ctx,
+    Args extends PropertyValidators,
+    Return,
+    Identity = UserIdentity,
+> = FreshnessRequirements & {
+    /** Name reported to the audit hook and keying the rate limit bucket, e.g. `notes:update` */
+    name?: string;
+    args: Args;
+    returns?: Validator<Return, any, any>;
+    /** Authorization requirements checked against the identity before the handler runs */
+    requires?: AuthRequirements;
+    handler: (
+        ctx: Ctx & { identity: Identity } & ImpersonationCtx<Identity>,
+        args: InferArgs<Args>
+    ) => Promise<Return>;
+};
+
+/**
+ * Definition accepted by the optional-auth wrappers. Anonymous callers get
+ * `ctx.identity === null` and none of the user or middleware fields.
+ */
+export type MaybeAuthenticatedDefinition<
+    AuthenticatedCtx,
+    AnonymousCtx,
+    Args extends PropertyValidators,
+    Return,
+    Identity = UserIdentity,
+> = {
+    /** Name reported to the audit hook, e.g. `notes:update` */
+    name?: string;
+    args: Args;
+    returns?: Validator<Return, any, any>;
+    handler: (
+        ctx:
+            | (AuthenticatedCtx & { identity: Identity } & ImpersonationCtx<Identity>)
+            | (AnonymousCtx & { identity: null }),
+        args: InferArgs<Args>
+    ) => Promise<Return>;
+};
+
+/**
+ * Definition of a query or mutation that also accepts API keys. Users get `ctx.identity.kind === 'user'`;
+ * service callers get a ServiceIdentity and none of the user or middleware fields.
+ */
+export type ServiceDefinition<
+    AuthenticatedCtx,
+    ServiceCtx,
+    Args extends PropertyValidators,
+    Return,
+    Identity = UserIdentity,
+> = Omit<AuthenticatedDefinition<AuthenticatedCtx, Args, Return, Identity>, 'handler'> & {
+    service: NonNullable<ServiceOptions['service']>;
+    handler: (
+        ctx:
+            | (AuthenticatedCtx & { identity: Identity & { kind: 'user' } } & ImpersonationCtx<Identity>)
+            | (ServiceCtx & { identity: ServiceIdentity }),
+        args: InferArgs<Args>
+    ) => Promise<Return>;
+};
+
+/**
+ * Args of a function that accepts API keys
+ */
+export type ServiceArgs<Args extends PropertyValidators> = InferArgs<Args> & { apiKey?: string };
+
+/**
+ * Definition accepted by authenticatedHttpAction. The handler receives the request and
+ * returns the response; auth failures are answered with a JSON error response instead.
+ */
+export type AuthenticatedHttpDefinition<Ctx, Identity = UserIdentity> = {
+    /** Name reported to the audit hook, e.g. `webhooks:stripe` */
+    name?: string;
+    /** Authorization requirements checked against the identity before the handler runs */
+    requires?: AuthRequirements;
+    /** Resolves the caller from the request instead of its bearer token */
+    verify?: HttpVerifier<Identity>;
+    /** CORS settings, replacing the factory's `http.cors`. `false` disables CORS for this action. */
+    cors?: CorsConfig | false;
+    handler: (ctx: Ctx & { identity: Identity }, request: Request) => Promise<Response>;
+};
+
+/**
+ * Throws if the identity has no usable subject
+ */
+function assertSubject(identity: { subject?: unknown }): asserts identity is { subject: string } {
+    if (typeof identity.subject !== 'string' || identity.subject === '') {
+        throw new IdentityInvalidError('Identity is missing a subject');
+    }
+}
+
+/**
+ * Resolves the current identity, or null for anonymous callers, validating any declared claims
+ */
+async function getIdentity(ctx: AuthCtx, claims: PropertyValidators | undefined): Promise<{ subject: string } | null> {
+    const identity = await ctx.auth.getUserIdentity();
+    if (!identity) {
+        return null;
+    }
+    assertSubject(identity);
+    if (claims) {
+        validateClaims(claims, identity);
+    }
+    return identity;
+}
+
+type WrapperConfig = {
+    authorize: AuthorizationPolicy;
+    claims?: PropertyValidators;
+    resolveUser?: ResolveUserConfig<any>;
+    rowLevelSecurity?: RowLevelSecurityConfig<any>;
+    audit?: AuditConfig;
+    rateLimit?: RateLimitConfig;
+    serviceAuth?: ServiceAuthConfig;
+    impersonation?: ImpersonationConfig;
+    freshness?: FreshnessConfig;
+    organization?: OrganizationConfig;
+    middleware: AuthMiddleware<any, Record<string, unknown>>[];
+};
+
+/**
+ * Builds the Convex handler that resolves the identity, checks the definition's
+ * requirements and rate limit, loads the user, applies row-level security to ctx.db, runs the middleware
+ * and forwards to the user handler. With `optional`, anonymous callers skip straight to
+ * the handler with a null identity. With an audit config, the outcome is reported to its hook.
+ */
+function wrapHandler(
+    definition: {
+        name?: string;
+        args?: PropertyValidators;
+        requires?: AuthRequirements;
+        authorizeArgs?: ArgAuthorization;
+        handler: (ctx: any, args: any) => Promise<unknown>;
+    } & RateLimitOptions &
+        ServiceOptions &
+        FreshnessRequirements,
+    config: WrapperConfig,
+    kind: FunctionKind,
+    optional = false
+) {
+    // Resolved up front so unknown limits and missing configuration fail at definition time
+    if (definition.rateLimit) {
+        requireBuilder(config.rateLimit, 'rateLimit');
+    }
+    // Optional-auth wrappers take no `rateLimit` option, so `default` does not apply to them either
+    const rateLimit = kind === 'query' || optional ? null : resolveRateLimit(config.rateLimit, definition.rateLimit);
+    if (rateLimit && kind === 'action') {
+        requireBuilder(config.rateLimit?.actionMutation, 'rateLimit.actionMutation');
+    }
+    // Convex does not tell a handler which function it belongs to, so the bucket is keyed by `name`
+    if (rateLimit && !definition.name) {
+        throw new Error(
+            'createAuthenticatedMethods: rate-limited functions need a `name` to key their bucket. ' +
+                'Set `name`, or `rateLimit: false` to opt out.'
+        );
+    }
+    const serviceAuth = definition.service ? requireBuilder(config.serviceAuth, 'serviceAuth') : null;
+    if (serviceAuth && kind === 'action') {
+        throw new Error('createAuthenticatedMethods: `service` is only supported by queries and mutations');
+    }
+    const scopes = definition.service === true ? [] : (definition.service?.scopes ?? []);
+    // Service callers skip the user checks, so an unscoped key would get past them
+    const userChecks = (['requires', 'maxAuthAge', 'requireMfa'] as const).filter(
+        option => definition[option] !== undefined
+    );
+    if (serviceAuth && userChecks.length > 0 && scopes.length === 0) {
+        const names = userChecks.map(option => `\`${option}\``).join(', ');
+        throw new Error(
+            `createAuthenticatedMethods: \`service\` needs \`scopes\` when combined with ${names}, which only apply to users`
+        );
+    }
+    if (config.impersonation?.writes === 'audit') {
+        requireBuilder(config.audit, 'audit');
+    }
+    const { authorizeArgs } = definition;
+    if (authorizeArgs) {
+        if (kind === 'action' || serviceAuth) {
+            throw new Error(
+                'createAuthenticatedMethods: `authorizeArgs` is only supported by queries and mutations without `service`'
+            );
+        }
+        validateArgAuthorization(authorizeArgs, definition.args ?? {});
+        if (Object.values(authorizeArgs).some(rule => rule?.orgField)) {
+            requireBuilder(config.organization, 'organization');
+        }
+    }
+
+    /**
+     * Takes one call from the caller's bucket, throwing once it is empty
+     */
+    const consumeLimit = async (ctx: any, subject: string) => {
+        if (!rateLimit) {
+            return;
+        }
+        // One bucket per function and subject
+        const key = `${definition.name}|${subject}`;
+        const result: RateLimitResult =
+            kind === 'action'
+                ? await ctx.runMutation(config.rateLimit!.actionMutation, { key, limit: rateLimit })
+                : await consumeRateLimit(ctx.db, config.rateLimit!, key, rateLimit, Date.now());
+        if (!result.ok) {
+            throw new RateLimitedError(result.retryAfter);
+        }
+    };
+
+    return async (ctx: AuthCtx, ...args: unknown[]): Promise<any> => {
+        let handlerArgs = (args[0] ?? {}) as Record<string, unknown>;
+        let apiKey: unknown;
+        if (serviceAuth) {
+            ({ apiKey, ...handlerArgs } = handlerArgs);
+        }
+        let actAs: unknown;
+        if (config.impersonation) {
+            ({ actAs, ...handlerArgs } = handlerArgs);
+        }
+        const impersonating = typeof actAs === 'string';
+        const run = async (setSubject: (subject: string, impersonatedBy?: string) => void) => {
+            // Service callers skip `requires`, the user and the middleware, like anonymous callers
+            if (serviceAuth && typeof apiKey === 'string') {
+                if (impersonating) {
+                    throw new ForbiddenError('API keys cannot impersonate users');
+                }
+                const identity = await verifyApiKey((ctx as any).db, serviceAuth, apiKey, scopes, Date.now());
+                setSubject(identity.subject);
+                await consumeLimit(ctx, identity.subject);
+                const serviceCtx: Record<string, unknown> = { ...ctx, identity };
+                if (config.rowLevelSecurity) {
+                    serviceCtx.db = wrapDatabase(serviceCtx.db, config.rowLevelSecurity, null, kind === 'mutation');
+                }
+                return definition.handler(serviceCtx, handlerArgs);
+            }
+            const realIdentity = await getIdentity(ctx, config.claims);
+            if (!realIdentity) {
+                if (!optional || impersonating) {
+                    throw new UnauthenticatedError();
+                }
+                const anonymousCtx: Record<string, unknown> = { ...ctx, identity: null };
+                // Anonymous callers may not touch tables with rules at all
+                if (config.rowLevelSecurity && kind !== 'action') {
+                    anonymousCtx.db = wrapDatabase(anonymousCtx.db, config.rowLevelSecurity, null, kind === 'mutation');
+                }
+                return definition.handler(anonymousCtx, handlerArgs);
+            }
+            setSubject(realIdentity.subject);
+            // Checked against the signed-in caller, so admins need a fresh session to impersonate
+            const revocation = config.freshness?.revocation;
+            if (revocation && kind !== 'action') {
+                await checkRevocation(revocation, ctx, realIdentity);
+            }
+            checkFreshness(realIdentity, definition, config.freshness, Date.now());
+            let identity: { subject: string } = realIdentity;
+            if (impersonating) {
+                identity = await resolveImpersonation(
+                    config.impersonation!,
+                    config.authorize,
+                    ctx,
+                    realIdentity,
+                    actAs as string,
+                    kind
+                );
+                assertSubject(identity);
+                if (config.claims) {
+                    validateClaims(config.claims, identity);
+                }
+                setSubject(identity.subject, realIdentity.subject);
+            }
+            // `requires` applies to the user being impersonated, so admins see what they would see
+            if (definition.requires && !(await config.authorize(identity, definition.requires, ctx))) {
+                throw new ForbiddenError();
+            }
+            // Impersonated calls do not use up the user's own limit
+            await consumeLimit(ctx, realIdentity.subject);
+            // Tagged so handlers accepting API keys can tell users from services
+            let handlerCtx: Record<string, unknown> = {
+                ...ctx,
+                identity: serviceAuth ? { ...identity, kind: 'user' } : identity,
+                ...(impersonating ? { realIdentity } : {}),
+            };
+            // Actions have no ctx.db, so users are only resolved for queries and mutations
+            if (config.resolveUser && kind !== 'action') {
+                handlerCtx.user = await resolveUser(config.resolveUser, ctx, identity, kind === 'mutation');
+            }
+            // Rules see the identity, the user and the unrestricted db
+            if (config.rowLevelSecurity && kind !== 'action') {
+                const ruleCtx = { ...handlerCtx };
+                handlerCtx.db = wrapDatabase(handlerCtx.db, config.rowLevelSecurity, ruleCtx, kind === 'mutation');
+            }
+            // Loaded through row-level security and checked against the user being impersonated, if any
+            if (authorizeArgs) {
+                handlerCtx.docs = await loadArgDocs(authorizeArgs, config.organization, handlerCtx, handlerArgs);
+            }
+            handlerCtx = await runMiddleware(config.middleware, handlerCtx, handlerArgs, kind);
+            return definition.handler(handlerCtx, handlerArgs);
+        };
+        if (!config.audit) {
+            return run(() => {});
+        }
+        // Every impersonated call is audited, whatever the configured kinds
+        const info = { functionName: definition.name ?? null, kind, args: handlerArgs, always: impersonating };
+        return runAudited(config.audit, ctx, info, run);
+    };
+}
+
+/**
+ * Builds the HTTP action handler. It answers CORS preflight requests, resolves the identity
+ * from the bearer token or the verifier, checks `requires`, runs the middleware and forwards
+ * the request to the user handler. Auth errors become JSON responses with a 401, 403, 404
+ * or 429 status.
+ */
+function wrapHttpHandler(
+    definition: AuthenticatedHttpDefinition<any, any>,
+    config: WrapperConfig,
+    http: HttpConfig | undefined
+) {
+    const cors = definition.cors === false ? undefined : (definition.cors ?? http?.cors);
+    const verify = definition.verify ?? http?.verify;
+
+    return async (ctx: AuthCtx, request: Request): Promise<Response> => {
+        if (cors && request.method === 'OPTIONS') {
+            return preflightResponse(cors, request);
+        }
+        const headers = corsHeaders(cors, request);
+        const run = async (setSubject: (subject: string) => void) => {
+            // Verified identities come from the app, so declared JWT claims do not apply to them
+            const identity = verify ? await verify(ctx, request) : await getIdentity(ctx, config.claims);
+            if (!identity) {
+                throw new UnauthenticatedError();
+            }
+            assertSubject(identity);
+            setSubject(identity.subject);
+            if (definition.requires && !(await config.authorize(identity, definition.requires, ctx))) {
+                throw new ForbiddenError();
+            }
+            const handlerCtx = await runMiddleware(config.middleware, { ...ctx, identity }, {}, 'action');
+            return definition.handler(handlerCtx, request);
+        };
+
+        try {
+            const info = { functionName: definition.name ?? null, kind: 'action' as const, args: {} };
+            const response = config.audit ? await runAudited(config.audit, ctx, info, run) : await run(() => {});
+            return withHeaders(response, headers);
+        } catch (error) {
+            const response = authErrorResponse(error, headers);
+            if (!response) {
+                throw error;
+            }
+            return response;
+        }
+    };
+}
+
+/**
+ * Returns the builder or throws if it was not passed to createAuthenticatedMethods
+ */
+function requireBuilder<Builder>(builder: Builder | undefined, name: string): Builder {
+    if (!builder) {
+        throw new Error(`createAuthenticatedMethods: \`${name}\` was not provided`);
+    }
+    return builder;
+}
+
+/**
+ * The wrappers returned by createAuthenticatedMethods. `UserFields` holds what resolveUser adds
+ * to queries and mutations, `Extra` what the middleware adds to every authenticated ctx, and
+ * `Identity` the type of ctx.identity.
+ */
+export type AuthenticatedMethods<
+    QueryCtx,
+    MutationCtx,
+    ActionCtx,
+    Visibility extends 'public' | 'internal',
+    UserFields = {},
+    Extra = {},
+    Identity = UserIdentity,
+> = {
+    /** Authenticated query - automatically requires authentication, or an API key with `service` */
+    authenticatedQuery: {
+        <Args extends PropertyValidators, Return>(
+            definition: ServiceDefinition<QueryCtx & UserFields & Extra, QueryCtx, Args, Return, Identity>
+        ): RegisteredQuery<Visibility, ServiceArgs<Args>, Promise<Return>>;
+        <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+            definition: AuthenticatedDefinition<
+                QueryCtx & UserFields & Extra & ArgDocsCtx<QueryCtx, Args, Rules>,
+                Args,
+                Return,
+                Identity
+            > & { authorizeArgs?: Rules }
+        ): RegisteredQuery<Visibility, InferArgs<Args>, Promise<Return>>;
+    };
+    /** Authenticated mutation - automatically requires authentication, or an API key with `service` */
+    authenticatedMutation: {
+        <Args extends PropertyValidators, Return>(
+            definition: ServiceDefinition<MutationCtx & UserFields & Extra, MutationCtx, Args, Return, Identity> &
+                RateLimitOptions
+        ): RegisteredMutation<Visibility, ServiceArgs<Args>, Promise<Return>>;
+        <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+            definition: AuthenticatedDefinition<
+                MutationCtx & UserFields & Extra & ArgDocsCtx<MutationCtx, Args, Rules>,
+                Args,
+                Return,
+                Identity
+            > &
+                RateLimitOptions & { authorizeArgs?: Rules }
+        ): RegisteredMutation<Visibility, InferArgs<Args>, Promise<Return>>;
+    };
+    /** Authenticated action - automatically requires authentication */
+    authenticatedAction: <Args extends PropertyValidators, Return>(
+        definition: AuthenticatedDefinition<ActionCtx & Extra, Args, Return, Identity> & RateLimitOptions
+    ) => RegisteredAction<Visibility, InferArgs<Args>, Promise<Return>>;
+    /** Authenticated internal query - requires an identity (or API key) even when called from other functions */
+    authenticatedInternalQuery: {
+        <Args extends PropertyValidators, Return>(
+            definition: ServiceDefinition<QueryCtx & UserFields & Extra, QueryCtx, Args, Return, Identity>
+        ): RegisteredQuery<'internal', ServiceArgs<Args>, Promise<Return>>;
+        <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+            definition: AuthenticatedDefinition<
+                QueryCtx & UserFields & Extra & ArgDocsCtx<QueryCtx, Args, Rules>,
+                Args,
+                Return,
+                Identity
+            > & { authorizeArgs?: Rules }
+        ): RegisteredQuery<'internal', InferArgs<Args>, Promise<Return>>;
+    };
+    /** Authenticated internal mutation - requires an identity (or API key) even when called from other functions */
+    authenticatedInternalMutation: {
+        <Args extends PropertyValidators, Return>(
+            definition: ServiceDefinition<MutationCtx & UserFields & Extra, MutationCtx, Args, Return, Identity> &
+                RateLimitOptions
+        ): RegisteredMutation<'internal', ServiceArgs<Args>, Promise<Return>>;
+        <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+            definition: AuthenticatedDefinition<
+                MutationCtx & UserFields & Extra & ArgDocsCtx<MutationCtx, Args, Rules>,
+                Args,
+                Return,
+                Identity
+            > &
+                RateLimitOptions & { authorizeArgs?: Rules }
+        ): RegisteredMutation<'internal', InferArgs<Args>, Promise<Return>>;
+    };
+    /** Authenticated internal action - requires an identity even when called from other functions */
+    authenticatedInternalAction: <Args extends PropertyValidators, Return>(
+        definition: AuthenticatedDefinition<ActionCtx & Extra, Args, Return, Identity> & RateLimitOptions
+    ) => RegisteredAction<'internal', InferArgs<Args>, Promise<Return>>;
+    /** Query that runs for anonymous callers too, with ctx.identity set to null */
+    maybeAuthenticatedQuery: <Args extends PropertyValidators, Return>(
+        definition: MaybeAuthenticatedDefinition<QueryCtx & UserFields & Extra, QueryCtx, Args, Return, Identity>
+    ) => RegisteredQuery<Visibility, InferArgs<Args>, Promise<Return>>;
+    /** Mutation that runs for anonymous callers too, with ctx.identity set to null */
+    maybeAuthenticatedMutation: <Args extends PropertyValidators, Return>(
+        definition: MaybeAuthenticatedDefinition<MutationCtx & UserFields & Extra, MutationCtx, Args, Return, Identity>
+    ) => RegisteredMutation<Visibility, InferArgs<Args>, Promise<Return>>;
+    /** Authenticated query scoped to an organization the caller is a member of */
+    organizationQuery: <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+        definition: AuthenticatedDefinition<
+            QueryCtx & UserFields & Extra & OrganizationCtx & ArgDocsCtx<QueryCtx, Args, Rules>,
+            Args,
+            Return,
+            Identity
+        > &
+            OrganizationRequirements & { authorizeArgs?: Rules }
+    ) => RegisteredQuery<Visibility, InferArgs<Args>, Promise<Return>>;
+    /** Authenticated mutation scoped to an organization the caller is a member of */
+    organizationMutation: <Args extends PropertyValidators, Return, const Rules extends ArgAuthorization<Args> = {}>(
+        definition: AuthenticatedDefinition<
+            MutationCtx & UserFields & Extra & OrganizationCtx & ArgDocsCtx<MutationCtx, Args, Rules>,
+            Args,
+            Return,
+            Identity
+        > &
+            OrganizationRequirements &
+            RateLimitOptions & { authorizeArgs?: Rules }
+    ) => RegisteredMutation<Visibility, InferArgs<Args>, Promise<Return>>;
+    /**
+     * Authenticated HTTP action for `convex/http.ts` routes. Identifies the caller from the
+     * request's bearer token, or with `verify` from an API key or webhook signature.
+     */
+    authenticatedHttpAction: <VerifiedIdentity = Identity>(
+        definition: AuthenticatedHttpDefinition<ActionCtx & Extra, VerifiedIdentity>
+    ) => PublicHttpAction;
+    /**
+     * Returns new wrappers that run the middleware after the ones already registered.
+     * The fields it returns are added to the handler's ctx type.
+     */
+    use: <Added extends Record<string, unknown>>(
+        middleware: AuthMiddleware<
+            ((QueryCtx & UserFields) | (MutationCtx & UserFields) | ActionCtx) & Extra & { identity: Identity },
+            Added
+        >
+    ) => AuthenticatedMethods<QueryCtx, MutationCtx, ActionCtx, Visibility, UserFields, Extra & Added, Identity>;
+};
+
 /**
- * Factory function to create authenticated query and mutation wrappers
+ * Factory function to create authenticated query, mutation and action wrappers
  * 
- * @param options - Object containing the query and mutation functions from Convex
- * @returns Object with authenticatedQuery and authenticatedMutation functions
+ * @param options - Object containing the query, mutation and (optionally) action, internal and HTTP action builders
+ * from Convex, plus optional authorization, claims, user resolution, organization, row-level security, audit,
+ * rate limit, service auth, impersonation, freshness and HTTP settings
+ * @returns Object with authenticatedQuery, authenticatedMutation, authenticatedAction, their internal variants,
+ * the optional-auth maybeAuthenticatedQuery/maybeAuthenticatedMutation, the organization-scoped
+ * organizationQuery/organizationMutation, authenticatedHttpAction and `use` for adding middleware
  * 
  * @example
  * ```typescript
- * import { query, mutation, QueryCtx, MutationCtx } from './_generated/server';
+ * import { query, mutation, action, internalQuery, internalMutation, internalAction, QueryCtx, MutationCtx, ActionCtx } from './_generated/server';
  * import { createAuthenticatedMethods } from 'auth-methods-for-convex';
  * 
- * const { authenticatedQuery, authenticatedMutation } = createAuthenticatedMethods({
+ * const { authenticatedQuery, authenticatedMutation, authenticatedAction } = createAuthenticatedMethods({
  *   query,
  *   mutation,
- * });
+ *   action,
+ *   internalQuery,
+ *   internalMutation,
+ *   internalAction,
+ * }).use(async ctx => ({ tenantId: ctx.identity.subject.split('|')[0] }));
  * ```
  */
 export function createAuthenticatedMethods<
-    QueryCtx extends { auth: { getUserIdentity(): Promise<{ subject: string } | null> } },
-    MutationCtx extends { auth: { getUserIdentity(): Promise<{ subject: string } | null> } },
+    QueryCtx extends AuthCtx,
+    MutationCtx extends AuthCtx,
     DataModel extends Record<string, any> = Record<string, any>,
     Visibility extends 'public' | 'internal' = 'public',
+    ActionCtx extends AuthCtx = GenericActionCtx<DataModel>,
+    UserConfig extends ResolveUserConfig<DataModel> | undefined = undefined,
+    Claims extends PropertyValidators = {},
 >(options: {
     query: QueryBuilder<DataModel, Visibility>;
     mutation: MutationBuilder<DataModel, Visibility>;
-}) {
-    const { query, mutation } = options;
+    action?: ActionBuilder<DataModel, Visibility>;
+    internalQuery?: QueryBuilder<DataModel, 'internal'>;
+    internalMutation?: MutationBuilder<DataModel, 'internal'>;
+    internalAction?: ActionBuilder<DataModel, 'internal'>;
+    httpAction?: HttpActionBuilder;
+    /** Policy that evaluates each definition's `requires` option */
+    authorize?: AuthorizationPolicy;
+    /** Loads the caller's user document into ctx.user for queries and mutations */
+    resolveUser?: UserConfig;
+    /** Custom JWT claims, validated on every call and added to the ctx.identity type */
+    claims?: Claims;
+    /** Membership lookup used by organizationQuery and organizationMutation */
+    organization?: OrganizationConfig;
+    /** Per-table rules applied to every ctx.db read and write in queries and mutations */
+    rowLevelSecurity?: RowLevelSecurityConfig<
+        DataModel,
+        (QueryCtx | MutationCtx) & UserCtx<DataModel, UserConfig> & { identity: AuthenticatedIdentity<Claims> }
+    >;
+    /** Reports every audited call, including failed authentication and authorization */
+    audit?: AuditConfig;
+    /** Per-user rate limits for mutations and actions */
+    rateLimit?: RateLimitConfig;
+    /** API key table checked for definitions with `service` */
+    serviceAuth?: ServiceAuthConfig;
+    /** Lets admins act as another user by passing an `actAs` subject */
+    impersonation?: ImpersonationConfig;
+    /** MFA claim values for `requireMfa` and the session revocation check */
+    freshness?: FreshnessConfig;
+    /** CORS settings and identity verifier shared by every authenticatedHttpAction */
+    http?: HttpConfig;
+}): AuthenticatedMethods<
+    QueryCtx,
+    MutationCtx,
+    ActionCtx,
+    Visibility,
+    UserCtx<DataModel, UserConfig>,
+    {},
+    AuthenticatedIdentity<Claims>
+> {
+    const { query, mutation, action, internalQuery, internalMutation, internalAction, httpAction } = options;
+    if (options.impersonation) {
+        assertImpersonationClaims(options.impersonation, options.claims);
+    }
 
-    /**
-     * Authenticated query - automatically requires authentication
-     */
-    const authenticatedQuery = <
-        Args extends PropertyValidators,
-        Return,
-    >(definition: {
-        args: Args;
-        returns?: Validator<Return, any, any>;
-        handler: (
-            ctx: QueryCtx & { identity: { subject: string } },
-            args: InferArgs<Args>
-        ) => Promise<Return>;
-    }): RegisteredQuery<Visibility, InferArgs<Args>, Promise<Return>> => {
-        return query({
-            args: definition.args,
-            returns: definition.returns,
-            handler: async (ctx: GenericQueryCtx<DataModel> & { auth: { getUserIdentity(): Promise<{ subject: string } | null> } }, ...args: ArgsArrayForOptionalValidator<Args>) => {
-                const identity = await ctx.auth.getUserIdentity();
-                if (!identity) {
-                    throw new Error('Not authenticated');
-                }
-                return definition.handler(
-                    { ...ctx, identity } as unknown as QueryCtx & { identity: { subject: string } },
-                    args[0] as InferArgs<Args>
-                ) as any;
-            },
-        });
-    };
+    const buildMethods = (middleware: WrapperConfig['middleware']): AuthenticatedMethods<any, any, any, Visibility, any, any, any> => {
+        const config: WrapperConfig = {
+            authorize: options.authorize ?? defaultAuthorizationPolicy,
+            claims: options.claims,
+            resolveUser: options.resolveUser,
+            rowLevelSecurity: options.rowLevelSecurity,
+            audit: options.audit,
+            rateLimit: options.rateLimit,
+            serviceAuth: options.serviceAuth,
+            impersonation: options.impersonation,
+            freshness: options.freshness,
+            organization: options.organization,
+            middleware,
+        };
 
-    /**
-     * Authenticated mutation - automatically requires authentication
-     */
-    const authenticatedMutation = <
-        Args extends PropertyValidators,
-        Return,
-    >(definition: {
-        args: Args;
-        returns?: Validator<Return, any, any>;
-        handler: (
-            ctx: MutationCtx & { identity: { subject: string } },
-            args: InferArgs<Args>
-        ) => Promise<Return>;
-    }): RegisteredMutation<Visibility, InferArgs<Args>, Promise<Return>> => {
-        return mutation({
-            args: definition.args,
-            returns: definition.returns,
-            handler: async (ctx: GenericMutationCtx<DataModel> & { auth: { getUserIdentity(): Promise<{ subject: string } | null> } }, ...args: ArgsArrayForOptionalValidator<Args>) => {
-                const identity = await ctx.auth.getUserIdentity();
-                if (!identity) {
-                    throw new Error('Not authenticated');
-                }
-                return definition.handler(
-                    { ...ctx, identity } as unknown as MutationCtx & { identity: { subject: string } },
-                    args[0] as InferArgs<Args>
-                ) as any;
-            },
-        });
-    };
+        /**
+         * Wraps an organization definition's handler so it receives ctx.org and ctx.membership
+         */
+        const withOrganization = <Definition extends AuthenticatedDefinition<any, any, any, any> & OrganizationRequirements>(
+            definition: Definition
+        ): Definition => {
+            const organization = requireBuilder(options.organization, 'organization');
+            const { roles, ...rest } = definition;
+            return {
+                ...rest,
+                handler: async (ctx: any, args: any) =>
+                    definition.handler({ ...ctx, ...(await resolveOrganization(organization, ctx, args, { roles })) }, args),
+            } as Definition;
+        };
 
-    return {
-        authenticatedQuery,
-        authenticatedMutation,
+        type ServiceCapableDefinition = AuthenticatedDefinition<any, any, any, any> & RateLimitOptions & ServiceOptions;
+
+        /**
+         * Returns the args validator, with the `apiKey` argument for definitions that accept API keys
+         * and the `actAs` argument when impersonation is enabled
+         */
+        const buildArgs = (definition: { args: PropertyValidators } & ServiceOptions) => {
+            const args = definition.service ? withApiKeyArg(definition.args) : definition.args;
+            return options.impersonation ? withActAsArg(args) : args;
+        };
+
+        const methods: AuthenticatedMethods<any, any, any, Visibility, any, any, any> = {
+            authenticatedQuery: (definition: ServiceCapableDefinition) =>
+                query({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'query'),
+                }),
+            authenticatedMutation: (definition: ServiceCapableDefinition) =>
+                mutation({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'mutation'),
+                }),
+            authenticatedAction: definition =>
+                requireBuilder(action, 'action')({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'action'),
+                }),
+            authenticatedInternalQuery: (definition: ServiceCapableDefinition) =>
+                requireBuilder(internalQuery, 'internalQuery')({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'query'),
+                }),
+            authenticatedInternalMutation: (definition: ServiceCapableDefinition) =>
+                requireBuilder(internalMutation, 'internalMutation')({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'mutation'),
+                }),
+            authenticatedInternalAction: definition =>
+                requireBuilder(internalAction, 'internalAction')({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'action'),
+                }),
+            maybeAuthenticatedQuery: definition =>
+                query({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'query', true),
+                }),
+            maybeAuthenticatedMutation: definition =>
+                mutation({
+                    args: buildArgs(definition),
+                    returns: definition.returns,
+                    handler: wrapHandler(definition, config, 'mutation', true),
+                }),
+            organizationQuery: definition => methods.authenticatedQuery(withOrganization(definition)),
+            organizationMutation: definition => methods.authenticatedMutation(withOrganization(definition)),
+            authenticatedHttpAction: definition =>
+                requireBuilder(httpAction, 'httpAction')(wrapHttpHandler(definition, config, options.http)),
+            use: mw => buildMethods([...middleware, mw]),
+        };
+
+        return methods;
     };
-}
 
+    return buildMethods([]);
+}
@@ -0,0 +1,38 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runMiddleware } from './middleware';
+
+describe('runMiddleware', () => {
+    it('should return the ctx unchanged without middleware', async () => {
+        const ctx = { identity: { subject: 'user-123' } };
+        await expect(runMiddleware([], ctx, {}, 'query')).resolves.toEqual(ctx);
+    });
+
+    it('should merge fields in registration order', async () => {
+        const first = vi.fn(() => ({ tenant: 'acme' }));
+        const second = vi.fn(async (ctx: any) => ({ flags: { beta: ctx.tenant === 'acme' } }));
+
+        const result = await runMiddleware([first, second], { identity: { subject: 'a' } }, { id: 1 }, 'mutation');
+
+        expect(result).toEqual({ identity: { subject: 'a' }, tenant: 'acme', flags: { beta: true } });
+        expect(first).toHaveBeenCalledWith({ identity: { subject: 'a' } }, { id: 1 }, { kind: 'mutation' });
+    });
+
+    it('should stop at the first middleware that throws', async () => {
+        const after = vi.fn();
+
+        await expect(
+            runMiddleware(
+                [
+                    () => {
+                        throw new Error('Rate limited');
+                    },
+                    after,
+                ],
+                {},
+                {},
+                'action'
+            )
+        ).rejects.toThrow('Rate limited');
+        expect(after).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * The kind of Convex function a middleware is running for
+ */
+export type FunctionKind = 'query' | 'mutation' | 'action';
+
+/**
+ * Middleware run after authentication and before the handler. The returned fields
+ * are merged into ctx; throwing short-circuits the call.
+ *
+ * @example
+ * ```typescript
+ * const withTenant: AuthMiddleware<{ identity: { subject: string } }, { tenantId: string }> = async ctx => ({
+ *   tenantId: ctx.identity.subject.split('|')[0],
+ * });
+ * ```
+ */
+export type AuthMiddleware<Ctx, Added extends Record<string, unknown>> = (
+    ctx: Ctx,
+    args: Record<string, unknown>,
+    info: { kind: FunctionKind }
+) => Added | Promise<Added>;
+
+/**
+ * Runs the middleware in registration order, each one seeing the fields added before it
+ */
+export async function runMiddleware<Ctx extends Record<string, unknown>>(
+    middleware: AuthMiddleware<any, Record<string, unknown>>[],
+    ctx: Ctx,
+    args: Record<string, unknown>,
+    kind: FunctionKind
+): Promise<Ctx> {
+    let current = ctx;
+    for (const mw of middleware) {
+        const added = await mw(current, args, { kind });
+        current = { ...current, ...added };
+    }
+    return current;
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+import { resolveOrganization, type OrganizationConfig } from './organization';
+import { ForbiddenError } from './errors';
+
+function createCtx(membership: Record<string, unknown> | null, identity: Record<string, unknown> = { subject: 'user-123' }) {
+    const eq = vi.fn().mockReturnThis();
+    const withIndex = vi.fn((_index: string, build: (q: any) => unknown) => {
+        build({ eq });
+        return { unique: vi.fn().mockResolvedValue(membership) };
+    });
+    return {
+        ctx: {
+            identity,
+            db: { query: vi.fn().mockReturnValue({ withIndex }) },
+        },
+        eq,
+        withIndex,
+    };
+}
+
+const config: OrganizationConfig = {
+    source: { arg: 'orgId' },
+    membershipsTable: 'memberships',
+    membershipIndex: 'by_org_user',
+};
+
+describe('resolveOrganization', () => {
+    it('should load the membership for the org id argument', async () => {
+        const { ctx, eq, withIndex } = createCtx({ _id: 'm1', orgId: 'org-1', userId: 'user-123', role: 'admin' });
+
+        const result = await resolveOrganization(config, ctx, { orgId: 'org-1' }, {});
+
+        expect(ctx.db.query).toHaveBeenCalledWith('memberships');
+        expect(withIndex).toHaveBeenCalledWith('by_org_user', expect.any(Function));
+        expect(eq).toHaveBeenNthCalledWith(1, 'orgId', 'org-1');
+        expect(eq).toHaveBeenNthCalledWith(2, 'userId', 'user-123');
+        expect(result).toEqual({
+            org: { id: 'org-1' },
+            membership: { _id: 'm1', orgId: 'org-1', userId: 'user-123', role: 'admin' },
+        });
+    });
+
+    it('should read the org id from a JWT claim and use custom fields', async () => {
+        const { ctx, eq } = createCtx({ tenant: 'org-2', member: 'issuer|user-123', level: 'owner' }, {
+            subject: 'user-123',
+            tokenIdentifier: 'issuer|user-123',
+            org_id: 'org-2',
+        });
+
+        const result = await resolveOrganization(
+            {
+                ...config,
+                source: { claim: 'org_id' },
+                orgField: 'tenant',
+                memberField: 'member',
+                memberValue: identity => identity.tokenIdentifier,
+                roleField: 'level',
+            },
+            ctx,
+            {},
+            {}
+        );
+
+        expect(eq).toHaveBeenNthCalledWith(1, 'tenant', 'org-2');
+        expect(eq).toHaveBeenNthCalledWith(2, 'member', 'issuer|user-123');
+        expect(result.membership.role).toBe('owner');
+    });
+
+    it('should throw ForbiddenError when no org id is present', async () => {
+        const { ctx } = createCtx(null);
+
+        await expect(resolveOrganization(config, ctx, {}, {})).rejects.toBeInstanceOf(ForbiddenError);
+        expect(ctx.db.query).not.toHaveBeenCalled();
+    });
+
+    it('should throw ForbiddenError when the caller is not a member', async () => {
+        const { ctx } = createCtx(null);
+
+        await expect(resolveOrganization(config, ctx, { orgId: 'org-1' }, {})).rejects.toThrow(
+            'Not a member of this organization'
+        );
+    });
+
+    it('should enforce required membership roles', async () => {
+        const { ctx } = createCtx({ role: 'viewer' });
+
+        await expect(resolveOrganization(config, ctx, { orgId: 'org-1' }, { roles: ['admin'] })).rejects.toThrow(
+            'Insufficient organization role'
+        );
+    });
+});
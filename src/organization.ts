@@ -0,0 +1,94 @@
+import { ForbiddenError } from './errors';
+import type { AuthIdentity } from './policy';
+
+/**
+ * Configuration for the `organization` option of createAuthenticatedMethods
+ */
+export type OrganizationConfig = {
+    /** Where the organization id comes from: a function argument or a JWT claim */
+    source: { arg: string } | { claim: string };
+    /** Table holding one row per (organization, member) pair */
+    membershipsTable: string;
+    /** Index on the memberships table over [orgField, memberField] */
+    membershipIndex: string;
+    /** Membership field holding the organization id (defaults to `orgId`) */
+    orgField?: string;
+    /** Membership field holding the member (defaults to `userId`) */
+    memberField?: string;
+    /** Value stored in memberField for the caller (defaults to `identity.subject`) */
+    memberValue?: (identity: AuthIdentity, ctx: any) => unknown;
+    /** Membership field holding the member's role (defaults to `role`) */
+    roleField?: string;
+};
+
+/**
+ * Fields added to the handler's ctx by organizationQuery and organizationMutation
+ */
+export type OrganizationCtx = {
+    org: { id: string };
+    membership: { role: string | undefined; [field: string]: unknown };
+};
+
+/**
+ * Extra definition options accepted by organizationQuery and organizationMutation
+ */
+export type OrganizationRequirements = {
+    /** The caller's membership role must be one of these */
+    roles?: string[];
+};
+
+function getOrganizationId(config: OrganizationConfig, identity: AuthIdentity, args: Record<string, unknown>) {
+    const value = 'arg' in config.source ? args[config.source.arg] : identity[config.source.claim];
+    return typeof value === 'string' && value !== '' ? value : null;
+}
+
+/**
+ * Looks up the membership of `ctx.identity` in an organization, or returns null when the caller is not a member
+ */
+export async function findMembership(
+    config: OrganizationConfig,
+    ctx: any,
+    orgId: string
+): Promise<Record<string, any> | null> {
+    const identity: AuthIdentity = ctx.identity;
+    const orgField = config.orgField ?? 'orgId';
+    const memberField = config.memberField ?? 'userId';
+    const memberValue = config.memberValue ? config.memberValue(identity, ctx) : identity.subject;
+
+    return ctx.db
+        .query(config.membershipsTable)
+        .withIndex(config.membershipIndex, (q: any) => q.eq(orgField, orgId).eq(memberField, memberValue))
+        .unique();
+}
+
+/**
+ * Resolves the caller's organization and membership, throwing ForbiddenError when the caller
+ * is not a member or lacks one of the required roles
+ */
+export async function resolveOrganization(
+    config: OrganizationConfig,
+    ctx: any,
+    args: Record<string, unknown>,
+    requirements: OrganizationRequirements
+): Promise<OrganizationCtx> {
+    const identity: AuthIdentity = ctx.identity;
+    const orgId = getOrganizationId(config, identity, args);
+    if (!orgId) {
+        throw new ForbiddenError('No organization selected');
+    }
+
+    const membership = await findMembership(config, ctx, orgId);
+    if (!membership) {
+        throw new ForbiddenError('Not a member of this organization');
+    }
+
+    const role = membership[config.roleField ?? 'role'];
+    if (requirements.roles && !requirements.roles.includes(role)) {
+        throw new ForbiddenError('Insufficient organization role');
+    }
+
+    return {
+        org: { id: orgId },
+        membership: { ...membership, role },
+    };
+}
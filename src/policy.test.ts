@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { createAuthorizationPolicy, defaultAuthorizationPolicy } from './policy';
+
+describe('defaultAuthorizationPolicy', () => {
+    const identity = {
+        subject: 'user-123',
+        issuer: 'https://clerk.example.com',
+        tokenIdentifier: 'https://clerk.example.com|user-123',
+        emailVerified: true,
+        roles: ['editor', 'viewer'],
+        org_id: 'org-1',
+        permissions: ['notes:read'],
+    };
+
+    it('should allow empty requirements', () => {
+        expect(defaultAuthorizationPolicy(identity, {}, {})).toBe(true);
+    });
+
+    it('should require at least one matching role', () => {
+        expect(defaultAuthorizationPolicy(identity, { roles: ['admin', 'editor'] }, {})).toBe(true);
+        expect(defaultAuthorizationPolicy(identity, { roles: ['admin'] }, {})).toBe(false);
+    });
+
+    it('should accept a single role string on the identity', () => {
+        expect(defaultAuthorizationPolicy({ subject: 'a', roles: 'admin' }, { roles: ['admin'] }, {})).toBe(true);
+    });
+
+    it('should deny roles when the identity has no roles claim', () => {
+        expect(defaultAuthorizationPolicy({ subject: 'a' }, { roles: ['admin'] }, {})).toBe(false);
+    });
+
+    it('should match claims by equality or array membership', () => {
+        expect(defaultAuthorizationPolicy(identity, { claims: { org_id: 'org-1' } }, {})).toBe(true);
+        expect(defaultAuthorizationPolicy(identity, { claims: { permissions: 'notes:read' } }, {})).toBe(true);
+        expect(defaultAuthorizationPolicy(identity, { claims: { org_id: 'org-2' } }, {})).toBe(false);
+    });
+
+    it('should check emailVerified', () => {
+        expect(defaultAuthorizationPolicy(identity, { emailVerified: true }, {})).toBe(true);
+        expect(defaultAuthorizationPolicy({ subject: 'a' }, { emailVerified: true }, {})).toBe(false);
+    });
+
+    it('should check issuers', () => {
+        expect(defaultAuthorizationPolicy(identity, { issuers: ['https://clerk.example.com'] }, {})).toBe(true);
+        expect(defaultAuthorizationPolicy(identity, { issuers: ['https://auth0.example.com'] }, {})).toBe(false);
+    });
+
+    it('should check tokenIdentifier prefixes', () => {
+        expect(
+            defaultAuthorizationPolicy(identity, { tokenIdentifierPrefixes: ['https://clerk.example.com|'] }, {})
+        ).toBe(true);
+        expect(defaultAuthorizationPolicy(identity, { tokenIdentifierPrefixes: ['other|'] }, {})).toBe(false);
+        expect(defaultAuthorizationPolicy({ subject: 'a' }, { tokenIdentifierPrefixes: ['other|'] }, {})).toBe(false);
+    });
+
+    it('should require every requirement to pass', () => {
+        expect(defaultAuthorizationPolicy(identity, { roles: ['editor'], issuers: ['nope'] }, {})).toBe(false);
+    });
+});
+
+describe('createAuthorizationPolicy', () => {
+    it('should read roles from a custom claim', () => {
+        const policy = createAuthorizationPolicy({ rolesClaim: 'org_roles' });
+        expect(policy({ subject: 'a', org_roles: ['admin'] }, { roles: ['admin'] }, {})).toBe(true);
+        expect(policy({ subject: 'a', roles: ['admin'] }, { roles: ['admin'] }, {})).toBe(false);
+    });
+});
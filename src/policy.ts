@@ -0,0 +1,98 @@
+/**
+ * Identity shape that authorization policies operate on
+ */
+export type AuthIdentity = { subject: string; [claim: string]: unknown };
+
+/**
+ * Declarative requirements checked against the identity before a handler runs
+ */
+export type AuthRequirements = {
+    /** The identity must carry at least one of these roles */
+    roles?: string[];
+    /** Each claim must equal the given value (or contain it, for array claims) */
+    claims?: Record<string, unknown>;
+    /** Require `emailVerified` to be true on the identity */
+    emailVerified?: boolean;
+    /** The identity's `issuer` must be one of these */
+    issuers?: string[];
+    /** The identity's `tokenIdentifier` must start with one of these */
+    tokenIdentifierPrefixes?: string[];
+};
+
+/**
+ * Decides whether an identity satisfies a function's requirements
+ */
+export type AuthorizationPolicy = (
+    identity: AuthIdentity,
+    requirements: AuthRequirements,
+    ctx: unknown
+) => boolean | Promise<boolean>;
+
+function claimMatches(actual: unknown, expected: unknown): boolean {
+    if (Array.isArray(actual)) {
+        return actual.includes(expected);
+    }
+    return actual === expected;
+}
+
+/**
+ * Creates the built-in requirements policy
+ *
+ * @param options - `rolesClaim` names the identity claim holding the user's roles (defaults to `roles`)
+ * @returns A policy suitable for the `authorize` option of createAuthenticatedMethods
+ *
+ * @example
+ * ```typescript
+ * createAuthenticatedMethods({
+ *   query,
+ *   mutation,
+ *   authorize: createAuthorizationPolicy({ rolesClaim: 'org_roles' }),
+ * });
+ * ```
+ */
+export function createAuthorizationPolicy(options: { rolesClaim?: string } = {}): AuthorizationPolicy {
+    const rolesClaim = options.rolesClaim ?? 'roles';
+
+    return (identity, requirements) => {
+        if (requirements.roles && requirements.roles.length > 0) {
+            const roles = identity[rolesClaim];
+            const held = Array.isArray(roles) ? roles : typeof roles === 'string' ? [roles] : [];
+            if (!requirements.roles.some(role => held.includes(role))) {
+                return false;
+            }
+        }
+
+        if (requirements.claims) {
+            for (const [claim, expected] of Object.entries(requirements.claims)) {
+                if (!claimMatches(identity[claim], expected)) {
+                    return false;
+                }
+            }
+        }
+
+        if (requirements.emailVerified && identity.emailVerified !== true) {
+            return false;
+        }
+
+        if (requirements.issuers && !requirements.issuers.includes(identity.issuer as string)) {
+            return false;
+        }
+
+        if (requirements.tokenIdentifierPrefixes) {
+            const tokenIdentifier = identity.tokenIdentifier;
+            if (
+                typeof tokenIdentifier !== 'string' ||
+                !requirements.tokenIdentifierPrefixes.some(prefix => tokenIdentifier.startsWith(prefix))
+            ) {
+                return false;
+            }
+        }
+
+        return true;
+    };
+}
+
+/**
+ * Default policy used when createAuthenticatedMethods is not given an `authorize` option
+ */
+export const defaultAuthorizationPolicy: AuthorizationPolicy = createAuthorizationPolicy();
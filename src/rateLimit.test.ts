@@ -0,0 +1,128 @@
+import { describe, it, expect, vi } from 'vitest';
+import { consumeRateLimit, defineRateLimitMutation, resolveRateLimit, type RateLimit } from './rateLimit';
+
+function createMockDb() {
+    const rows = new Map<string, { _id: string; key: string; value: number; ts: number }>();
+    const eq = vi.fn((_field: string, value: string) => value);
+    return {
+        rows,
+        query: vi.fn(() => ({
+            withIndex: vi.fn((_index: string, build: (q: any) => string) => {
+                const key = build({ eq });
+                return { unique: vi.fn(async () => rows.get(key) ?? null) };
+            }),
+        })),
+        insert: vi.fn(async (_table: string, doc: { key: string; value: number; ts: number }) => {
+            rows.set(doc.key, { _id: doc.key, ...doc });
+            return doc.key;
+        }),
+        patch: vi.fn(async (id: string, fields: { value: number; ts: number }) => {
+            rows.set(id, { ...rows.get(id)!, ...fields });
+        }),
+    };
+}
+
+const config = { table: 'rateLimits' };
+
+describe('consumeRateLimit', () => {
+    describe('fixed window', () => {
+        const limit: RateLimit = { kind: 'fixed window', rate: 2, period: 60_000 };
+
+        it('should allow `rate` calls per window and report when the window ends', async () => {
+            const db = createMockDb();
+
+            await expect(consumeRateLimit(db, config, 'k', limit, 60_000)).resolves.toEqual({ ok: true });
+            await expect(consumeRateLimit(db, config, 'k', limit, 70_000)).resolves.toEqual({ ok: true });
+            await expect(consumeRateLimit(db, config, 'k', limit, 90_000)).resolves.toEqual({
+                ok: false,
+                retryAfter: 30_000,
+            });
+            await expect(consumeRateLimit(db, config, 'k', limit, 120_000)).resolves.toEqual({ ok: true });
+            expect(db.insert).toHaveBeenCalledWith('rateLimits', { key: 'k', value: 1, ts: 60_000 });
+        });
+
+        it('should keep separate buckets per key', async () => {
+            const db = createMockDb();
+
+            await consumeRateLimit(db, config, 'a', limit, 0);
+            await consumeRateLimit(db, config, 'a', limit, 0);
+
+            await expect(consumeRateLimit(db, config, 'b', limit, 0)).resolves.toEqual({ ok: true });
+        });
+    });
+
+    describe('token bucket', () => {
+        const limit: RateLimit = { kind: 'token bucket', rate: 1, period: 1_000, capacity: 2 };
+
+        it('should allow bursts up to the capacity and refill over time', async () => {
+            const db = createMockDb();
+
+            await expect(consumeRateLimit(db, config, 'k', limit, 0)).resolves.toEqual({ ok: true });
+            await expect(consumeRateLimit(db, config, 'k', limit, 0)).resolves.toEqual({ ok: true });
+            await expect(consumeRateLimit(db, config, 'k', limit, 250)).resolves.toEqual({
+                ok: false,
+                retryAfter: 750,
+            });
+            await expect(consumeRateLimit(db, config, 'k', limit, 1_000)).resolves.toEqual({ ok: true });
+            await expect(consumeRateLimit(db, config, 'k', limit, 1_000)).resolves.toMatchObject({ ok: false });
+        });
+
+        it('should not store failed attempts', async () => {
+            const db = createMockDb();
+            const single: RateLimit = { kind: 'token bucket', rate: 1, period: 1_000 };
+
+            await consumeRateLimit(db, config, 'k', single, 0);
+            await consumeRateLimit(db, config, 'k', single, 100);
+
+            expect(db.insert).toHaveBeenCalledTimes(1);
+            expect(db.patch).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should look the bucket up through the configured index', async () => {
+        const db = createMockDb();
+
+        const limit: RateLimit = { kind: 'fixed window', rate: 1, period: 1 };
+
+        await consumeRateLimit(db, { table: 'limits', index: 'by_bucket' }, 'k', limit, 0);
+
+        expect(db.query).toHaveBeenCalledWith('limits');
+        expect(db.query.mock.results[0].value.withIndex).toHaveBeenCalledWith('by_bucket', expect.any(Function));
+    });
+});
+
+describe('resolveRateLimit', () => {
+    const strict: RateLimit = { kind: 'fixed window', rate: 1, period: 1_000 };
+    const relaxed: RateLimit = { kind: 'token bucket', rate: 10, period: 1_000 };
+    const limits = { table: 'rateLimits', limits: { default: relaxed, strict } };
+
+    it('should apply the default limit unless the definition overrides it', () => {
+        expect(resolveRateLimit(limits, undefined)).toBe(relaxed);
+        expect(resolveRateLimit(limits, 'strict')).toBe(strict);
+        expect(resolveRateLimit(limits, strict)).toBe(strict);
+        expect(resolveRateLimit(limits, false)).toBeNull();
+    });
+
+    it('should not limit calls when there is no default', () => {
+        expect(resolveRateLimit(undefined, undefined)).toBeNull();
+        expect(resolveRateLimit({ table: 'rateLimits', limits: { strict } }, undefined)).toBeNull();
+    });
+
+    it('should throw for unknown limit names', () => {
+        expect(() => resolveRateLimit(limits, 'missing')).toThrow('rateLimit: unknown limit "missing"');
+    });
+});
+
+describe('defineRateLimitMutation', () => {
+    it('should register an internal mutation that consumes the limit', async () => {
+        const internalMutation = vi.fn((definition: any) => definition);
+        const db = createMockDb();
+
+        const registered = defineRateLimitMutation(internalMutation, config);
+        const limit: RateLimit = { kind: 'fixed window', rate: 1, period: 60_000 };
+
+        await expect(registered.handler({ db }, { key: 'k', limit })).resolves.toEqual({ ok: true });
+        await expect(registered.handler({ db }, { key: 'k', limit })).resolves.toMatchObject({ ok: false });
+        expect(Object.keys(registered.args)).toEqual(['key', 'limit']);
+    });
+});
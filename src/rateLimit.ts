@@ -0,0 +1,153 @@
+import { v } from 'convex/values';
+import type { FunctionReference } from 'convex/server';
+
+/**
+ * A rate limit. `rate` calls are allowed per `period` milliseconds.
+ *
+ * - `fixed window` resets the count at the start of every period
+ * - `token bucket` refills continuously and allows bursts of up to `capacity` calls (defaults to `rate`)
+ */
+export type RateLimit =
+    | { kind: 'fixed window'; rate: number; period: number }
+    | { kind: 'token bucket'; rate: number; period: number; capacity?: number };
+
+/**
+ * Configuration for the `rateLimit` option of createAuthenticatedMethods
+ */
+export type RateLimitConfig = {
+    /** Table storing one row per (function name, subject) bucket */
+    table: string;
+    /** Index on the table over `['key']` (defaults to `by_key`) */
+    index?: string;
+    /**
+     * Named limits. `default` applies to every authenticated mutation and action without its own `rateLimit`.
+     * Rate-limited functions must set `name`, which keys their buckets.
+     */
+    limits?: Record<string, RateLimit>;
+    /**
+     * Internal mutation created with defineRateLimitMutation, used by actions since they have no ctx.db.
+     * Required as soon as an action is limited, which `default` does to every action without `rateLimit: false`.
+     */
+    actionMutation?: FunctionReference<'mutation', 'internal', { key: string; limit: RateLimit }, RateLimitResult>;
+};
+
+/**
+ * Extra definition options accepted by the mutation and action wrappers
+ */
+export type RateLimitOptions = {
+    /** A limit named in the factory's `rateLimit.limits`, a limit of its own, or `false` to opt out of `default` */
+    rateLimit?: RateLimit | string | false;
+};
+
+export type RateLimitResult = { ok: true } | { ok: false; retryAfter: number };
+
+/**
+ * Validators for the fields of the rate limit table
+ *
+ * @example
+ * ```typescript
+ * export default defineSchema({
+ *   rateLimits: defineTable(rateLimitFields).index('by_key', ['key']),
+ * });
+ * ```
+ */
+export const rateLimitFields = {
+    key: v.string(),
+    value: v.number(),
+    ts: v.number(),
+};
+
+const DEFAULT_INDEX = 'by_key';
+
+/**
+ * Resolves a definition's `rateLimit` option against the factory configuration.
+ * Returns the limit, or null when the call is not limited.
+ */
+export function resolveRateLimit(
+    config: RateLimitConfig | undefined,
+    option: RateLimitOptions['rateLimit']
+): RateLimit | null {
+    if (option === false) {
+        return null;
+    }
+    if (typeof option === 'object') {
+        return option;
+    }
+    const name = option ?? 'default';
+    const limit = config?.limits?.[name];
+    if (!limit) {
+        if (option !== undefined) {
+            throw new Error(`rateLimit: unknown limit "${option}"`);
+        }
+        return null;
+    }
+    return limit;
+}
+
+/**
+ * Takes one call from the bucket stored under `key`, updating its row
+ */
+export async function consumeRateLimit(
+    db: any,
+    config: Pick<RateLimitConfig, 'table' | 'index'>,
+    key: string,
+    limit: RateLimit,
+    now: number
+): Promise<RateLimitResult> {
+    const existing = await db
+        .query(config.table)
+        .withIndex(config.index ?? DEFAULT_INDEX, (q: any) => q.eq('key', key))
+        .unique();
+
+    let value: number;
+    let ts: number;
+    if (limit.kind === 'fixed window') {
+        ts = Math.floor(now / limit.period) * limit.period;
+        const count = existing && existing.ts === ts ? existing.value : 0;
+        if (count >= limit.rate) {
+            return { ok: false, retryAfter: ts + limit.period - now };
+        }
+        value = count + 1;
+    } else {
+        const capacity = limit.capacity ?? limit.rate;
+        const elapsed = existing ? Math.max(0, now - existing.ts) : 0;
+        const tokens = existing ? Math.min(capacity, existing.value + (elapsed * limit.rate) / limit.period) : capacity;
+        if (tokens < 1) {
+            return { ok: false, retryAfter: Math.ceil(((1 - tokens) * limit.period) / limit.rate) };
+        }
+        value = tokens - 1;
+        ts = now;
+    }
+
+    if (existing) {
+        await db.patch(existing._id, { value, ts });
+    } else {
+        await db.insert(config.table, { key, value, ts });
+    }
+    return { ok: true };
+}
+
+/**
+ * Creates the internal mutation actions use to consume their rate limit. Export it and pass
+ * its reference as `rateLimit.actionMutation`.
+ *
+ * @example
+ * ```typescript
+ * export const consumeRateLimit = defineRateLimitMutation(internalMutation, { table: 'rateLimits' });
+ *
+ * createAuthenticatedMethods({
+ *   // ...
+ *   rateLimit: { table: 'rateLimits', actionMutation: internal.auth.consumeRateLimit, limits: { ... } },
+ * });
+ * ```
+ */
+export function defineRateLimitMutation<Builder extends (definition: any) => any>(
+    internalMutation: Builder,
+    config: Pick<RateLimitConfig, 'table' | 'index'>
+): ReturnType<Builder> {
+    return internalMutation({
+        args: { key: v.string(), limit: v.any() },
+        handler: async (ctx: any, args: { key: string; limit: RateLimit }) =>
+            consumeRateLimit(ctx.db, config, args.key, args.limit, Date.now()),
+    });
+}
@@ -0,0 +1,132 @@
+import { describe, it, expect, expectTypeOf, vi, beforeEach } from 'vitest';
+import { makeFunctionReference } from 'convex/server';
+import { useAction, useConvexAuth, useMutation, useQueries } from 'convex/react';
+import { ForbiddenError, RateLimitedError, ReauthRequiredError, UnauthenticatedError } from './errors';
+import {
+    toAuthErrorResult,
+    useAuthenticatedAction,
+    useAuthenticatedMutation,
+    useAuthenticatedQuery,
+    type AuthCallResult,
+    type AuthQueryResult,
+} from './react';
+
+// Hooks are called directly, so React's memoization hooks just run their callbacks
+vi.mock('react', () => ({
+    useMemo: (fn: () => unknown) => fn(),
+    useCallback: (fn: unknown) => fn,
+}));
+
+vi.mock('convex/react', () => ({
+    useConvexAuth: vi.fn(),
+    useQueries: vi.fn(),
+    useMutation: vi.fn(),
+    useAction: vi.fn(),
+}));
+
+const listNotes = makeFunctionReference<'query', { folder: string }, string[]>('notes:list');
+const updateNote = makeFunctionReference<'mutation', { id: string }, null>('notes:update');
+const syncNotes = makeFunctionReference<'action', {}, number>('notes:sync');
+
+const signedIn = { isLoading: false, isAuthenticated: true };
+
+describe('toAuthErrorResult', () => {
+    it('should map auth errors to states', () => {
+        expect(toAuthErrorResult(new UnauthenticatedError())).toEqual({
+            status: 'unauthenticated',
+            error: { code: 'UNAUTHENTICATED', message: 'Not authenticated' },
+        });
+        expect(toAuthErrorResult(new ReauthRequiredError('mfa'))).toMatchObject({
+            status: 'unauthenticated',
+            error: { reason: 'mfa' },
+        });
+        expect(toAuthErrorResult(new ForbiddenError('Admins only'))).toEqual({
+            status: 'forbidden',
+            error: { code: 'FORBIDDEN', message: 'Admins only' },
+        });
+        expect(toAuthErrorResult(new RateLimitedError(500))).toMatchObject({
+            status: 'rateLimited',
+            error: { retryAfter: 500 },
+        });
+    });
+
+    it('should return null for other errors', () => {
+        expect(toAuthErrorResult(new Error('boom'))).toBeNull();
+    });
+});
+
+describe('useAuthenticatedQuery', () => {
+    beforeEach(() => {
+        vi.mocked(useConvexAuth).mockReturnValue(signedIn);
+        vi.mocked(useQueries).mockReturnValue({});
+    });
+
+    it('should skip the query until the user is authenticated', () => {
+        vi.mocked(useConvexAuth).mockReturnValue({ isLoading: true, isAuthenticated: false });
+        expect(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toEqual({ status: 'loading' });
+
+        vi.mocked(useConvexAuth).mockReturnValue({ isLoading: false, isAuthenticated: false });
+        expect(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toEqual({ status: 'unauthenticated' });
+
+        expect(useQueries).toHaveBeenCalledTimes(2);
+        expect(useQueries).toHaveBeenCalledWith({});
+    });
+
+    it('should subscribe once authenticated and return the data', () => {
+        expect(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toEqual({ status: 'loading' });
+        expect(useQueries).toHaveBeenCalledWith({ result: { query: listNotes, args: { folder: 'inbox' } } });
+
+        vi.mocked(useQueries).mockReturnValue({ result: ['note'] });
+        expect(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toEqual({ status: 'ok', data: ['note'] });
+    });
+
+    it('should return auth errors as states and throw other errors', () => {
+        vi.mocked(useQueries).mockReturnValue({ result: new ForbiddenError() });
+        expect(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toMatchObject({ status: 'forbidden' });
+
+        const error = new Error('boom');
+        vi.mocked(useQueries).mockReturnValue({ result: error });
+        expect(() => useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toThrow(error);
+    });
+
+    it('should type the data as the query return type', () => {
+        expectTypeOf(useAuthenticatedQuery(listNotes, { folder: 'inbox' })).toEqualTypeOf<AuthQueryResult<string[]>>();
+    });
+});
+
+describe('useAuthenticatedMutation and useAuthenticatedAction', () => {
+    beforeEach(() => {
+        vi.mocked(useConvexAuth).mockReturnValue(signedIn);
+    });
+
+    it('should resolve to the result or an auth error state', async () => {
+        const mutate = vi.fn().mockResolvedValueOnce(null).mockRejectedValueOnce(new ForbiddenError());
+        vi.mocked(useMutation).mockReturnValue(mutate as any);
+        const update = useAuthenticatedMutation(updateNote);
+
+        await expect(update({ id: 'n1' })).resolves.toEqual({ status: 'ok', data: null });
+        await expect(update({ id: 'n1' })).resolves.toMatchObject({ status: 'forbidden' });
+        expect(mutate).toHaveBeenCalledWith({ id: 'n1' });
+    });
+
+    it('should reject with other errors', async () => {
+        vi.mocked(useAction).mockReturnValue(vi.fn().mockRejectedValue(new Error('boom')) as any);
+
+        await expect(useAuthenticatedAction(syncNotes)()).rejects.toThrow('boom');
+    });
+
+    it('should not call the server for signed-out users', async () => {
+        const mutate = vi.fn();
+        vi.mocked(useMutation).mockReturnValue(mutate as any);
+        vi.mocked(useConvexAuth).mockReturnValue({ isLoading: false, isAuthenticated: false });
+
+        await expect(useAuthenticatedMutation(updateNote)({ id: 'n1' })).resolves.toEqual({
+            status: 'unauthenticated',
+        });
+        expect(mutate).not.toHaveBeenCalled();
+    });
+
+    it('should type the result as the function return type', () => {
+        expectTypeOf(useAuthenticatedAction(syncNotes)).returns.toEqualTypeOf<Promise<AuthCallResult<number>>>();
+    });
+});
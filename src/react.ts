@@ -0,0 +1,169 @@
+import { useCallback, useMemo } from 'react';
+import { useAction, useConvexAuth, useMutation, useQueries, type RequestForQueries } from 'convex/react';
+import {
+    getFunctionName,
+    type FunctionArgs,
+    type FunctionReference,
+    type FunctionReturnType,
+    type OptionalRestArgs,
+} from 'convex/server';
+import { convexToJson, type Value } from 'convex/values';
+import { AuthErrorCode, getAuthErrorCode, type AuthErrorData } from './errors';
+
+export { AuthErrorCode, getAuthErrorCode, isAuthError, type AuthErrorData, type ReauthReason } from './errors';
+
+/**
+ * An auth error from the server as a typed state:
+ * - `unauthenticated`: nobody is signed in, the identity is invalid, or the user must sign in again (`error.reason`)
+ * - `forbidden`: the user may not call the function, has no user document, or does not own an argument's document
+ * - `rateLimited`: the call exceeded a rate limit, `error.retryAfter` says how long to wait
+ *
+ * `error` is missing when the client already knows nobody is signed in and the server was not called.
+ */
+export type AuthErrorResult =
+    | { status: 'unauthenticated'; error?: AuthErrorData }
+    | { status: 'forbidden'; error: AuthErrorData }
+    | { status: 'rateLimited'; error: AuthErrorData };
+
+/**
+ * Result of useAuthenticatedQuery. `loading` covers both the auth provider and the query.
+ */
+export type AuthQueryResult<Return> = { status: 'loading' } | { status: 'ok'; data: Return } | AuthErrorResult;
+
+/**
+ * Result of a call made with useAuthenticatedMutation or useAuthenticatedAction
+ */
+export type AuthCallResult<Return> = { status: 'ok'; data: Return } | AuthErrorResult;
+
+const STATUSES: Record<AuthErrorCode, AuthErrorResult['status']> = {
+    [AuthErrorCode.UNAUTHENTICATED]: 'unauthenticated',
+    [AuthErrorCode.IDENTITY_INVALID]: 'unauthenticated',
+    [AuthErrorCode.REAUTH_REQUIRED]: 'unauthenticated',
+    [AuthErrorCode.FORBIDDEN]: 'forbidden',
+    [AuthErrorCode.USER_NOT_FOUND]: 'forbidden',
+    [AuthErrorCode.DOCUMENT_NOT_FOUND]: 'forbidden',
+    [AuthErrorCode.RATE_LIMITED]: 'rateLimited',
+};
+
+/**
+ * Converts an auth error into its typed state, or returns null for other errors
+ *
+ * @example
+ * ```typescript
+ * try {
+ *   await convex.mutation(api.notes.update, { id, text });
+ * } catch (err) {
+ *   const result = toAuthErrorResult(err);
+ *   if (result?.status === 'unauthenticated') router.push('/login');
+ * }
+ * ```
+ */
+export function toAuthErrorResult(error: unknown): AuthErrorResult | null {
+    const code = getAuthErrorCode(error);
+    if (!code) {
+        return null;
+    }
+    return { status: STATUSES[code], error: (error as { data: AuthErrorData }).data } as AuthErrorResult;
+}
+
+/**
+ * Subscribes to an authenticated query once the auth provider reports a signed-in user, and
+ * returns auth errors as states instead of throwing them. Other errors are still thrown to
+ * the nearest error boundary.
+ *
+ * @example
+ * ```typescript
+ * const notes = useAuthenticatedQuery(api.notes.list, { folder });
+ * if (notes.status === 'loading') return <Spinner />;
+ * if (notes.status === 'unauthenticated') return <SignIn />;
+ * if (notes.status !== 'ok') return <NoAccess />;
+ * return <NoteList notes={notes.data} />;
+ * ```
+ */
+export function useAuthenticatedQuery<Query extends FunctionReference<'query'>>(
+    query: Query,
+    ...args: OptionalRestArgs<Query>
+): AuthQueryResult<FunctionReturnType<Query>> {
+    const { isLoading, isAuthenticated } = useConvexAuth();
+    const queryArgs = (args[0] ?? {}) as FunctionArgs<Query>;
+    // Like useQuery, keep the subscription while the args keep the same values
+    const argsKey = JSON.stringify(convexToJson(queryArgs as Value));
+    const name = getFunctionName(query);
+    const queries = useMemo(
+        (): RequestForQueries => (isAuthenticated ? { result: { query, args: queryArgs } } : {}),
+        [name, argsKey, isAuthenticated]
+    );
+    const result: unknown = useQueries(queries).result;
+
+    if (isLoading) {
+        return { status: 'loading' };
+    }
+    if (!isAuthenticated) {
+        return { status: 'unauthenticated' };
+    }
+    if (result === undefined) {
+        return { status: 'loading' };
+    }
+    if (result instanceof Error) {
+        const authResult = toAuthErrorResult(result);
+        if (!authResult) {
+            throw result;
+        }
+        return authResult;
+    }
+    return { status: 'ok', data: result as FunctionReturnType<Query> };
+}
+
+/**
+ * Wraps a mutation or action call so it resolves to a typed state. Calls made after the auth
+ * provider settled on a signed-out user resolve to `unauthenticated` without reaching the server.
+ */
+function useAuthenticatedCall<Fn extends FunctionReference<'mutation' | 'action'>>(
+    call: (...args: OptionalRestArgs<Fn>) => Promise<FunctionReturnType<Fn>>
+): (...args: OptionalRestArgs<Fn>) => Promise<AuthCallResult<FunctionReturnType<Fn>>> {
+    const { isLoading, isAuthenticated } = useConvexAuth();
+    return useCallback(
+        async (...args: OptionalRestArgs<Fn>) => {
+            if (!isLoading && !isAuthenticated) {
+                return { status: 'unauthenticated' };
+            }
+            try {
+                return { status: 'ok', data: await call(...args) };
+            } catch (error) {
+                const authResult = toAuthErrorResult(error);
+                if (!authResult) {
+                    throw error;
+                }
+                return authResult;
+            }
+        },
+        [call, isLoading, isAuthenticated]
+    );
+}
+
+/**
+ * Returns a function that calls an authenticated mutation and resolves to a typed state
+ * instead of rejecting with auth errors. Other errors still reject.
+ *
+ * @example
+ * ```typescript
+ * const updateNote = useAuthenticatedMutation(api.notes.update);
+ * const result = await updateNote({ id, text });
+ * if (result.status === 'forbidden') toast(result.error.message);
+ * ```
+ */
+export function useAuthenticatedMutation<Mutation extends FunctionReference<'mutation'>>(
+    mutation: Mutation
+): (...args: OptionalRestArgs<Mutation>) => Promise<AuthCallResult<FunctionReturnType<Mutation>>> {
+    return useAuthenticatedCall<Mutation>(useMutation(mutation));
+}
+
+/**
+ * Returns a function that calls an authenticated action and resolves to a typed state
+ * instead of rejecting with auth errors. Other errors still reject.
+ */
+export function useAuthenticatedAction<Action extends FunctionReference<'action'>>(
+    action: Action
+): (...args: OptionalRestArgs<Action>) => Promise<AuthCallResult<FunctionReturnType<Action>>> {
+    return useAuthenticatedCall<Action>(useAction(action));
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi } from 'vitest';
+import { wrapDatabase } from './rls';
+import { AuthErrorCode, ForbiddenError } from './errors';
+
+type Doc = { _id: string; _creationTime: number; [field: string]: unknown };
+
+function createMockDb(docs: Doc[]) {
+    const rows = new Map(docs.map(doc => [doc._id, doc]));
+    const createQuery = (table: string): any => {
+        const results = () => [...rows.values()].filter(doc => doc._id.startsWith(`${table}:`));
+        return {
+            withIndex: vi.fn(() => createQuery(table)),
+            order: vi.fn(() => createQuery(table)),
+            unique: vi.fn(async () => results()[0] ?? null),
+            paginate: vi.fn(async () => ({ page: results(), isDone: true, continueCursor: 'end' })),
+            async *[Symbol.asyncIterator]() {
+                yield* results();
+            },
+        };
+    };
+    return {
+        system: { get: vi.fn() },
+        normalizeId: vi.fn((table: string, id: string) => (id.startsWith(`${table}:`) ? id : null)),
+        get: vi.fn(async (id: string) => rows.get(id) ?? null),
+        query: vi.fn(createQuery),
+        insert: vi.fn(async () => 'notes:new'),
+        patch: vi.fn(async () => undefined),
+        replace: vi.fn(async () => undefined),
+        delete: vi.fn(async () => undefined),
+    };
+}
+
+const notes: Doc[] = [
+    { _id: 'notes:1', _creationTime: 1, userId: 'user-123', body: 'mine' },
+    { _id: 'notes:2', _creationTime: 2, userId: 'someone-else', body: 'theirs' },
+    { _id: 'notes:3', _creationTime: 3, userId: 'user-123', body: 'also mine' },
+    { _id: 'plans:1', _creationTime: 4, name: 'free' },
+];
+
+const ctx = { identity: { subject: 'user-123' } };
+const rules = {
+    notes: (doc: any, { identity }: typeof ctx) => doc.userId === identity.subject,
+};
+
+describe('wrapDatabase', () => {
+    describe('reads', () => {
+        it('should return null from get for documents the rule rejects', async () => {
+            const db = wrapDatabase(createMockDb(notes), rules, ctx, false);
+
+            await expect(db.get('notes:1')).resolves.toMatchObject({ body: 'mine' });
+            await expect(db.get('notes:2')).resolves.toBeNull();
+            await expect(db.get('notes:missing')).resolves.toBeNull();
+        });
+
+        it('should filter query results through the rule', async () => {
+            const db = wrapDatabase(createMockDb(notes), rules, ctx, false);
+
+            const all = await db.query('notes').withIndex('by_user').order('desc').collect();
+            expect(all.map((doc: Doc) => doc._id)).toEqual(['notes:1', 'notes:3']);
+            await expect(db.query('notes').take(1)).resolves.toHaveLength(1);
+            await expect(db.query('notes').first()).resolves.toMatchObject({ _id: 'notes:1' });
+            await expect(db.query('notes').unique()).resolves.toMatchObject({ _id: 'notes:1' });
+
+            const result = await db.query('notes').paginate({ numItems: 10, cursor: null });
+            expect(result).toMatchObject({ isDone: true, continueCursor: 'end' });
+            expect(result.page).toHaveLength(2);
+
+            const iterated = [];
+            for await (const doc of db.query('notes')) {
+                iterated.push(doc);
+            }
+            expect(iterated).toHaveLength(2);
+        });
+
+        it('should leave tables without rules untouched', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, false);
+
+            await expect(db.get('plans:1')).resolves.toMatchObject({ name: 'free' });
+            expect(db.query('plans')).toBe(raw.query.mock.results[0].value);
+            expect(db.system).toBe(raw.system);
+        });
+
+        it('should not expose writes for queries', () => {
+            const db = wrapDatabase(createMockDb(notes), rules, ctx, false);
+
+            expect(db.insert).toBeUndefined();
+            expect(db.patch).toBeUndefined();
+        });
+
+        it('should hide every ruled document from anonymous callers', async () => {
+            const db = wrapDatabase(createMockDb(notes), rules, null, false);
+
+            await expect(db.get('notes:1')).resolves.toBeNull();
+            await expect(db.query('notes').collect()).resolves.toEqual([]);
+            await expect(db.get('plans:1')).resolves.toMatchObject({ name: 'free' });
+        });
+    });
+
+    describe('writes', () => {
+        it('should insert documents that pass the rule', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, true);
+
+            await expect(db.insert('notes', { userId: 'user-123', body: 'new' })).resolves.toBe('notes:new');
+            expect(raw.insert).toHaveBeenCalledWith('notes', { userId: 'user-123', body: 'new' });
+        });
+
+        it('should throw a ForbiddenError for inserts the rule rejects', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, true);
+
+            const error = await db.insert('notes', { userId: 'someone-else' }).catch((err: unknown) => err);
+
+            expect(error).toBeInstanceOf(ForbiddenError);
+            expect(error.data).toEqual({ code: AuthErrorCode.FORBIDDEN, message: 'Not allowed to insert into "notes"' });
+            expect(raw.insert).not.toHaveBeenCalled();
+        });
+
+        it('should check patch, replace and delete against the stored document', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, true);
+
+            await db.patch('notes:1', { body: 'edited' });
+            await db.replace('notes:3', { userId: 'user-123', body: 'replaced' });
+            await db.delete('notes:1');
+            await expect(db.patch('notes:2', { body: 'edited' })).rejects.toMatchObject({
+                data: { message: 'Not allowed to patch this "notes" document' },
+            });
+            await expect(db.replace('notes:2', { userId: 'user-123' })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(db.delete('notes:2')).rejects.toBeInstanceOf(ForbiddenError);
+
+            expect(raw.patch).toHaveBeenCalledTimes(1);
+            expect(raw.replace).toHaveBeenCalledTimes(1);
+            expect(raw.delete).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject writes that would hand the document to someone else', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, true);
+
+            await expect(db.patch('notes:1', { userId: 'someone-else' })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(db.patch('notes:1', { userId: undefined })).rejects.toBeInstanceOf(ForbiddenError);
+            await expect(db.replace('notes:1', { body: 'no owner' })).rejects.toBeInstanceOf(ForbiddenError);
+            expect(raw.patch).not.toHaveBeenCalled();
+            expect(raw.replace).not.toHaveBeenCalled();
+        });
+
+        it('should leave missing documents to ctx.db', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(raw, rules, ctx, true);
+
+            await db.patch('notes:missing', { body: 'edited' });
+
+            expect(raw.patch).toHaveBeenCalledWith('notes:missing', { body: 'edited' });
+        });
+
+        it('should apply separate read and write rules', async () => {
+            const raw = createMockDb(notes);
+            const db = wrapDatabase(
+                raw,
+                { notes: { write: (doc: any, { identity }: typeof ctx) => doc.userId === identity.subject } },
+                ctx,
+                true
+            );
+
+            await expect(db.get('notes:2')).resolves.toMatchObject({ body: 'theirs' });
+            await expect(db.delete('notes:2')).rejects.toBeInstanceOf(ForbiddenError);
+        });
+
+        it('should pass the caller ctx to async rules', async () => {
+            const rule = vi.fn(async () => true);
+            const db = wrapDatabase(createMockDb(notes), { notes: rule }, ctx, true);
+
+            await db.delete('notes:2');
+
+            expect(rule).toHaveBeenCalledWith(notes[1], ctx);
+        });
+    });
+});
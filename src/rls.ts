@@ -0,0 +1,204 @@
+import { ForbiddenError } from './errors';
+
+/**
+ * Decides whether the caller may access one document. On insert the document
+ * has no `_id` or `_creationTime` yet.
+ */
+export type RowLevelSecurityRule<Doc, Ctx> = (doc: Doc, ctx: Ctx) => boolean | Promise<boolean>;
+
+/**
+ * Rules for one table: a single rule for every operation, or separate read and write rules.
+ * Operations without a rule are allowed.
+ */
+export type TableRowLevelSecurity<Doc, Ctx> =
+    | RowLevelSecurityRule<Doc, Ctx>
+    | {
+          /** Checked on get and query */
+          read?: RowLevelSecurityRule<Doc, Ctx>;
+          /** Checked on insert, patch, replace and delete */
+          write?: RowLevelSecurityRule<Doc, Ctx>;
+      };
+
+/**
+ * Configuration for the `rowLevelSecurity` option of createAuthenticatedMethods.
+ * Tables without rules are not restricted.
+ */
+export type RowLevelSecurityConfig<DataModel extends Record<string, any>, Ctx = any> = {
+    [Table in keyof DataModel & string]?: TableRowLevelSecurity<
+        DataModel[Table] extends { document: infer Doc } ? Doc : Record<string, unknown>,
+        Ctx
+    >;
+};
+
+type Operation = 'read' | 'write';
+type Check = (table: string, operation: Operation, doc: any) => Promise<boolean>;
+
+/**
+ * Wraps a query so that documents the caller may not read are skipped
+ */
+class SecureQuery {
+    constructor(
+        private readonly query: any,
+        private readonly allow: (doc: any) => Promise<boolean>
+    ) {}
+
+    fullTableScan() {
+        return new SecureQuery(this.query.fullTableScan(), this.allow);
+    }
+
+    withIndex(...args: unknown[]) {
+        return new SecureQuery(this.query.withIndex(...args), this.allow);
+    }
+
+    withSearchIndex(...args: unknown[]) {
+        return new SecureQuery(this.query.withSearchIndex(...args), this.allow);
+    }
+
+    order(order: 'asc' | 'desc') {
+        return new SecureQuery(this.query.order(order), this.allow);
+    }
+
+    filter(predicate: unknown) {
+        return new SecureQuery(this.query.filter(predicate), this.allow);
+    }
+
+    async *[Symbol.asyncIterator]() {
+        for await (const doc of this.query) {
+            if (await this.allow(doc)) {
+                yield doc;
+            }
+        }
+    }
+
+    async collect() {
+        const docs: unknown[] = [];
+        for await (const doc of this) {
+            docs.push(doc);
+        }
+        return docs;
+    }
+
+    async take(n: number) {
+        const docs: unknown[] = [];
+        if (n <= 0) {
+            return docs;
+        }
+        for await (const doc of this) {
+            docs.push(doc);
+            if (docs.length >= n) {
+                break;
+            }
+        }
+        return docs;
+    }
+
+    async first() {
+        for await (const doc of this) {
+            return doc;
+        }
+        return null;
+    }
+
+    async unique() {
+        const doc = await this.query.unique();
+        return doc && (await this.allow(doc)) ? doc : null;
+    }
+
+    /** Pages may come back shorter than requested when documents are filtered out */
+    async paginate(paginationOpts: unknown) {
+        const result = await this.query.paginate(paginationOpts);
+        const page: unknown[] = [];
+        for (const doc of result.page) {
+            if (await this.allow(doc)) {
+                page.push(doc);
+            }
+        }
+        return { ...result, page };
+    }
+}
+
+/**
+ * Wraps ctx.db so every get, query, insert, patch, replace and delete is checked against the
+ * table rules. Forbidden reads come back as null or are filtered out, forbidden writes throw a
+ * ForbiddenError. With a null `ctx` (anonymous callers) every ruled operation is forbidden.
+ */
+export function wrapDatabase(db: any, rules: RowLevelSecurityConfig<any>, ctx: unknown, writable: boolean): any {
+    const check: Check = async (table, operation, doc) => {
+        const tableRules = rules[table];
+        const rule = typeof tableRules === 'function' ? tableRules : tableRules?.[operation];
+        if (!rule) {
+            return true;
+        }
+        return ctx !== null && (await rule(doc, ctx));
+    };
+
+    // Ids only tell their table through normalizeId, so try every table with rules
+    const tableOf = (id: string) => Object.keys(rules).find(table => db.normalizeId(table, id) !== null);
+
+    const reader = {
+        system: db.system,
+        normalizeId: (table: string, id: string) => db.normalizeId(table, id),
+        get: async (id: string) => {
+            const doc = await db.get(id);
+            const table = doc && tableOf(id);
+            return table && !(await check(table, 'read', doc)) ? null : doc;
+        },
+        query: (table: string) =>
+            rules[table] ? new SecureQuery(db.query(table), doc => check(table, 'read', doc)) : db.query(table),
+    };
+    if (!writable) {
+        return reader;
+    }
+
+    /**
+     * Checks the stored document before it is changed. Missing documents are left to ctx.db to report.
+     */
+    const checkExisting = async (id: string, action: string) => {
+        const table = tableOf(id);
+        const doc = table && (await db.get(id));
+        if (doc && !(await check(table, 'write', doc))) {
+            throw new ForbiddenError(`Not allowed to ${action} this "${table}" document`);
+        }
+        return { table, doc };
+    };
+
+    /**
+     * Checks the document as it will be stored, so rules cannot be escaped by rewriting the owner
+     */
+    const checkUpdated = async (table: string | undefined, updated: Record<string, unknown>, action: string) => {
+        if (table && !(await check(table, 'write', updated))) {
+            throw new ForbiddenError(`Not allowed to ${action} this "${table}" document`);
+        }
+    };
+
+    return {
+        ...reader,
+        insert: async (table: string, value: Record<string, unknown>) => {
+            if (!(await check(table, 'write', value))) {
+                throw new ForbiddenError(`Not allowed to insert into "${table}"`);
+            }
+            return db.insert(table, value);
+        },
+        patch: async (id: string, value: Record<string, unknown>) => {
+            const { table, doc } = await checkExisting(id, 'patch');
+            if (doc) {
+                const updated: Record<string, unknown> = { ...doc, ...value };
+                // Patching a field to undefined removes it
+                Object.keys(value).forEach(key => updated[key] === undefined && delete updated[key]);
+                await checkUpdated(table, updated, 'patch');
+            }
+            return db.patch(id, value);
+        },
+        replace: async (id: string, value: Record<string, unknown>) => {
+            const { table, doc } = await checkExisting(id, 'replace');
+            if (doc) {
+                await checkUpdated(table, { ...value, _id: doc._id, _creationTime: doc._creationTime }, 'replace');
+            }
+            return db.replace(id, value);
+        },
+        delete: async (id: string) => {
+            await checkExisting(id, 'delete');
+            return db.delete(id);
+        },
+    };
+}
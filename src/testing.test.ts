@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import { queryGeneric, mutationGeneric } from 'convex/server';
+import { v } from 'convex/values';
+import { createAuthenticatedMethods } from './index';
+import {
+    createTestCtx,
+    createTestIdentity,
+    expectAuthError,
+    runAnonymously,
+    runAs,
+    withRoles,
+    withTestIdentity,
+} from './testing';
+
+const { authenticatedQuery, authenticatedMutation, maybeAuthenticatedQuery } = createAuthenticatedMethods({
+    query: queryGeneric,
+    mutation: mutationGeneric,
+});
+
+const whoAmI = authenticatedQuery({
+    args: { greeting: v.string() },
+    handler: async (ctx, args) => `${args.greeting} ${ctx.identity.subject}`,
+});
+
+const adminOnly = authenticatedMutation({
+    args: {},
+    requires: { roles: ['admin'] },
+    handler: async ctx => ctx.identity.subject,
+});
+
+describe('createTestIdentity', () => {
+    it('should fill in the required identity fields', () => {
+        expect(createTestIdentity()).toEqual({
+            subject: 'test-user',
+            issuer: 'https://test.convex.dev',
+            tokenIdentifier: 'https://test.convex.dev|test-user',
+        });
+    });
+
+    it('should keep overrides and custom claims', () => {
+        expect(createTestIdentity({ subject: 'u1', email: 'a@b.c', roles: ['admin'] })).toEqual({
+            subject: 'u1',
+            issuer: 'https://test.convex.dev',
+            tokenIdentifier: 'https://test.convex.dev|u1',
+            email: 'a@b.c',
+            roles: ['admin'],
+        });
+    });
+});
+
+describe('createTestCtx', () => {
+    it('should resolve the identity from auth.getUserIdentity', async () => {
+        const db = {};
+        const ctx = createTestCtx({ subject: 'u1' }, { db });
+
+        expect(ctx.db).toBe(db);
+        await expect(ctx.auth.getUserIdentity()).resolves.toMatchObject({ subject: 'u1' });
+    });
+
+    it('should resolve null for anonymous callers', async () => {
+        await expect(createTestCtx(null).auth.getUserIdentity()).resolves.toBeNull();
+    });
+});
+
+describe('runAs and runAnonymously', () => {
+    it('should run an authenticated function as the given user', async () => {
+        await expect(runAs(whoAmI, { subject: 'user-1' }, { greeting: 'hi' })).resolves.toBe('hi user-1');
+    });
+
+    it('should pass extra ctx fields through', async () => {
+        const db = { marker: true };
+        const fn = authenticatedQuery({
+            args: {},
+            handler: async ctx => (ctx as unknown as { db: unknown }).db,
+        });
+
+        await expect(runAs(fn, {}, {}, { db })).resolves.toBe(db);
+    });
+
+    it('should run optional-auth functions anonymously', async () => {
+        const feed = maybeAuthenticatedQuery({
+            args: {},
+            handler: async ctx => ctx.identity?.subject ?? 'anonymous',
+        });
+
+        await expect(runAnonymously(feed)).resolves.toBe('anonymous');
+    });
+
+    it('should reject values that are not registered functions', async () => {
+        await expect(runAs({} as typeof whoAmI, {}, { greeting: 'hi' })).rejects.toThrow(
+            'Expected a function registered with query, mutation or action'
+        );
+    });
+});
+
+describe('expectAuthError', () => {
+    it('should return the auth error with the expected code', async () => {
+        const error = await expectAuthError(runAnonymously(whoAmI, { greeting: 'hi' }), 'UNAUTHENTICATED');
+        expect(error.data.code).toBe('UNAUTHENTICATED');
+
+        await expectAuthError(runAs(adminOnly, { roles: ['viewer'] }), 'FORBIDDEN');
+    });
+
+    it('should throw when the call succeeds', async () => {
+        await expect(expectAuthError(runAs(adminOnly, { roles: ['admin'] }))).rejects.toThrow(
+            'Expected an auth error, but the call succeeded'
+        );
+    });
+
+    it('should throw on other errors and other codes', async () => {
+        await expect(expectAuthError(Promise.reject(new Error('boom')))).rejects.toThrow(
+            'Expected an auth error, got: Error: boom'
+        );
+        await expect(expectAuthError(runAnonymously(whoAmI, { greeting: 'hi' }), 'FORBIDDEN')).rejects.toThrow(
+            'Expected an auth error with code FORBIDDEN, got UNAUTHENTICATED'
+        );
+    });
+});
+
+describe('convex-test adapters', () => {
+    it('should pass a complete identity to t.withIdentity', () => {
+        const accessor = {};
+        const t = { withIdentity: vi.fn().mockReturnValue(accessor) };
+
+        expect(withTestIdentity(t, { subject: 'u1', org_id: 'org-1' })).toBe(accessor);
+        expect(t.withIdentity).toHaveBeenCalledWith({
+            subject: 'u1',
+            issuer: 'https://test.convex.dev',
+            tokenIdentifier: 'https://test.convex.dev|u1',
+            org_id: 'org-1',
+        });
+    });
+
+    it('should add roles under the configured claim', () => {
+        const t = { withIdentity: vi.fn() };
+
+        withRoles(t, ['admin'], { subject: 'u1' });
+        withRoles(t, ['owner'], {}, 'org_roles');
+
+        expect(t.withIdentity.mock.calls[0][0]).toMatchObject({ subject: 'u1', roles: ['admin'] });
+        expect(t.withIdentity.mock.calls[1][0]).toMatchObject({ org_roles: ['owner'] });
+    });
+});
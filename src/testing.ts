@@ -0,0 +1,159 @@
+import type { DefaultFunctionArgs, RegisteredAction, RegisteredMutation, RegisteredQuery, UserIdentity } from 'convex/server';
+import type { ConvexError } from 'convex/values';
+import { getAuthErrorCode, type AuthErrorCode, type AuthErrorData } from './errors';
+
+/**
+ * Identity fields accepted by the helpers; anything not given gets a test default
+ */
+export type TestIdentity = Partial<UserIdentity> & Record<string, unknown>;
+
+/**
+ * Any function created with one of the authenticated wrappers
+ */
+type AnyRegisteredFunction<Args extends DefaultFunctionArgs, Return> =
+    | RegisteredQuery<any, Args, Return>
+    | RegisteredMutation<any, Args, Return>
+    | RegisteredAction<any, Args, Return>;
+
+/**
+ * Builds a complete UserIdentity, filling in `subject`, `issuer` and `tokenIdentifier`
+ *
+ * @example
+ * ```typescript
+ * createTestIdentity({ subject: 'user-1', roles: ['admin'] });
+ * // { subject: 'user-1', issuer: 'https://test.convex.dev', tokenIdentifier: 'https://test.convex.dev|user-1', roles: ['admin'] }
+ * ```
+ */
+export function createTestIdentity(identity: TestIdentity = {}): UserIdentity {
+    const subject = identity.subject ?? 'test-user';
+    const issuer = identity.issuer ?? 'https://test.convex.dev';
+    return {
+        ...identity,
+        subject,
+        issuer,
+        tokenIdentifier: identity.tokenIdentifier ?? `${issuer}|${subject}`,
+    } as UserIdentity;
+}
+
+/**
+ * Builds a ctx whose `auth.getUserIdentity()` resolves to the given identity, or null when anonymous
+ *
+ * @param identity - Identity fields, or null for an anonymous caller
+ * @param ctx - Other ctx fields such as a fake `db`
+ */
+export function createTestCtx<Ctx extends Record<string, unknown> = {}>(
+    identity: TestIdentity | null,
+    ctx: Ctx = {} as Ctx
+): Ctx & { auth: { getUserIdentity(): Promise<UserIdentity | null> } } {
+    const resolved = identity === null ? null : createTestIdentity(identity);
+    return {
+        ...ctx,
+        auth: {
+            getUserIdentity: async () => resolved,
+        },
+    };
+}
+
+function getHandler(fn: unknown): (ctx: unknown, args: unknown) => Promise<unknown> {
+    const handler = (fn as { _handler?: unknown })._handler;
+    if (typeof handler !== 'function') {
+        throw new Error('Expected a function registered with query, mutation or action');
+    }
+    return handler as (ctx: unknown, args: unknown) => Promise<unknown>;
+}
+
+/**
+ * Runs a registered function's handler as the given user, without a deployment
+ *
+ * @example
+ * ```typescript
+ * const notes = await runAs(listNotes, { subject: 'user-1' }, {}, { db: fakeDb });
+ * ```
+ */
+export async function runAs<Args extends DefaultFunctionArgs, Return>(
+    fn: AnyRegisteredFunction<Args, Return>,
+    identity: TestIdentity,
+    args: Args = {} as Args,
+    ctx: Record<string, unknown> = {}
+): Promise<Awaited<Return>> {
+    return (await getHandler(fn)(createTestCtx(identity, ctx), args)) as Awaited<Return>;
+}
+
+/**
+ * Runs a registered function's handler for an anonymous caller
+ */
+export async function runAnonymously<Args extends DefaultFunctionArgs, Return>(
+    fn: AnyRegisteredFunction<Args, Return>,
+    args: Args = {} as Args,
+    ctx: Record<string, unknown> = {}
+): Promise<Awaited<Return>> {
+    return (await getHandler(fn)(createTestCtx(null, ctx), args)) as Awaited<Return>;
+}
+
+/**
+ * Asserts that a promise rejects with an auth error, optionally with a specific code, and returns the error
+ *
+ * @example
+ * ```typescript
+ * await expectAuthError(runAnonymously(listNotes), 'UNAUTHENTICATED');
+ * await expectAuthError(t.withIdentity({ subject: 'u' }).mutation(api.admin.ban, {}), 'FORBIDDEN');
+ * ```
+ */
+export async function expectAuthError(
+    promise: Promise<unknown>,
+    code?: AuthErrorCode
+): Promise<ConvexError<AuthErrorData>> {
+    let error: unknown;
+    try {
+        await promise;
+    } catch (caught) {
+        error = caught;
+    }
+    if (error === undefined) {
+        throw new Error(`Expected an auth error${code ? ` with code ${code}` : ''}, but the call succeeded`);
+    }
+    const actual = getAuthErrorCode(error);
+    if (actual === null) {
+        throw new Error(`Expected an auth error${code ? ` with code ${code}` : ''}, got: ${String(error)}`);
+    }
+    if (code && actual !== code) {
+        throw new Error(`Expected an auth error with code ${code}, got ${actual}`);
+    }
+    return error as ConvexError<AuthErrorData>;
+}
+
+/**
+ * Minimal shape of a convex-test instance
+ */
+type ConvexTestLike<Accessor> = {
+    withIdentity(identity: Partial<UserIdentity>): Accessor;
+};
+
+/**
+ * convex-test adapter: a `t.withIdentity` accessor with a complete identity, including
+ * custom claims, so role and claim policies can be exercised
+ *
+ * @example
+ * ```typescript
+ * const t = convexTest(schema);
+ * const asAdmin = withTestIdentity(t, { subject: 'admin-1', roles: ['admin'] });
+ * await asAdmin.mutation(api.users.remove, { userId });
+ * ```
+ */
+export function withTestIdentity<Accessor>(t: ConvexTestLike<Accessor>, identity: TestIdentity = {}): Accessor {
+    return t.withIdentity(createTestIdentity(identity));
+}
+
+/**
+ * convex-test adapter: a `t.withIdentity` accessor for a user holding the given roles
+ *
+ * @param rolesClaim - Claim the roles are stored under (defaults to `roles`)
+ */
+export function withRoles<Accessor>(
+    t: ConvexTestLike<Accessor>,
+    roles: string[],
+    identity: TestIdentity = {},
+    rolesClaim = 'roles'
+): Accessor {
+    return withTestIdentity(t, { ...identity, [rolesClaim]: roles });
+}
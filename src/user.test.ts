@@ -0,0 +1,113 @@
+import { describe, it, expect, vi } from 'vitest';
+import { resolveUser } from './user';
+import { UserNotFoundError } from './errors';
+import type { AuthIdentity } from './policy';
+
+function createMockDb(existing: unknown) {
+    const eq = vi.fn().mockReturnThis();
+    const db = {
+        query: vi.fn().mockReturnValue({
+            withIndex: vi.fn((_index: string, build: (q: any) => unknown) => {
+                build({ eq });
+                return { unique: vi.fn().mockResolvedValue(existing) };
+            }),
+        }),
+        insert: vi.fn().mockResolvedValue('new-id'),
+        get: vi.fn().mockResolvedValue({ _id: 'new-id', tokenIdentifier: 'issuer|user-123' }),
+    };
+    return { db, eq };
+}
+
+const identity = { subject: 'user-123', tokenIdentifier: 'issuer|user-123', name: 'Ada' };
+
+describe('resolveUser', () => {
+    it('should load the user through the configured index by tokenIdentifier', async () => {
+        const user = { _id: 'u1', tokenIdentifier: 'issuer|user-123' };
+        const { db, eq } = createMockDb(user);
+
+        const result = await resolveUser({ table: 'users', index: 'by_token' }, { db }, identity, false);
+
+        expect(result).toBe(user);
+        expect(db.query).toHaveBeenCalledWith('users');
+        expect(db.query.mock.results[0].value.withIndex).toHaveBeenCalledWith('by_token', expect.any(Function));
+        expect(eq).toHaveBeenCalledWith('tokenIdentifier', 'issuer|user-123');
+    });
+
+    it('should match a custom identity field against a custom document field', async () => {
+        const { db, eq } = createMockDb({ _id: 'u1' });
+
+        await resolveUser(
+            { table: 'users', index: 'by_clerk_id', identityField: 'subject', field: 'clerkId' },
+            { db },
+            identity,
+            false
+        );
+
+        expect(eq).toHaveBeenCalledWith('clerkId', 'user-123');
+    });
+
+    it('should throw UserNotFoundError by default when the user is missing', async () => {
+        const { db } = createMockDb(null);
+
+        await expect(resolveUser({ table: 'users', index: 'by_token' }, { db }, identity, true)).rejects.toBeInstanceOf(
+            UserNotFoundError
+        );
+    });
+
+    it('should return null when onMissing is null', async () => {
+        const { db } = createMockDb(null);
+
+        await expect(
+            resolveUser({ table: 'users', index: 'by_token', onMissing: 'null' }, { db }, identity, false)
+        ).resolves.toBeNull();
+    });
+
+    it('should insert the user in mutations when onMissing is create', async () => {
+        const { db } = createMockDb(null);
+
+        const result = await resolveUser(
+            {
+                table: 'users',
+                index: 'by_token',
+                onMissing: 'create',
+                create: (id: AuthIdentity) => ({ name: id.name }),
+            },
+            { db },
+            identity,
+            true
+        );
+
+        expect(db.insert).toHaveBeenCalledWith('users', { tokenIdentifier: 'issuer|user-123', name: 'Ada' });
+        expect(db.get).toHaveBeenCalledWith('new-id');
+        expect(result).toEqual({ _id: 'new-id', tokenIdentifier: 'issuer|user-123' });
+    });
+
+    it('should throw instead of creating outside of mutations', async () => {
+        const { db } = createMockDb(null);
+
+        await expect(
+            resolveUser({ table: 'users', index: 'by_token', onMissing: 'create' }, { db }, identity, false)
+        ).rejects.toBeInstanceOf(UserNotFoundError);
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+
+    it('should use a custom loader and creator', async () => {
+        const ctx = {};
+        const load = vi.fn().mockResolvedValue(null);
+        const create = vi.fn().mockResolvedValue({ id: 'created' });
+
+        const result = await resolveUser({ load, create, onMissing: 'create' }, ctx, identity, true);
+
+        expect(load).toHaveBeenCalledWith(ctx, identity);
+        expect(create).toHaveBeenCalledWith(ctx, identity);
+        expect(result).toEqual({ id: 'created' });
+    });
+
+    it('should require create for custom loaders that auto-create', async () => {
+        const load = vi.fn().mockResolvedValue(null);
+
+        await expect(resolveUser({ load, onMissing: 'create' }, {}, identity, true)).rejects.toThrow(
+            '`create` is required'
+        );
+    });
+});
@@ -0,0 +1,122 @@
+import { UserNotFoundError } from './errors';
+import type { AuthIdentity } from './policy';
+
+/**
+ * What to do when no user document exists for the identity.
+ * `create` only inserts in mutations; queries treat it like `throw`.
+ */
+export type MissingUserBehavior = 'throw' | 'null' | 'create';
+
+/**
+ * Looks the user up through an index on the users table
+ */
+export type TableUserResolver<DataModel extends Record<string, any>> = {
+    [Table in keyof DataModel & string]: {
+        table: Table;
+        /** Index whose first field holds the identity value */
+        index: string;
+        /** Identity field to match against (defaults to `tokenIdentifier`) */
+        identityField?: 'subject' | 'tokenIdentifier';
+        /** Document field used in the index (defaults to `identityField`) */
+        field?: string;
+        onMissing?: MissingUserBehavior;
+        /** Fields of the document inserted when `onMissing` is `create` */
+        create?: (identity: AuthIdentity) => Record<string, unknown>;
+    };
+}[keyof DataModel & string];
+
+/**
+ * Loads the user with custom logic
+ */
+export type CustomUserResolver<User = unknown> = {
+    load: (ctx: any, identity: AuthIdentity) => Promise<User | null>;
+    onMissing?: MissingUserBehavior;
+    /** Creates and returns the user when `onMissing` is `create` */
+    create?: (ctx: any, identity: AuthIdentity) => Promise<User>;
+};
+
+/**
+ * Configuration for the `resolveUser` option of createAuthenticatedMethods
+ */
+export type ResolveUserConfig<DataModel extends Record<string, any>> =
+    | TableUserResolver<DataModel>
+    | CustomUserResolver;
+
+/**
+ * The user document type produced by a resolveUser configuration
+ */
+export type ResolvedUser<DataModel extends Record<string, any>, Config> =
+    Config extends { load: (...args: any[]) => Promise<infer User> }
+        ? NonNullable<User>
+        : Config extends { table: infer Table extends keyof DataModel }
+          ? DataModel[Table] extends { document: infer Doc }
+              ? Doc
+              : Record<string, unknown>
+          : never;
+
+/**
+ * Fields added to the handler's ctx by a resolveUser configuration.
+ * Nothing is added unless a configuration is known to be present.
+ */
+export type UserCtx<DataModel extends Record<string, any>, Config> = undefined extends Config
+    ? {}
+    : {
+          user: Config extends { onMissing: 'null' }
+              ? ResolvedUser<DataModel, Config> | null
+              : ResolvedUser<DataModel, Config>;
+      };
+
+async function findUser(config: ResolveUserConfig<any>, ctx: any, identity: AuthIdentity): Promise<unknown> {
+    if ('load' in config) {
+        return config.load(ctx, identity);
+    }
+    const identityField = config.identityField ?? 'tokenIdentifier';
+    const field = config.field ?? identityField;
+    const value = identity[identityField];
+    if (typeof value !== 'string') {
+        return null;
+    }
+    return ctx.db
+        .query(config.table)
+        .withIndex(config.index, (q: any) => q.eq(field, value))
+        .unique();
+}
+
+async function createUser(config: ResolveUserConfig<any>, ctx: any, identity: AuthIdentity): Promise<unknown> {
+    if ('load' in config) {
+        if (!config.create) {
+            throw new Error('resolveUser: `create` is required when onMissing is "create"');
+        }
+        return config.create(ctx, identity);
+    }
+    const identityField = config.identityField ?? 'tokenIdentifier';
+    const field = config.field ?? identityField;
+    const fields = { [field]: identity[identityField], ...config.create?.(identity) };
+    const id = await ctx.db.insert(config.table, fields);
+    return ctx.db.get(id);
+}
+
+/**
+ * Loads the user document for the identity, applying the configured missing-user behavior
+ *
+ * @param canWrite - Whether the ctx belongs to a mutation and may insert the user
+ */
+export async function resolveUser(
+    config: ResolveUserConfig<any>,
+    ctx: any,
+    identity: AuthIdentity,
+    canWrite: boolean
+): Promise<unknown> {
+    const user = await findUser(config, ctx, identity);
+    if (user) {
+        return user;
+    }
+    const onMissing = config.onMissing ?? 'throw';
+    if (onMissing === 'null') {
+        return null;
+    }
+    if (onMissing === 'create' && canWrite) {
+        return createUser(config, ctx, identity);
+    }
+    throw new UserNotFoundError();
+}